@@ -0,0 +1,613 @@
+/**
+ * Telegram Photo Uploader - Background Service Worker
+ * Runs the upload queue (through the Telegram Web tab or the Bot API),
+ * and feeds it images from any web page via the context menu and
+ * screenshots via keyboard shortcuts or the popup
+ */
+
+importScripts(
+  'settings.js', 'logger.js', 'i18n.js', 'media_types.js', 'caption_format.js', 'file_store.js',
+  'file_transfer.js', 'telegram_tab.js', 'bot_api.js', 'upload_queue.js', 'send_history.js'
+);
+
+const BackgroundSender = {
+  config: {
+    contextMenuId: 'send-image-to-telegram',
+    notificationIcon: 'icons/icon128.png',
+    commands: {
+      'capture-visible-tab': 'visible',
+      'capture-region': 'region'
+    },
+    maxFileSize: 2 * 1024 * 1024 * 1024 // 2GB, Telegram's document limit (same as the popup)
+  },
+
+  /**
+   * Registers the image context menu entry
+   */
+  registerContextMenu() {
+    chrome.contextMenus.create({
+      id: this.config.contextMenuId,
+      title: chrome.i18n.getMessage('contextMenuSendImage'),
+      contexts: ['image']
+    });
+  },
+
+  /**
+   * Handles a click on the context menu entry
+   * @param {chrome.contextMenus.OnClickData} info
+   * @param {chrome.tabs.Tab} sourceTab - Tab the image was clicked in
+   */
+  async handleContextMenuClick(info, sourceTab) {
+    if (info.menuItemId !== this.config.contextMenuId) {
+      return;
+    }
+
+    const notificationId = `download-${Date.now()}`;
+
+    try {
+      this.notify(notificationId, I18n.t('notifySending'), I18n.t('notifyDownloading'));
+
+      const image = await this.fetchImage(info.srcUrl, sourceTab, info.frameId);
+      Logger.info('Background', `Image fetched (${image.blob.type}, ${image.blob.size} bytes)`);
+
+      chrome.notifications.clear(notificationId);
+      await this.queueImages([image], { source: 'contextMenu' });
+
+    } catch (error) {
+      Logger.error('Background', 'Error:', error);
+      this.notify(notificationId, I18n.t('notifySendFailed'), error.message);
+    }
+  },
+
+  /**
+   * Captures the visible area of the current tab, optionally lets the user
+   * drag a crop rectangle, and queues the screenshot for Telegram
+   * @param {'visible'|'region'} mode
+   * @param {Object} options
+   * @param {string} [options.caption] - Caption typed in the popup
+   * @param {{id: string, name: string}|null} [options.chat] - Chat picked in the popup
+   * @param {Array<{id: string, name: string}>|null} [options.chats] - Chats to broadcast to instead
+   */
+  async captureAndSend(mode, options = {}) {
+    const notificationId = `capture-${Date.now()}`;
+
+    try {
+      const [sourceTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      if (!sourceTab) {
+        throw new Error('No active tab found');
+      }
+
+      Logger.info('Background', `Capturing tab (${mode})...`);
+      const dataUrl = await chrome.tabs.captureVisibleTab(sourceTab.windowId, { format: 'png' });
+      let blob = await (await fetch(dataUrl)).blob();
+
+      if (mode === 'region') {
+        const region = await this.selectRegion(sourceTab.id);
+        if (!region) {
+          Logger.info('Background', 'Region selection cancelled');
+          return;
+        }
+        blob = await this.cropImage(blob, region);
+      }
+
+      const filename = `screenshot-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+      await this.queueImages([{ blob, filename }], {
+        source: 'capture',
+        caption: options.caption,
+        chat: options.chat,
+        chats: options.chats
+      });
+
+    } catch (error) {
+      Logger.error('Background', 'Capture error:', error);
+      this.notify(notificationId, I18n.t('notifyCaptureFailed'), error.message);
+    }
+  },
+
+  /**
+   * Shows the crop overlay in the tab and waits for the user's selection
+   * @returns {Promise<Object|null>} Region in CSS pixels, or null when cancelled
+   */
+  async selectRegion(tabId) {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: selectRegionInPage,
+      args: [I18n.t('regionSelectHint')]
+    });
+
+    return injection ? injection.result : null;
+  },
+
+  /**
+   * Crops a screenshot to a region selected in CSS pixels
+   * The screenshot is in device pixels, so the region is scaled first
+   */
+  async cropImage(blob, region) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = bitmap.width / region.viewportWidth;
+
+    const sx = Math.round(region.x * scale);
+    const sy = Math.round(region.y * scale);
+    const sw = Math.max(1, Math.min(Math.round(region.width * scale), bitmap.width - sx));
+    const sh = Math.max(1, Math.min(Math.round(region.height * scale), bitmap.height - sy));
+
+    const canvas = new OffscreenCanvas(sw, sh);
+    canvas.getContext('2d').drawImage(bitmap, sx, sy, sw, sh, 0, 0, sw, sh);
+    bitmap.close();
+
+    return canvas.convertToBlob({ type: 'image/png' });
+  },
+
+  /**
+   * Stores images and adds them to the upload queue as one job
+   * @param {Array<{blob: Blob, filename: string}>} images
+   * @param {Object} options
+   * @param {string} options.source - contextMenu or capture
+   * @param {string} [options.caption]
+   * @param {{id: string, name: string}|null} [options.chat]
+   * @param {Array<{id: string, name: string}>|null} [options.chats]
+   */
+  async queueImages(images, options) {
+    if (images.some(image => image.blob.size > this.config.maxFileSize)) {
+      throw new Error(chrome.i18n.getMessage('error_FILE_TOO_LARGE'));
+    }
+
+    const files = [];
+    for (const image of images) {
+      files.push({
+        fileId: await FileStore.put(image.blob),
+        filename: image.filename,
+        mimeType: image.blob.type,
+        size: image.blob.size
+      });
+    }
+
+    return UploadQueue.enqueue({
+      files,
+      caption: options.caption,
+      chat: options.chat,
+      chats: options.chats,
+      source: options.source
+    });
+  },
+
+  /**
+   * Reports job progress as notifications, since no popup is open for
+   * context-menu and shortcut sends. Jobs started from the popup (new or
+   * resent from the history) only notify when they finish after the popup
+   * was closed.
+   */
+  async handleJobUpdate(job) {
+    const finished = UploadQueue.isFinished(job);
+    const fromPopup = job.source === 'popup' || job.source === 'history';
+
+    if (fromPopup && (!finished || await this.isPopupOpen())) {
+      return;
+    }
+
+    const names = job.files.map(file => file.filename).join(', ');
+
+    switch (job.state) {
+      case UploadQueue.states.UPLOADING: {
+        const progress = job.progress?.totalBytes
+          ? ` ${Math.floor(job.progress.sentBytes / job.progress.totalBytes * 100)}%`
+          : '';
+        this.notify(job.id, I18n.t('notifySending'), I18n.t('notifyUploading', names, progress));
+        break;
+      }
+      case UploadQueue.states.QUEUED:
+        if (job.error) {
+          this.notify(job.id, I18n.t('notifySending'), I18n.t('notifyRetrying', this.describeError(job)));
+        }
+        break;
+      case UploadQueue.states.SENT: {
+        const details = job.chats
+          ? I18n.t('notifySentBroadcast', names, job.chats.length, job.result?.duration)
+          : I18n.t('notifySentDetails', names, job.result?.duration);
+        // UNCONFIRMED comes with what to check before sending again
+        this.notify(
+          job.id,
+          I18n.t(job.errorCode ? 'notifySentUnconfirmed' : 'notifySent'),
+          job.errorCode ? `${details}\n${this.describeError(job)}` : details
+        );
+        break;
+      }
+      case UploadQueue.states.FAILED:
+        this.notify(job.id, I18n.t('notifySendFailed'), this.describeError(job));
+        break;
+      case UploadQueue.states.CANCELLED:
+        chrome.notifications.clear(job.id);
+        break;
+    }
+  },
+
+  /**
+   * Actionable message for the job's error code (same text as the popup),
+   * or the raw error text for failures without one
+   */
+  describeError(job) {
+    return (job.errorCode && chrome.i18n.getMessage(`error_${job.errorCode}`)) || job.error;
+  },
+
+  async isPopupOpen() {
+    if (!chrome.runtime.getContexts) {
+      return false;
+    }
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['POPUP'] });
+    return contexts.length > 0;
+  },
+
+  /**
+   * Lists the chats of the Telegram tab for the popup's chat picker
+   * without switching to the tab
+   */
+  async listChats() {
+    const tab = await TelegramTab.find();
+    if (!tab) {
+      return { success: false, error: 'Telegram Web is not open' };
+    }
+
+    await TelegramTab.ensureContentScript(tab.id);
+    return TelegramTab.sendMessage(tab.id, { action: 'listChats' });
+  },
+
+  /**
+   * Runs the content script's health check on the Telegram tab
+   * without switching to it or sending anything
+   */
+  async diagnose() {
+    const tab = await TelegramTab.find();
+    if (!tab) {
+      return { success: false, error: 'Telegram Web is not open' };
+    }
+
+    await TelegramTab.ensureContentScript(tab.id);
+    return TelegramTab.sendMessage(tab.id, { action: 'diagnose' });
+  },
+
+  /**
+   * Collects what a bug report needs: recent logs of every part of the
+   * extension, the settings (without the bot token and chats), the
+   * version, and the health check and redacted DOM snapshot of the
+   * Telegram tab if one is open
+   * Chat and file names known to the extension are hidden in the logs
+   * @returns {Promise<Object>}
+   */
+  async createDebugBundle() {
+    const [logs, settings, stored] = await Promise.all([
+      Logger.getEntries(),
+      Settings.get(),
+      chrome.storage.local.get([UploadQueue.config.storageKey, SendHistory.config.storageKey, 'chatPreferences'])
+    ]);
+    const names = Logger.findNames([stored, settings.botChats]);
+
+    let page;
+    try {
+      const tab = await TelegramTab.find();
+      if (tab) {
+        await TelegramTab.ensureContentScript(tab.id);
+        const [diagnosis, snapshot] = await Promise.all([
+          TelegramTab.sendMessage(tab.id, { action: 'diagnose' }),
+          TelegramTab.sendMessage(tab.id, { action: 'domSnapshot' })
+        ]);
+        Logger.findNames(diagnosis?.report, names);
+        page = {
+          report: diagnosis?.report ? { ...diagnosis.report, chatTitle: undefined } : null,
+          dom: snapshot?.snapshot || null
+        };
+      } else {
+        page = { error: 'Telegram Web is not open' };
+      }
+    } catch (error) {
+      page = { error: error.message };
+    }
+
+    return {
+      createdAt: new Date().toISOString(),
+      version: chrome.runtime.getManifest().version,
+      browser: navigator.userAgent,
+      language: chrome.i18n.getUILanguage(),
+      settings: {
+        ...settings,
+        botToken: settings.botToken ? '(set)' : '',
+        botChats: `${settings.botChats.length} chat(s)`
+      },
+      page,
+      logs: Logger.redact(logs, names)
+    };
+  },
+
+  /**
+   * Downloads the image bytes
+   * Falls back to fetching inside the source page for blob: URLs and
+   * images that need the page's own context
+   * @returns {Promise<{blob: Blob, filename: string}>}
+   */
+  async fetchImage(srcUrl, sourceTab, frameId) {
+    if (!srcUrl) {
+      throw new Error('No image URL found');
+    }
+
+    let blob = null;
+
+    if (!srcUrl.startsWith('blob:')) {
+      try {
+        const response = await fetch(srcUrl);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        blob = await response.blob();
+      } catch (error) {
+        Logger.warn('Background', 'Direct fetch failed, retrying in page:', error.message);
+      }
+    }
+
+    if (!blob && sourceTab) {
+      blob = await this.fetchImageInPage(srcUrl, sourceTab.id, frameId);
+    }
+
+    if (!blob) {
+      throw new Error('Failed to download image');
+    }
+
+    if (!blob.type.startsWith('image/')) {
+      throw new Error('The selected item is not an image');
+    }
+
+    return { blob, filename: this.filenameFromUrl(srcUrl, blob.type) };
+  },
+
+  /**
+   * Fetches the image from inside the page that shows it and returns it as a data URL
+   */
+  async fetchImageInPage(srcUrl, tabId, frameId = 0) {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      args: [srcUrl],
+      func: async (url) => {
+        try {
+          const response = await fetch(url);
+          const pageBlob = await response.blob();
+          return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(pageBlob);
+          });
+        } catch (error) {
+          return null;
+        }
+      }
+    });
+
+    if (!injection || !injection.result) {
+      return null;
+    }
+
+    const response = await fetch(injection.result);
+    return response.blob();
+  },
+
+  /**
+   * Derives a filename from the image URL, adding an extension when missing
+   */
+  filenameFromUrl(srcUrl, mimeType) {
+    const extension = (mimeType.split('/')[1] || 'png').replace('jpeg', 'jpg').replace(/\+.*$/, '');
+    let name = '';
+
+    try {
+      const url = new URL(srcUrl);
+      if (url.protocol.startsWith('http')) {
+        name = decodeURIComponent(url.pathname.split('/').pop() || '');
+      }
+    } catch (error) {
+      // Not a parseable URL (e.g. data:), fall through to the default name
+    }
+
+    if (!name) {
+      return `image-${Date.now()}.${extension}`;
+    }
+
+    return /\.[a-z0-9]{2,5}$/i.test(name) ? name : `${name}.${extension}`;
+  },
+
+  /**
+   * Shows or updates a notification (the same id replaces the previous message)
+   */
+  notify(notificationId, title, message) {
+    chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: this.config.notificationIcon,
+      title,
+      message,
+      priority: 0
+    });
+  }
+};
+
+UploadQueue.onJobUpdated(job => BackgroundSender.handleJobUpdate(job));
+
+// A smaller thumbnail budget applies to what is already stored
+Settings.onChanged(() => SendHistory.applyBudget());
+
+chrome.runtime.onInstalled.addListener(() => {
+  BackgroundSender.registerContextMenu();
+  Logger.debug('Background', 'Context menu registered');
+});
+
+// Pick up jobs interrupted when the worker was stopped
+chrome.runtime.onStartup.addListener(() => UploadQueue.recover());
+UploadQueue.recover();
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === UploadQueue.config.alarmName) {
+    UploadQueue.process();
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  BackgroundSender.handleContextMenuClick(info, tab);
+});
+
+chrome.commands.onCommand.addListener((command) => {
+  const mode = BackgroundSender.config.commands[command];
+  if (mode) {
+    BackgroundSender.captureAndSend(mode);
+  }
+});
+
+// Listen for messages from popup
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  const respond = (promise) => {
+    promise
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Async response
+  };
+
+  switch (request.action) {
+    case 'startCapture':
+      BackgroundSender.captureAndSend(request.mode, {
+        caption: request.caption,
+        chat: request.chat,
+        chats: request.chats
+      });
+      sendResponse({ success: true });
+      return true;
+
+    case 'enqueueUpload':
+      return respond(UploadQueue.enqueue({ ...request.job, source: 'popup' }).then(job => ({ job })));
+
+    case 'rescheduleJob':
+      return respond(UploadQueue.reschedule(request.jobId, request.changes).then(job => ({ job })));
+
+    case 'sendJobNow':
+      return respond(UploadQueue.sendNow(request.jobId).then(job => ({ job })));
+
+    case 'cancelJob':
+      return respond(UploadQueue.cancel(request.jobId).then(job => ({ job })));
+
+    case 'retryJob':
+      return respond(UploadQueue.retry(request.jobId).then(job => ({ job })));
+
+    case 'removeJob':
+      return respond(UploadQueue.remove(request.jobId).then(job => ({ job })));
+
+    case 'clearFinishedJobs':
+      return respond(UploadQueue.clearFinished().then(() => ({})));
+
+    case 'resendHistory':
+      return respond(SendHistory.resend(request.entryId, {
+        chat: request.chat || null,
+        chats: request.chats || null
+      }).then(job => ({ job })));
+
+    case 'clearHistory':
+      return respond(SendHistory.clear().then(() => ({})));
+
+    case 'testBotApi':
+      return respond(BotApi.getMe(request.settings).then(bot => ({ bot })));
+
+    case 'listChats':
+      BackgroundSender.listChats()
+        .then(response => sendResponse(response || { success: false, error: 'No response from Telegram tab' }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'appendLog':
+      return respond(Logger.append('content', Array.isArray(request.entries) ? request.entries : []).then(() => ({})));
+
+    case 'debugBundle':
+      return respond(BackgroundSender.createDebugBundle().then(bundle => ({ bundle })));
+
+    case 'diagnose':
+      BackgroundSender.diagnose()
+        .then(response => sendResponse(response || { success: false, error: 'No response from Telegram tab' }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    default:
+      return false;
+  }
+});
+
+/**
+ * Crop overlay injected into the captured tab
+ * Runs in the page (serialized by chrome.scripting), so it must be self-contained
+ * @param {string} hintText - Localized instructions shown above the selection
+ * @returns {Promise<Object|null>} Selected region in CSS pixels, or null when cancelled
+ */
+function selectRegionInPage(hintText) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.style.cssText = [
+      'position: fixed', 'inset: 0', 'z-index: 2147483647', 'cursor: crosshair',
+      'background: rgba(0, 0, 0, 0.35)'
+    ].join(';');
+
+    const selection = document.createElement('div');
+    selection.style.cssText = [
+      'position: fixed', 'display: none', 'border: 2px dashed #667eea',
+      'background: rgba(102, 126, 234, 0.15)', 'box-shadow: 0 0 0 9999px rgba(0, 0, 0, 0.35)'
+    ].join(';');
+
+    const hint = document.createElement('div');
+    hint.textContent = hintText;
+    hint.style.cssText = [
+      'position: fixed', 'top: 12px', 'left: 50%', 'transform: translateX(-50%)',
+      'padding: 6px 12px', 'border-radius: 12px', 'background: rgba(0, 0, 0, 0.75)',
+      'color: white', 'font: 13px sans-serif', 'pointer-events: none'
+    ].join(';');
+
+    overlay.append(selection, hint);
+    document.documentElement.appendChild(overlay);
+
+    let start = null;
+    let rect = null;
+
+    const finish = (result) => {
+      overlay.remove();
+      document.removeEventListener('keydown', onKeyDown, true);
+      resolve(result);
+    };
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(null);
+      }
+    };
+
+    overlay.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      start = { x: e.clientX, y: e.clientY };
+      overlay.style.background = 'transparent';
+      selection.style.display = 'block';
+    });
+
+    overlay.addEventListener('mousemove', (e) => {
+      if (!start) return;
+      rect = {
+        x: Math.min(start.x, e.clientX),
+        y: Math.min(start.y, e.clientY),
+        width: Math.abs(e.clientX - start.x),
+        height: Math.abs(e.clientY - start.y)
+      };
+      selection.style.left = `${rect.x}px`;
+      selection.style.top = `${rect.y}px`;
+      selection.style.width = `${rect.width}px`;
+      selection.style.height = `${rect.height}px`;
+    });
+
+    overlay.addEventListener('mouseup', () => {
+      // Ignore clicks without a real drag
+      if (!rect || rect.width < 5 || rect.height < 5) {
+        finish(null);
+        return;
+      }
+      finish({ ...rect, viewportWidth: window.innerWidth, viewportHeight: window.innerHeight });
+    });
+
+    document.addEventListener('keydown', onKeyDown, true);
+  });
+}
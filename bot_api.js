@@ -0,0 +1,375 @@
+/**
+ * Bot API transport
+ * Sends through a Telegram bot (sendPhoto, sendVideo, sendAnimation,
+ * sendDocument and sendMediaGroup with multipart uploads) instead of
+ * automating the Telegram Web tab, so no tab has to be open or focused.
+ * The token, the server and the bot's chats come from Settings; the base
+ * URL can point at a local Bot API server or a mock server.
+ * Used by the background service worker; responses have the same shape
+ * as the content script's uploadPhoto responses.
+ */
+
+const BotApi = {
+  config: {
+    // Upload limits of api.telegram.org; a local Bot API server takes up to 2GB
+    maxPhotoSize: 10 * 1024 * 1024,
+    maxFileSize: 50 * 1024 * 1024,
+    localMaxFileSize: 2 * 1024 * 1024 * 1024,
+    // Request timeout, plus timeoutPerMegabyte per MB uploaded
+    timeout: 30000,
+    timeoutPerMegabyte: 2000,
+    albumSize: 10
+  },
+
+  // Error codes in failed responses (response.code), next to the content script's
+  errorCodes: {
+    BOT_NOT_CONFIGURED: 'BOT_NOT_CONFIGURED',
+    BOT_UNAUTHORIZED: 'BOT_UNAUTHORIZED',
+    BOT_NO_ACCESS: 'BOT_NO_ACCESS',
+    BOT_FILE_TOO_LARGE: 'BOT_FILE_TOO_LARGE',
+    BOT_RATE_LIMITED: 'BOT_RATE_LIMITED',
+    BOT_REQUEST_FAILED: 'BOT_REQUEST_FAILED',
+    BROADCAST_INCOMPLETE: 'BROADCAST_INCOMPLETE'
+  },
+
+  apiError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  },
+
+  cancelledError() {
+    const error = new Error('Upload cancelled');
+    error.cancelled = true;
+    return error;
+  },
+
+  /**
+   * Calls one Bot API method
+   * @param {Object} settings - From Settings.get()
+   * @param {string} method - e.g. "sendPhoto"
+   * @param {FormData|null} body - Multipart body, or null for a plain GET
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {number} [options.uploadBytes] - Size of the upload, to scale the timeout
+   * @returns {Promise<*>} The method's result
+   */
+  async call(settings, method, body, { signal = null, uploadBytes = 0 } = {}) {
+    if (!settings.botToken) {
+      throw this.apiError(this.errorCodes.BOT_NOT_CONFIGURED, 'No bot token set in the options');
+    }
+
+    const baseUrl = (settings.botApiBaseUrl || Settings.defaults.botApiBaseUrl).replace(/\/+$/, '');
+    const timeout = this.config.timeout + Math.ceil(uploadBytes / (1024 * 1024)) * this.config.timeoutPerMegabyte;
+    const signals = [AbortSignal.timeout(timeout), signal].filter(Boolean);
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/bot${settings.botToken}/${method}`, {
+        method: body ? 'POST' : 'GET',
+        body,
+        signal: AbortSignal.any(signals)
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw this.cancelledError();
+      }
+      const message = error.name === 'TimeoutError' ? `${method} timed out after ${timeout}ms` : error.message;
+      throw this.apiError(this.errorCodes.BOT_REQUEST_FAILED, `Could not reach the Bot API: ${message}`);
+    }
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      // Not JSON (e.g. a proxy error page); handled by the status check below
+    }
+
+    if (response.ok && payload?.ok) {
+      return payload.result;
+    }
+
+    throw this.describeFailure(method, response.status, payload);
+  },
+
+  /**
+   * Maps a failed Bot API call to an error with one of this.errorCodes
+   */
+  describeFailure(method, status, payload) {
+    const description = payload?.description || `HTTP ${status}`;
+    const errorCode = payload?.error_code || status;
+
+    switch (errorCode) {
+      case 401:
+      case 404:
+        return this.apiError(this.errorCodes.BOT_UNAUTHORIZED, `The Bot API rejected the token (${description})`);
+      case 403:
+        return this.apiError(this.errorCodes.BOT_NO_ACCESS, description);
+      case 413:
+        return this.apiError(this.errorCodes.BOT_FILE_TOO_LARGE, description);
+      case 429: {
+        const error = this.apiError(this.errorCodes.BOT_RATE_LIMITED, description);
+        error.retryAfter = (payload?.parameters?.retry_after || 0) * 1000;
+        return error;
+      }
+      case 400:
+        if (/chat not found|not enough rights|have no rights/i.test(description)) {
+          return this.apiError(this.errorCodes.BOT_NO_ACCESS, description);
+        }
+        if (/too big|too large/i.test(description)) {
+          return this.apiError(this.errorCodes.BOT_FILE_TOO_LARGE, description);
+        }
+        return this.apiError(this.errorCodes.BOT_REQUEST_FAILED, `${method} failed: ${description}`);
+      default:
+        return this.apiError(this.errorCodes.BOT_REQUEST_FAILED, `${method} failed: ${description}`);
+    }
+  },
+
+  /**
+   * Checks the token and server
+   * @param {Object} settings - Token and base URL to test (may be unsaved)
+   * @returns {Promise<{id: number, username: string, first_name: string}>} The bot
+   */
+  getMe(settings) {
+    return this.call(settings, 'getMe', null);
+  },
+
+  /**
+   * Sends files to one chat, or to several in turn (data.chats)
+   * @param {File[]} files
+   * @param {Object} data - {caption, chat, chats, pauseBetweenChats, sendOptions}
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.onStage] - ({stage, batch, batches, transport}) => void
+   * @param {Function} [options.onProgress] - ({sentBytes, totalBytes}) => void
+   * @returns {Promise<Object>} Response like the content script's uploadPhoto/broadcast
+   */
+  async send(files, data, options = {}) {
+    const settings = await Settings.get();
+
+    if (!data.chats) {
+      return this.sendToChat(settings, files, data.chat, data, options);
+    }
+
+    const startTime = Date.now();
+    const results = [];
+
+    for (let i = 0; i < data.chats.length; i++) {
+      const chat = data.chats[i];
+
+      if (i > 0 && data.pauseBetweenChats > 0) {
+        try {
+          await this.pause(data.pauseBetweenChats, options.signal);
+        } catch (error) {
+          return { success: false, cancelled: true, error: error.message, broadcast: results, duration: Date.now() - startTime };
+        }
+      }
+
+      const response = await this.sendToChat(settings, files, chat, data, {
+        ...options,
+        onStage: options.onStage && ((stage) => options.onStage({ ...stage, chat: i + 1, chats: data.chats.length, chatName: chat.name }))
+      });
+
+      if (response.cancelled) {
+        return { ...response, broadcast: results, duration: Date.now() - startTime };
+      }
+
+      results.push({
+        chat: { id: chat.id, name: chat.name, transport: chat.transport, botChatId: chat.botChatId },
+        success: response.success,
+        delivery: response.delivery,
+        code: response.code || null,
+        error: response.success ? null : response.error,
+        batches: response.batches
+      });
+    }
+
+    const failed = results.filter(result => !result.success);
+    const batches = results.find(result => result.success)?.batches || [];
+
+    return {
+      success: failed.length === 0,
+      delivery: failed.length > 0 ? 'failed' : 'confirmed',
+      code: failed.length > 0 ? this.errorCodes.BROADCAST_INCOMPLETE : null,
+      error: failed.length > 0 ? `Could not send to ${failed.map(result => `"${result.chat.name}"`).join(', ')}` : null,
+      transport: 'bot',
+      broadcast: results,
+      batches,
+      duration: Date.now() - startTime
+    };
+  },
+
+  /**
+   * Sends every batch to one chat; the caption goes with the first
+   * @returns {Promise<Object>} Response like the content script's uploadPhoto
+   */
+  async sendToChat(settings, files, chat, data, { signal = null, onStage = null, onProgress = null } = {}) {
+    const startTime = Date.now();
+    const sentBatches = [];
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    let sentBytes = 0;
+
+    try {
+      if (!chat?.botChatId) {
+        throw this.apiError(this.errorCodes.BOT_NOT_CONFIGURED, 'No bot chat chosen');
+      }
+
+      this.checkSizes(settings, files, data.sendOptions);
+
+      const batches = MediaTypes.splitIntoBatches(files, this.config.albumSize);
+      Logger.info('Bot API', `Sending ${files.length} file(s) to ${chat.id} in ${batches.length} message(s)`);
+
+      for (let i = 0; i < batches.length; i++) {
+        const kind = MediaTypes.batchKind(batches[i]);
+        const batchBytes = batches[i].reduce((sum, file) => sum + file.size, 0);
+        const caption = i === 0 ? data.caption : '';
+
+        const result = await this.sendBatch(settings, chat.botChatId, batches[i], kind, caption, data.sendOptions, {
+          signal,
+          uploadBytes: batchBytes
+        });
+        const messages = Array.isArray(result) ? result : [result];
+
+        sentBatches.push({
+          batch: i + 1,
+          count: batches[i].length,
+          kind,
+          status: 'confirmed',
+          messageId: messages[0]?.message_id ?? null,
+          timestamp: messages[0]?.date ? messages[0].date * 1000 : null
+        });
+
+        sentBytes += batchBytes;
+        onProgress?.({ sentBytes, totalBytes });
+        // The server only answers once the message is in the chat
+        onStage?.({ stage: 'sent', batch: i + 1, batches: batches.length, transport: 'bot' });
+        onStage?.({ stage: 'confirmed', batch: i + 1, batches: batches.length, transport: 'bot' });
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.info('Bot API', `✓ Sent to ${chat.id} (${duration}ms)`);
+
+      return {
+        success: true,
+        delivery: 'confirmed',
+        message: 'Sent through the Bot API',
+        transport: 'bot',
+        batches: sentBatches,
+        chat: { id: chat.id, name: chat.name, transport: 'bot', botChatId: chat.botChatId },
+        duration
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+
+      if (error.cancelled) {
+        Logger.info('Bot API', 'Upload cancelled');
+        return { success: false, cancelled: true, error: error.message, batches: sentBatches, duration };
+      }
+
+      Logger.error('Bot API', `✗ Sending to ${chat?.id} failed:`, error.message);
+      return {
+        success: false,
+        delivery: 'failed',
+        code: error.code || null,
+        error: error.message,
+        retryAfter: error.retryAfter || 0,
+        transport: 'bot',
+        batches: sentBatches,
+        duration
+      };
+    }
+  },
+
+  /**
+   * Rejects files the server won't take before anything is uploaded
+   */
+  checkSizes(settings, files, sendOptions = {}) {
+    const local = (settings.botApiBaseUrl || '').replace(/\/+$/, '') !== Settings.defaults.botApiBaseUrl;
+    const maxFileSize = local ? this.config.localMaxFileSize : this.config.maxFileSize;
+
+    for (const file of files) {
+      const asPhoto = !sendOptions.asFile && MediaTypes.kindOf(file.type) === 'image';
+      const limit = asPhoto && !local ? this.config.maxPhotoSize : maxFileSize;
+
+      if (file.size > limit) {
+        throw this.apiError(
+          this.errorCodes.BOT_FILE_TOO_LARGE,
+          `${file.name} is larger than the Bot API accepts (${Math.round(limit / (1024 * 1024))} MB)`
+        );
+      }
+    }
+  },
+
+  /**
+   * Sends one batch: a single message, or an album through sendMediaGroup
+   * @param {string} kind - From MediaTypes.batchKind
+   * @returns {Promise<Object|Object[]>} The sent message(s)
+   */
+  sendBatch(settings, chatId, files, kind, caption, sendOptions = {}, requestOptions = {}) {
+    const asFile = kind === 'document' || sendOptions.asFile;
+    const spoiler = !asFile && sendOptions.spoiler;
+    const body = new FormData();
+    body.append('chat_id', chatId);
+
+    if (files.length === 1) {
+      const file = files[0];
+      const method = asFile ? 'sendDocument'
+        : kind === 'gif' ? 'sendAnimation'
+          : MediaTypes.kindOf(file.type) === 'video' ? 'sendVideo'
+            : 'sendPhoto';
+      const field = method.slice(4).toLowerCase();
+
+      body.append(field, file, file.name);
+      this.appendCaption(body, caption);
+      if (spoiler) {
+        body.append('has_spoiler', 'true');
+      }
+      return this.call(settings, method, body, requestOptions);
+    }
+
+    // Albums reference their files as attach://<field>; the caption goes on the first item
+    const media = files.map((file, index) => {
+      const item = {
+        type: asFile ? 'document' : MediaTypes.kindOf(file.type) === 'video' ? 'video' : 'photo',
+        media: `attach://file${index}`
+      };
+      if (index === 0 && caption) {
+        item.caption = CaptionFormat.toBotApiHtml(caption);
+        item.parse_mode = 'HTML';
+      }
+      if (spoiler) {
+        item.has_spoiler = true;
+      }
+      body.append(`file${index}`, file, file.name);
+      return item;
+    });
+
+    body.append('media', JSON.stringify(media));
+    return this.call(settings, 'sendMediaGroup', body, requestOptions);
+  },
+
+  appendCaption(body, caption) {
+    if (caption) {
+      body.append('caption', CaptionFormat.toBotApiHtml(caption));
+      body.append('parse_mode', 'HTML');
+    }
+  },
+
+  /**
+   * Waits between the chats of a broadcast
+   */
+  pause(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.cancelledError());
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(this.cancelledError());
+      }, { once: true });
+    });
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * Caption formatting shared by the popup, the content script and the Bot API transport
+ * Supports a small markdown subset: **bold**, __italic__, ~~strike~~ and `code`
+ */
+
+const CaptionFormat = {
+  // Telegram's caption limit for media messages (non-premium accounts)
+  maxLength: 1024,
+
+  // Inline markers, checked in this order outside of code spans
+  markers: [
+    { pattern: /\*\*(.+?)\*\*/g, tag: 'b' },
+    { pattern: /__(.+?)__/g, tag: 'i' },
+    { pattern: /~~(.+?)~~/g, tag: 's' }
+  ],
+
+  /**
+   * Splits text into code and non-code segments so markers inside `code` are kept literally
+   * @param {string} text
+   * @returns {Array<{code: boolean, text: string}>}
+   */
+  segments(text) {
+    const result = [];
+    const codePattern = /`([^`\n]+)`/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = codePattern.exec(text)) !== null) {
+      if (match.index > lastIndex) {
+        result.push({ code: false, text: text.slice(lastIndex, match.index) });
+      }
+      result.push({ code: true, text: match[1] });
+      lastIndex = codePattern.lastIndex;
+    }
+
+    if (lastIndex < text.length) {
+      result.push({ code: false, text: text.slice(lastIndex) });
+    }
+
+    return result;
+  },
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Converts caption markdown to the HTML Telegram's caption editor understands
+   * @param {string} text
+   * @returns {string}
+   */
+  toHtml(text) {
+    return this.toBotApiHtml(text).replace(/\n/g, '<br>');
+  },
+
+  /**
+   * Converts caption markdown to the HTML of the Bot API's "HTML" parse
+   * mode, which keeps line breaks as they are
+   * @param {string} text
+   * @returns {string}
+   */
+  toBotApiHtml(text) {
+    return this.segments(text).map(segment => {
+      const escaped = this.escapeHtml(segment.text);
+
+      if (segment.code) {
+        return `<code>${escaped}</code>`;
+      }
+
+      return this.markers.reduce(
+        (html, marker) => html.replace(marker.pattern, `<${marker.tag}>$1</${marker.tag}>`),
+        escaped
+      );
+    }).join('');
+  },
+
+  /**
+   * Strips markdown markers, leaving the text Telegram will count and display
+   * @param {string} text
+   * @returns {string}
+   */
+  toPlainText(text) {
+    return this.segments(text).map(segment => {
+      if (segment.code) {
+        return segment.text;
+      }
+
+      return this.markers.reduce(
+        (plain, marker) => plain.replace(marker.pattern, '$1'),
+        segment.text
+      );
+    }).join('');
+  },
+
+  /**
+   * Fills a caption template's placeholders, e.g. "{filename} ({date})"
+   * Placeholders without a value are kept as typed
+   * @param {string} template
+   * @param {Object} values - {filename, count, date, time}
+   * @returns {string}
+   */
+  fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      (values[name] !== undefined ? String(values[name]) : placeholder)
+    );
+  },
+
+  /**
+   * Validates caption length against Telegram's limit
+   * @param {string} text
+   * @returns {{valid: boolean, length: number, maxLength: number}}
+   */
+  validate(text) {
+    const length = this.toPlainText(text).trim().length;
+    return {
+      valid: length <= this.maxLength,
+      length,
+      maxLength: this.maxLength
+    };
+  }
+};
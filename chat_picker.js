@@ -0,0 +1,366 @@
+/**
+ * Destination chat picker for the popup
+ * Lists the chats read from Telegram's sidebar and remembers
+ * the last-used and favourite chats in chrome.storage.local.
+ * Chats set up for the bot in the options are listed too; sends to
+ * them go through the Bot API (chat.transport === 'bot').
+ * In broadcast mode several chats are ticked instead of one picked.
+ */
+
+class ChatPicker {
+  /**
+   * @param {Function} onChange - (chat) => void, run when another chat is picked
+   * @param {Function} onStatus - (message, type) => void, shown in the popup's status line
+   */
+  constructor(onChange = () => {}, onStatus = () => {}) {
+    this.toggle = document.getElementById('chatPickerToggle');
+    this.label = document.getElementById('chatPickerLabel');
+    this.labelAvatar = document.getElementById('chatPickerAvatar');
+    this.panel = document.getElementById('chatPickerPanel');
+    this.search = document.getElementById('chatSearch');
+    this.list = document.getElementById('chatList');
+    this.broadcastToggle = document.getElementById('broadcastMode');
+    this.pauseSetting = document.getElementById('broadcastPauseSetting');
+    this.pauseInput = document.getElementById('broadcastPause');
+
+    this.onChange = onChange;
+    this.onStatus = onStatus;
+    this.storageKey = 'chatPreferences';
+
+    this.chats = [];          // Chats read from the Telegram sidebar
+    this.botChats = [];       // Chats the bot posts to (from the options)
+    this.favorites = [];      // Stored favourite chats
+    this.lastUsed = null;     // Stored last-used chat
+    this.selected = null;     // null = whatever chat is open in Telegram
+    this.broadcast = false;   // Send to every chat in broadcastChats
+    this.broadcastChats = []; // Stored broadcast targets, in sending order
+
+    this.init();
+  }
+
+  init() {
+    this.toggle.addEventListener('click', () => this.togglePanel());
+    this.search.addEventListener('input', () => this.render());
+    this.broadcastToggle.addEventListener('change', () => this.setBroadcast(this.broadcastToggle.checked));
+    this.pauseInput.addEventListener('change', () => this.updatePause());
+
+    // Close the panel when clicking elsewhere in the popup
+    document.addEventListener('click', (e) => {
+      if (!this.panel.contains(e.target) && !this.toggle.contains(e.target)) {
+        this.panel.classList.add('hidden');
+      }
+    });
+  }
+
+  /**
+   * Loads stored preferences and preselects the last-used chat
+   */
+  async loadPreferences() {
+    const stored = await chrome.storage.local.get(this.storageKey);
+    const preferences = stored[this.storageKey] || {};
+
+    this.favorites = preferences.favorites || [];
+    this.lastUsed = preferences.lastUsed || null;
+    this.selected = this.lastUsed;
+    this.broadcast = preferences.broadcast || false;
+    this.broadcastChats = preferences.broadcastChats || [];
+
+    const { broadcastPause, botChats } = await Settings.get();
+    this.pauseInput.value = broadcastPause;
+    this.botChats = botChats.map(botChat => ({
+      id: `bot:${botChat.chatId}`,
+      name: botChat.name || botChat.chatId,
+      transport: 'bot',
+      botChatId: botChat.chatId
+    }));
+
+    this.renderBroadcast();
+    this.refreshStored();
+  }
+
+  async savePreferences() {
+    await chrome.storage.local.set({
+      [this.storageKey]: {
+        favorites: this.favorites,
+        lastUsed: this.lastUsed,
+        broadcast: this.broadcast,
+        broadcastChats: this.broadcastChats
+      }
+    });
+  }
+
+  /**
+   * Sets the chats read from Telegram's sidebar
+   * Stored chats are refreshed with the live name and avatar
+   * @param {Array} chats - From the content script's listChats action
+   */
+  setChats(chats) {
+    this.chats = chats;
+    this.refreshStored();
+  }
+
+  /**
+   * Updates stored chats with the live sidebar and bot chats
+   */
+  refreshStored() {
+    const live = [...this.chats, ...this.botChats];
+    const refresh = (chat) => {
+      const match = chat && live.find(item => item.id === chat.id);
+      return match ? this.toStored(match) : chat;
+    };
+
+    this.favorites = this.favorites.map(refresh);
+    this.lastUsed = refresh(this.lastUsed);
+    this.selected = refresh(this.selected);
+    this.broadcastChats = this.broadcastChats.map(refresh);
+
+    this.render();
+  }
+
+  /**
+   * What a send needs to know about a chat: id and name, plus the
+   * transport for bot chats
+   */
+  toTarget(chat) {
+    return chat.transport === 'bot'
+      ? { id: chat.id, name: chat.name, transport: 'bot', botChatId: chat.botChatId }
+      : { id: chat.id, name: chat.name };
+  }
+
+  toStored(chat) {
+    return { ...this.toTarget(chat), avatar: chat.avatar || null };
+  }
+
+  /**
+   * @returns {{id: string, name: string}|null} Selected chat, or null for the open chat
+   */
+  getSelected() {
+    return this.selected ? this.toTarget(this.selected) : null;
+  }
+
+  /**
+   * @returns {Array<{id: string, name: string}>|null} Chats to broadcast to, or null outside broadcast mode
+   */
+  getBroadcastChats() {
+    return this.broadcast ? this.broadcastChats.map(chat => this.toTarget(chat)) : null;
+  }
+
+  async setBroadcast(enabled) {
+    this.broadcast = enabled;
+    this.renderBroadcast();
+    this.render();
+    await this.savePreferences();
+  }
+
+  /**
+   * Adds a chat to the broadcast targets, or removes it
+   */
+  async toggleBroadcastChat(chat) {
+    if (this.broadcastChats.some(target => target.id === chat.id)) {
+      this.broadcastChats = this.broadcastChats.filter(target => target.id !== chat.id);
+    } else {
+      this.broadcastChats.push(this.toStored(chat));
+    }
+
+    this.render();
+    await this.savePreferences();
+  }
+
+  /**
+   * Stores the pause between broadcast chats, in whole seconds
+   */
+  async updatePause() {
+    const seconds = Math.min(Math.max(Math.round(Number(this.pauseInput.value) || 0), 0), Number(this.pauseInput.max));
+    this.pauseInput.value = seconds;
+
+    try {
+      await Settings.set({ broadcastPause: seconds });
+    } catch (error) {
+      this.onStatus(I18n.t('settingNotSaved', error.message), 'error');
+      const { broadcastPause } = await Settings.get().catch(() => Settings.defaults);
+      this.pauseInput.value = broadcastPause;
+    }
+  }
+
+  renderBroadcast() {
+    this.broadcastToggle.checked = this.broadcast;
+    this.pauseSetting.classList.toggle('hidden', !this.broadcast);
+  }
+
+  select(chat) {
+    this.selected = chat ? this.toStored(chat) : null;
+    this.panel.classList.add('hidden');
+    this.render();
+    this.onChange(this.getSelected());
+  }
+
+  /**
+   * Remembers the chat a send went to
+   */
+  async rememberLastUsed() {
+    this.lastUsed = this.selected;
+    await this.savePreferences();
+  }
+
+  isFavorite(chat) {
+    return this.favorites.some(favorite => favorite.id === chat.id);
+  }
+
+  async toggleFavorite(chat) {
+    if (this.isFavorite(chat)) {
+      this.favorites = this.favorites.filter(favorite => favorite.id !== chat.id);
+    } else {
+      this.favorites.push(this.toStored(chat));
+    }
+
+    await this.savePreferences();
+    this.render();
+  }
+
+  togglePanel() {
+    this.panel.classList.toggle('hidden');
+    if (!this.panel.classList.contains('hidden')) {
+      this.search.value = '';
+      this.render();
+      this.search.focus();
+    }
+  }
+
+  /**
+   * Groups chats into favourites, last used and the sidebar order
+   * (pinned first, then by recent activity)
+   */
+  buildSections(query) {
+    const matches = (chat) => !query || chat.name.toLowerCase().includes(query);
+    const shown = new Set();
+    const take = (chats) => chats.filter(chat => {
+      if (!chat || !matches(chat) || shown.has(chat.id)) return false;
+      shown.add(chat.id);
+      return true;
+    });
+
+    const sidebar = [...this.chats].sort((a, b) => (b.pinned - a.pinned) || (a.recent - b.recent));
+
+    return [
+      { title: I18n.t('chatSectionFavourites'), chats: take(this.favorites) },
+      { title: I18n.t('chatSectionLastUsed'), chats: take([this.lastUsed]) },
+      { title: I18n.t('chatSectionBot'), chats: take(this.botChats) },
+      { title: I18n.t('chatSectionChats'), chats: take(sidebar) }
+    ].filter(section => section.chats.length > 0);
+  }
+
+  render() {
+    this.renderLabel();
+
+    const query = this.search.value.trim().toLowerCase();
+    this.list.innerHTML = '';
+
+    // A broadcast needs named chats, not "whatever is open"
+    if (!query && !this.broadcast) {
+      this.list.appendChild(this.createItem(null));
+    }
+
+    for (const section of this.buildSections(query)) {
+      const heading = document.createElement('li');
+      heading.className = 'chat-section';
+      heading.textContent = section.title;
+      this.list.appendChild(heading);
+
+      section.chats.forEach(chat => this.list.appendChild(this.createItem(chat)));
+    }
+
+    if (this.chats.length === 0 && !query) {
+      const hint = document.createElement('li');
+      hint.className = 'chat-hint';
+      hint.textContent = I18n.t('chatListHint');
+      this.list.appendChild(hint);
+    }
+  }
+
+  renderLabel() {
+    if (this.broadcast) {
+      const count = this.broadcastChats.length;
+      this.label.textContent = count > 0 ? I18n.t('broadcastChats', count) : I18n.t('broadcastChooseChats');
+      this.toggle.title = this.broadcastChats.map(chat => chat.name).join('\n');
+    } else {
+      this.label.textContent = this.selected ? this.selected.name : I18n.t('currentChat');
+      this.toggle.title = '';
+    }
+
+    this.labelAvatar.replaceWith(this.createAvatar(this.broadcast ? null : this.selected));
+    this.labelAvatar = this.toggle.querySelector('.chat-avatar');
+    this.labelAvatar.id = 'chatPickerAvatar';
+  }
+
+  /**
+   * Creates a list entry (chat === null is the "currently open chat" entry)
+   */
+  createItem(chat) {
+    const item = document.createElement('li');
+    item.className = 'chat-item';
+
+    const isSelected = this.broadcast
+      ? this.broadcastChats.some(target => target.id === chat.id)
+      : chat ? this.selected?.id === chat.id : this.selected === null;
+    item.classList.toggle('selected', isSelected);
+    item.classList.toggle('ticked', this.broadcast && isSelected);
+
+    const name = document.createElement('span');
+    name.className = 'chat-name';
+    name.textContent = chat ? chat.name : I18n.t('currentChat');
+
+    item.append(this.createAvatar(chat), name);
+
+    if (chat?.transport === 'bot') {
+      const bot = document.createElement('span');
+      bot.className = 'chat-badge';
+      bot.textContent = '🤖';
+      bot.title = I18n.t('chatViaBot');
+      item.appendChild(bot);
+    }
+
+    if (chat?.pinned) {
+      const pin = document.createElement('span');
+      pin.className = 'chat-badge';
+      pin.textContent = '📌';
+      pin.title = I18n.t('chatPinned');
+      item.appendChild(pin);
+    }
+
+    if (chat) {
+      const star = document.createElement('button');
+      star.className = 'chat-star';
+      star.textContent = this.isFavorite(chat) ? '★' : '☆';
+      star.title = this.isFavorite(chat) ? I18n.t('removeFavourite') : I18n.t('addFavourite');
+      star.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleFavorite(chat);
+      });
+      item.appendChild(star);
+    }
+
+    // Broadcast mode ticks chats and keeps the panel open
+    item.addEventListener('click', () => this.broadcast ? this.toggleBroadcastChat(chat) : this.select(chat));
+    return item;
+  }
+
+  /**
+   * Creates an avatar from the chat photo, or initials when there is none
+   */
+  createAvatar(chat) {
+    if (chat?.avatar) {
+      const img = document.createElement('img');
+      img.className = 'chat-avatar';
+      img.src = chat.avatar;
+      img.alt = '';
+      return img;
+    }
+
+    const initials = document.createElement('span');
+    initials.className = 'chat-avatar initials';
+    initials.textContent = chat
+      ? chat.name.split(/\s+/).slice(0, 2).map(word => word[0] || '').join('').toUpperCase()
+      : '💬';
+    return initials;
+  }
+}
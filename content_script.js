@@ -1,30 +1,146 @@
 /**
  * Telegram Web Photo Uploader
  * Uses reliable DOM observation instead of arbitrary timeouts
+ * Layout-specific selectors live in telegram_profiles.js
  */
 
 const TelegramUploader = {
+  // Active layout profile (see TelegramProfiles)
+  profile: null,
+
+  // Upload in progress: {signal, onStage, batch, batches} (null when idle)
+  activeUpload: null,
+
+  // Upload stages reported while an upload runs, in order
+  stages: ['dropZone', 'dropTarget', 'preview', 'sent', 'confirmed'],
+
   // Configuration
   config: {
-    selectors: {
-      dropTarget: '.DropTarget',
-      composerWrapper: '.composer-wrapper',
-      messageContainer: '.input-message-container',
-      middleColumn: '.middle-column',
-      messageInput: '.input-message-input',
-      chatContent: '.chat-content, .messages-container',
-      
-      // Preview modal selectors
-      previewModal: '.modal, [role="dialog"]',
-      sendButton: 'button',
-    },
-    
-    // Timeouts (safety nets only - not for waiting)
-    maxWaitTime: {
-      dropTarget: 3000,
-      preview: 5000,
-      sendButton: 5000,
-      clickResponse: 2000
+    // Timeouts (safety nets only - not for waiting); the options page can
+    // change them (see applySettings)
+    maxWaitTime: { ...Settings.defaults.timeouts },
+
+    deliveryPerMegabyte: 1000,
+
+    // Ways to hand files to Telegram, tried in order until the preview opens
+    injectionStrategies: ['dragAndDrop', 'paste', 'fileInput'],
+
+    // Telegram's limit for documents
+    maxFileSize: 2 * 1024 * 1024 * 1024,
+
+    // Upper bound on chats returned to the popup
+    maxChats: 100,
+
+    // Telegram groups at most 10 items into one album
+    albumSize: 10,
+
+    // DOM snapshot for the debug bundle (see snapshotDom)
+    snapshot: {
+      maxDepth: 30,
+      // Children kept per element; message lists keep the newest
+      maxChildren: 40,
+      // Characters per container
+      maxLength: 200000,
+      // Attributes kept as they are; other attribute values are replaced
+      keepAttributes: [
+        'class', 'role', 'type', 'name', 'dir', 'tabindex', 'draggable', 'contenteditable',
+        'disabled', 'aria-disabled', 'aria-keyshortcuts', 'aria-hidden'
+      ]
+    }
+  },
+
+  /**
+   * Error codes returned in upload responses (response.code): failed
+   * uploads always carry one, sent ones only UNCONFIRMED
+   * The popup maps each one to an actionable message
+   */
+  errorCodes: {
+    NO_CHAT_OPEN: 'NO_CHAT_OPEN',
+    DROP_ZONE_MISSING: 'DROP_ZONE_MISSING',
+    PREVIEW_TIMEOUT: 'PREVIEW_TIMEOUT',
+    SEND_BUTTON_MISSING: 'SEND_BUTTON_MISSING',
+    SEND_OPTION_FAILED: 'SEND_OPTION_FAILED',
+    // Telegram itself marked the sent message as failed
+    DELIVERY_FAILED: 'DELIVERY_FAILED',
+    // Sent, but Telegram didn't confirm the message before the timeout
+    UNCONFIRMED: 'UNCONFIRMED',
+    FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+    BROADCAST_INCOMPLETE: 'BROADCAST_INCOMPLETE'
+  },
+
+  /**
+   * Applies the timeouts and selector overrides set in the options page
+   * @param {Object} settings - From Settings.get()
+   */
+  applySettings(settings) {
+    this.config.maxWaitTime = { ...settings.timeouts };
+    TelegramProfiles.applyOverrides(settings.selectorOverrides);
+  },
+
+  /**
+   * Detects the layout profile for the current page
+   * Re-detected on every call since Telegram can switch clients without a reload
+   * @returns {Object} The active profile
+   */
+  getProfile() {
+    const profile = TelegramProfiles.detect();
+
+    if (profile !== this.profile) {
+      Logger.info('Telegram Uploader', `Using profile: ${profile.name}`);
+      this.profile = profile;
+    }
+
+    return profile;
+  },
+
+  /**
+   * Reports an upload stage to whoever started the upload
+   * along with the album batch it belongs to
+   * @param {string} stage - One of this.stages
+   */
+  reportStage(stage) {
+    const upload = this.activeUpload;
+    if (!upload) {
+      return;
+    }
+
+    Logger.debug('Telegram Uploader', `Stage: ${stage} (batch ${upload.batch}/${upload.batches})`);
+    if (upload.onStage) {
+      upload.onStage({ stage, batch: upload.batch, batches: upload.batches });
+    }
+  },
+
+  /**
+   * Times one step of the running upload, tagged with its job and batch
+   * (see Logger.time)
+   * @returns {Promise<*>} What fn returns
+   */
+  timeStep(name, fn) {
+    const upload = this.activeUpload;
+    return Logger.time('Telegram Uploader', name, { job: upload?.job, batch: upload?.batch }, fn);
+  },
+
+  /**
+   * Creates an error carrying one of this.errorCodes
+   */
+  uploadError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  },
+
+  /**
+   * Error thrown by waits once the upload has been cancelled
+   */
+  cancelledError() {
+    const error = new Error('Upload cancelled');
+    error.cancelled = true;
+    return error;
+  },
+
+  throwIfCancelled(signal = this.activeUpload?.signal) {
+    if (signal?.aborted) {
+      throw this.cancelledError();
     }
   },
 
@@ -34,13 +150,19 @@ const TelegramUploader = {
    * @param {Function} condition - Function that returns true when ready
    * @param {number} timeout - Max time to wait (safety net)
    * @param {number} checkInterval - How often to check (ms)
+   * @param {AbortSignal} [signal] - Stops the wait on cancel (defaults to the running upload's)
    * @returns {Promise<void>}
    */
-  async waitUntil(condition, timeout = 5000, checkInterval = 100) {
+  async waitUntil(condition, timeout = 5000, checkInterval = 100, signal = this.activeUpload?.signal) {
     const startTime = Date.now();
     
     return new Promise((resolve, reject) => {
       const check = () => {
+        if (signal?.aborted) {
+          reject(this.cancelledError());
+          return;
+        }
+
         // Check if condition is met
         if (condition()) {
           resolve();
@@ -66,9 +188,12 @@ const TelegramUploader = {
    * Uses MutationObserver for efficiency
    * @param {string} selector - CSS selector
    * @param {number} timeout - Max wait time (safety net)
+   * @param {AbortSignal} [signal] - Stops the wait on cancel (defaults to the running upload's)
    * @returns {Promise<Element>}
    */
-  async waitForElement(selector, timeout = 5000) {
+  async waitForElement(selector, timeout = 5000, signal = this.activeUpload?.signal) {
+    this.throwIfCancelled(signal);
+
     // Check if element already exists
     const existingElement = document.querySelector(selector);
     if (existingElement) {
@@ -76,15 +201,27 @@ const TelegramUploader = {
     }
 
     return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const onAbort = () => {
+        observer.disconnect();
+        clearTimeout(timer);
+        reject(this.cancelledError());
+      };
+
       // Set up MutationObserver to watch for new elements
       const observer = new MutationObserver(() => {
         const element = document.querySelector(selector);
         if (element) {
           observer.disconnect();
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
           resolve(element);
         }
       });
 
+      signal?.addEventListener('abort', onAbort, { once: true });
+
       // Start observing
       observer.observe(document.body, {
         childList: true,
@@ -94,8 +231,9 @@ const TelegramUploader = {
       });
 
       // Safety timeout
-      setTimeout(() => {
+      timer = setTimeout(() => {
         observer.disconnect();
+        signal?.removeEventListener('abort', onAbort);
         reject(new Error(`Element not found: ${selector} (timeout after ${timeout}ms)`));
       }, timeout);
     });
@@ -138,28 +276,35 @@ const TelegramUploader = {
    * @returns {Promise<Element>}
    */
   async waitForPreviewModal() {
-    console.log('[Telegram Uploader] Waiting for preview modal...');
+    Logger.debug('Telegram Uploader', 'Waiting for preview modal...');
     
     // Wait for modal to appear
-    const modal = await this.waitForElement(
-      this.config.selectors.previewModal, 
-      this.config.maxWaitTime.preview
-    );
+    let modal;
+    try {
+      modal = await this.waitForElement(
+        this.profile.selectors.previewModal,
+        this.config.maxWaitTime.preview
+      );
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      throw this.uploadError(this.errorCodes.PREVIEW_TIMEOUT, `Preview did not open within ${this.config.maxWaitTime.preview}ms`);
+    }
     
-    console.log('[Telegram Uploader] ✓ Preview modal appeared');
+    Logger.debug('Telegram Uploader', '✓ Preview modal appeared');
     return modal;
   },
 
   /**
-   * Converts ArrayBuffer to File object
+   * Reassembles the chunks received over the file transfer port into a File
+   * @param {Array<ArrayBuffer|Uint8Array>} parts - Chunks in order
    */
-  arrayBufferToFile(arrayBuffer, filename = 'image.png', mimeType = 'image/png') {
+  arrayBufferToFile(parts, filename = 'image.png', mimeType = 'image/png') {
     try {
-      const uint8Array = new Uint8Array(arrayBuffer);
-      const blob = new Blob([uint8Array], { type: mimeType });
-      return new File([blob], filename, { type: mimeType, lastModified: Date.now() });
+      return new File(parts, filename, { type: mimeType, lastModified: Date.now() });
     } catch (error) {
-      throw new Error(`Failed to convert ArrayBuffer to File: ${error.message}`);
+      throw new Error(`Failed to reassemble ${filename}: ${error.message}`);
     }
   },
 
@@ -167,58 +312,133 @@ const TelegramUploader = {
    * Finds the best drop zone element
    */
   findDropZone() {
-    const selectors = [
-      this.config.selectors.composerWrapper,
-      this.config.selectors.messageContainer,
-      this.config.selectors.middleColumn,
-      this.config.selectors.messageInput
-    ];
-
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        console.log(`[Telegram Uploader] ✓ Found drop zone: ${selector}`);
-        return element;
-      }
+    const dropZone = this.profile.findDropZone();
+
+    if (dropZone) {
+      Logger.debug('Telegram Uploader', `✓ Found drop zone: ${dropZone.selector}`);
+      return dropZone.element;
     }
 
-    throw new Error('No drop zone found. Make sure you have a chat open.');
+    throw this.uploadError(this.errorCodes.DROP_ZONE_MISSING, 'No drop zone found. Make sure you have a chat open.');
   },
 
   /**
    * Creates a DataTransfer object with proper file data
+   * @param {File[]} files - All files go into one drop so Telegram builds an album
    */
-  createDataTransfer(file) {
+  createDataTransfer(files) {
     const dataTransfer = new DataTransfer();
-    dataTransfer.items.add(file);
+    files.forEach(file => dataTransfer.items.add(file));
     dataTransfer.effectAllowed = 'all';
     dataTransfer.dropEffect = 'copy';
     return dataTransfer;
   },
 
+  /**
+   * Waits for the preview variant of the batch to be ready: videos need
+   * their metadata loaded before Telegram enables sending
+   * Layout differences are logged rather than failing the upload, since
+   * the send button wait still guards the send
+   */
+  async waitForPreviewVariant(modal, files) {
+    const videos = files.filter(file => MediaTypes.kindOf(file.type) === 'video').length;
+    if (videos === 0 || !this.profile.selectors.previewVideo) {
+      return;
+    }
+
+    Logger.debug('Telegram Uploader', `Waiting for ${videos} video preview(s)...`);
+
+    try {
+      await this.waitUntil(() => {
+        const scope = modal.isConnected ? modal : this.profile.findPreviewModal();
+        const players = scope ? Array.from(scope.querySelectorAll(this.profile.selectors.previewVideo)) : [];
+        return players.length >= videos && players.every(video => video.readyState >= HTMLMediaElement.HAVE_METADATA);
+      }, this.config.maxWaitTime.videoPreview);
+      Logger.debug('Telegram Uploader', '✓ Video preview ready');
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      Logger.warn('Telegram Uploader', 'Video preview not recognised, continuing');
+    }
+  },
+
+  /**
+   * Gets files into Telegram's preview modal, falling back to the next
+   * injection strategy when the preview never appears
+   * @param {File[]} files - Files sent together (at most config.albumSize)
+   * @returns {Promise<{modal: Element, strategy: string}>}
+   */
+  async injectFiles(files) {
+    const failures = [];
+
+    for (const strategy of this.config.injectionStrategies) {
+      Logger.debug('Telegram Uploader', `Injecting files via "${strategy}"...`);
+
+      try {
+        const modal = await this.injectionMethods[strategy].call(this, files);
+        Logger.info('Telegram Uploader', `✓ Files injected via "${strategy}"`);
+        return { modal, strategy };
+      } catch (error) {
+        if (error.cancelled) {
+          throw error;
+        }
+        Logger.warn('Telegram Uploader', `✗ "${strategy}" failed: ${error.message}`);
+        failures.push({ strategy, error });
+      }
+    }
+
+    // A preview timeout means some strategy reached Telegram; otherwise nothing could be found
+    const timedOut = failures.some(failure => failure.error.code === this.errorCodes.PREVIEW_TIMEOUT);
+    throw this.uploadError(
+      timedOut ? this.errorCodes.PREVIEW_TIMEOUT : this.errorCodes.DROP_ZONE_MISSING,
+      `Telegram did not accept the files (${failures.map(failure => `${failure.strategy}: ${failure.error.message}`).join('; ')})`
+    );
+  },
+
+  /**
+   * Injection strategies, keyed by the names in config.injectionStrategies
+   * Each one resolves with the preview modal or rejects
+   */
+  injectionMethods: {
+    dragAndDrop(files) {
+      return this.uploadViaDragAndDrop(files);
+    },
+
+    paste(files) {
+      return this.uploadViaPaste(files);
+    },
+
+    fileInput(files) {
+      return this.uploadViaFileInput(files);
+    }
+  },
+
   /**
    * Simulates the complete drag and drop sequence
    * Now with proper waiting instead of blind timeouts
+   * @param {File[]} files - Files dropped together (at most config.albumSize)
+   * @returns {Promise<Element>} The preview modal
    */
-  async uploadViaDragAndDrop(file) {
+  async uploadViaDragAndDrop(files) {
     try {
-      console.log('[Telegram Uploader] ========================================');
-      console.log('[Telegram Uploader] Starting drag & drop simulation...');
+      Logger.debug('Telegram Uploader', 'Starting drag & drop simulation...');
       
       // Find initial drop zone
       let dropZone = this.findDropZone();
+      this.reportStage('dropZone');
       
-      // Create DataTransfer with our file
-      const dataTransfer = this.createDataTransfer(file);
+      // Create DataTransfer with our files
+      const dataTransfer = this.createDataTransfer(files);
       
-      console.log('[Telegram Uploader] File in DataTransfer:', {
+      Logger.debug('Telegram Uploader', 'Files in DataTransfer:', {
         files: dataTransfer.files.length,
         types: dataTransfer.types,
-        fileName: dataTransfer.files[0]?.name
+        fileTypes: Array.from(dataTransfer.files).map(file => file.type)
       });
 
       // STEP 1: Dispatch dragenter
-      console.log('[Telegram Uploader] Step 1: Dispatching dragenter...');
+      Logger.debug('Telegram Uploader', 'Step 1: Dispatching dragenter...');
       const dragEnterEvent = new DragEvent('dragenter', {
         bubbles: true,
         cancelable: true,
@@ -228,20 +448,24 @@ const TelegramUploader = {
       dropZone.dispatchEvent(dragEnterEvent);
 
       // STEP 2: Wait for DropTarget to appear (instead of blind timeout)
-      console.log('[Telegram Uploader] Step 2: Waiting for DropTarget to appear...');
+      Logger.debug('Telegram Uploader', 'Step 2: Waiting for DropTarget to appear...');
       try {
         const dropTarget = await this.waitForElement(
-          this.config.selectors.dropTarget, 
+          this.profile.selectors.dropTarget, 
           this.config.maxWaitTime.dropTarget
         );
-        console.log('[Telegram Uploader] ✓ DropTarget appeared!');
+        Logger.debug('Telegram Uploader', '✓ DropTarget appeared!');
+        this.reportStage('dropTarget');
         dropZone = dropTarget; // Switch to DropTarget
       } catch (error) {
-        console.log('[Telegram Uploader] ⚠️ DropTarget not found, continuing with current zone...');
+        if (error.cancelled) {
+          throw error;
+        }
+        Logger.warn('Telegram Uploader', 'DropTarget not found, continuing with current zone...');
       }
 
       // STEP 3: Dispatch dragover events
-      console.log('[Telegram Uploader] Step 3: Dispatching dragover events...');
+      Logger.debug('Telegram Uploader', 'Step 3: Dispatching dragover events...');
       
       // Dispatch 3 dragover events with small delays between them
       for (let i = 0; i < 3; i++) {
@@ -263,7 +487,7 @@ const TelegramUploader = {
       }
 
       // STEP 4: Dispatch drop
-      console.log('[Telegram Uploader] Step 4: Dispatching drop event...');
+      Logger.debug('Telegram Uploader', 'Step 4: Dispatching drop event...');
       
       // Prevent default on drop
       dropZone.addEventListener('drop', (e) => e.preventDefault(), { once: true });
@@ -276,7 +500,7 @@ const TelegramUploader = {
       });
       
       dropZone.dispatchEvent(dropEvent);
-      console.log('[Telegram Uploader] ✓ Drop event dispatched on:', dropZone.className);
+      Logger.debug('Telegram Uploader', '✓ Drop event dispatched on:', dropZone.className);
 
       // STEP 5: Dispatch dragleave (cleanup)
       const dragLeaveEvent = new DragEvent('dragleave', {
@@ -288,21 +512,182 @@ const TelegramUploader = {
       dropZone.dispatchEvent(dragLeaveEvent);
       
       // STEP 6: Wait for preview modal to appear (replaces blind timeout)
-      await this.waitForPreviewModal();
-      
-      return true;
+      const modal = await this.waitForPreviewModal();
+      this.reportStage('preview');
+      return modal;
       
     } catch (error) {
-      console.error('[Telegram Uploader] ✗ Drag & drop failed:', error.message);
+      Logger.warn('Telegram Uploader', '✗ Drag & drop failed:', error.message);
       throw error;
     }
   },
 
+  /**
+   * Pastes the files into the message input, like Ctrl+V with copied files
+   * @param {File[]} files
+   * @returns {Promise<Element>} The preview modal
+   */
+  async uploadViaPaste(files) {
+    const input = this.profile.findMessageInput();
+    if (!input) {
+      throw this.uploadError(this.errorCodes.DROP_ZONE_MISSING, 'Message input not found');
+    }
+
+    input.focus();
+
+    const pasteEvent = new ClipboardEvent('paste', {
+      bubbles: true,
+      cancelable: true,
+      clipboardData: this.createDataTransfer(files)
+    });
+    input.dispatchEvent(pasteEvent);
+    Logger.debug('Telegram Uploader', '✓ Paste event dispatched');
+
+    const modal = await this.waitForPreviewModal();
+    this.reportStage('preview');
+    return modal;
+  },
+
+  /**
+   * Sets the files on Telegram's hidden attachment input, as if they had
+   * been picked in the file dialog
+   * @param {File[]} files
+   * @returns {Promise<Element>} The preview modal
+   */
+  async uploadViaFileInput(files) {
+    const input = this.profile.findAttachmentInput();
+    if (!input) {
+      throw this.uploadError(this.errorCodes.DROP_ZONE_MISSING, 'Attachment input not found');
+    }
+
+    input.files = this.createDataTransfer(files).files;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    Logger.debug('Telegram Uploader', '✓ Files set on attachment input');
+
+    const modal = await this.waitForPreviewModal();
+    this.reportStage('preview');
+    return modal;
+  },
+
+  /**
+   * Normalizes caption text for comparison (Telegram may swap newlines and nbsp)
+   */
+  normalizeCaption(text) {
+    return text.replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Types the caption into the preview modal's caption field
+   * and waits until the field shows the expected text
+   * @param {Element} modal - The preview modal
+   * @param {string} caption - Caption markdown from the popup
+   */
+  async fillCaption(modal, caption) {
+    Logger.debug('Telegram Uploader', 'Filling caption...');
+
+    const input = this.profile.findCaptionInput(modal);
+    if (!input) {
+      throw new Error('Caption field not found in preview modal');
+    }
+
+    // Replace whatever Telegram pre-filled (e.g. a draft) with our caption
+    input.focus();
+    document.execCommand('selectAll', false, null);
+    document.execCommand('delete', false, null);
+    document.execCommand('insertHTML', false, CaptionFormat.toHtml(caption));
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+
+    const expected = this.normalizeCaption(CaptionFormat.toPlainText(caption));
+
+    try {
+      await this.waitUntil(
+        () => this.normalizeCaption(input.innerText || input.textContent || '') === expected,
+        this.config.maxWaitTime.caption
+      );
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      throw new Error('Caption was not accepted by the preview modal');
+    }
+
+    Logger.debug('Telegram Uploader', '✓ Caption accepted');
+  },
+
+  /**
+   * Sets "send as file" and "hide with spoiler" in the preview modal and
+   * checks that the modal shows them before anything is sent
+   * Telegram has no spoilers for files, so spoiler only applies to media
+   * @param {Element} modal - The preview modal
+   * @param {{asFile: boolean, spoiler: boolean}} [sendOptions]
+   * @returns {Promise<Element>} The preview modal (Telegram may re-render it)
+   */
+  async applySendOptions(modal, { asFile = false, spoiler = false } = {}) {
+    const wanted = { asFile, spoiler: spoiler && !asFile };
+    let current = modal;
+
+    // File mode first: switching it can drop a spoiler
+    for (const option of ['asFile', 'spoiler']) {
+      if (this.profile.readSendOptions(current)[option] === wanted[option]) {
+        continue;
+      }
+
+      Logger.debug('Telegram Uploader', `Setting ${option} to ${wanted[option]}...`);
+
+      try {
+        await this.toggleSendOption(current, option, wanted[option]);
+        await this.waitUntil(() => {
+          current = this.profile.findPreviewModal() || current;
+          return this.profile.readSendOptions(current)[option] === wanted[option];
+        }, this.config.maxWaitTime.sendOption);
+      } catch (error) {
+        if (error.cancelled) {
+          throw error;
+        }
+        throw this.uploadError(
+          this.errorCodes.SEND_OPTION_FAILED,
+          `Could not set ${option} in the preview: ${error.message}`
+        );
+      }
+
+      Logger.debug('Telegram Uploader', `✓ ${option} set to ${wanted[option]}`);
+    }
+
+    return current;
+  },
+
+  /**
+   * Flips one send option: through the compress checkbox where the layout
+   * has one for it, otherwise through the preview's options menu
+   */
+  async toggleSendOption(modal, option, enabled) {
+    const checkbox = option === 'asFile' ? this.profile.findCompressCheckbox(modal) : null;
+    if (checkbox) {
+      checkbox.click();
+      return;
+    }
+
+    const menuButton = this.profile.findPreviewMenuButton(modal);
+    if (!menuButton) {
+      throw new Error('Preview has no options menu');
+    }
+    menuButton.click();
+
+    let item = null;
+    await this.waitUntil(() => {
+      item = this.profile.findSendOptionMenuItem(option, enabled);
+      return item !== null;
+    }, this.config.maxWaitTime.sendOption);
+
+    item.click();
+  },
+
   /**
    * Performs multiple click methods on an element
    */
   performClick(element) {
-    console.log('[Telegram Uploader] Attempting click with multiple methods...');
+    Logger.debug('Telegram Uploader', 'Attempting click with multiple methods...');
     
     // Method: Keyboard Enter
     try {
@@ -324,156 +709,724 @@ const TelegramUploader = {
         keyCode: 13
       }));
       
-      console.log('[Telegram Uploader] ✓ Method 4: Keyboard Enter executed');
+      Logger.debug('Telegram Uploader', '✓ Method 4: Keyboard Enter executed');
     } catch (error) {
-      console.log('[Telegram Uploader] ✗ Method 4 failed:', error.message);
+      Logger.warn('Telegram Uploader', '✗ Method 4 failed:', error.message);
     }
   },
 
   /**
    * Finds and clicks the send button
    * Now uses smart waiting instead of blind timeouts
+   * Detection does not depend on the button label (see profile sendButtonStrategies)
+   * @param {Element} [modal] - Preview modal to search first
+   * @returns {Promise<string>} Name of the strategy that found the button
    */
-  async clickSendButton() {
+  async clickSendButton(modal) {
     try {
-      console.log('[Telegram Uploader] Looking for send button...');
+      Logger.debug('Telegram Uploader', 'Looking for send button...');
       
       // IMPROVED: Wait until send button actually exists and is visible
       // Instead of: await new Promise(resolve => setTimeout(resolve, 2000));
-      await this.waitUntil(() => {
-        const buttons = Array.from(document.querySelectorAll('button'));
-        const visibleButtons = buttons.filter(btn => btn.offsetParent !== null);
-        const sendButton = visibleButtons.find(btn => {
-          const text = btn.textContent.trim().toLowerCase();
-          const isPrimary = btn.className.includes('primary');
-          return text === 'send' && isPrimary;
-        });
-        return sendButton !== undefined;
-      }, this.config.maxWaitTime.sendButton);
-      
-      console.log('[Telegram Uploader] ✓ Send button is now available');
-      
-      // Get all buttons
-      const allButtons = Array.from(document.querySelectorAll('button'));
-      const visibleButtons = allButtons.filter(btn => btn.offsetParent !== null);
-      
-      console.log(`[Telegram Uploader] Found ${visibleButtons.length} visible buttons`);
-      
-      // Find send button (we know it exists now because waitUntil succeeded)
-      let sendButton = visibleButtons.find(btn => {
-        const text = btn.textContent.trim().toLowerCase();
-        const isPrimary = btn.className.includes('primary');
-        return text === 'send' && isPrimary;
-      });
-      
-      // Fallback strategies
-      if (!sendButton) {
-        sendButton = visibleButtons.find(btn => 
-          btn.textContent.trim().toLowerCase() === 'send'
+      let found = null;
+      try {
+        await this.waitUntil(() => {
+          const scope = modal && modal.isConnected ? modal : this.profile.findPreviewModal();
+          found = scope ? this.profile.findSendButton(scope) : null;
+          return found !== null;
+        }, this.config.maxWaitTime.sendButton);
+      } catch (error) {
+        if (error.cancelled) {
+          throw error;
+        }
+        Logger.warn('Telegram Uploader', 'Send button strategies:', this.profile.describeSendButtonStrategies(modal));
+        const visibleButtons = Array.from(document.querySelectorAll('button'))
+          .filter(btn => btn.offsetParent !== null);
+        Logger.warn('Telegram Uploader', 'Visible buttons:', visibleButtons.map(btn => `"${btn.textContent.trim()}" - ${btn.className}`));
+        throw this.uploadError(
+          this.errorCodes.SEND_BUTTON_MISSING,
+          `Send button not found within ${this.config.maxWaitTime.sendButton}ms`
         );
       }
       
-      if (!sendButton) {
-        sendButton = visibleButtons.find(btn => {
-          const text = btn.textContent.trim().toLowerCase();
-          const hasButtonClass = btn.className.includes('Button');
-          return text === 'send' && hasButtonClass;
-        });
-      }
+      const { button: sendButton, strategy } = found;
+      Logger.info('Telegram Uploader', `✓ Send button found via "${strategy}" strategy`);
 
-      if (!sendButton) {
-        console.log('[Telegram Uploader] ⚠️ Visible buttons:');
-        visibleButtons.forEach((btn, idx) => {
-          console.log(`  ${idx}: "${btn.textContent.trim()}" - ${btn.className}`);
-        });
-        throw new Error('Send button not found despite passing waitUntil check');
-      }
-
-      console.log('[Telegram Uploader] Send button details:', {
+      Logger.debug('Telegram Uploader', 'Send button details:', {
         text: sendButton.textContent.trim(),
         className: sendButton.className,
         disabled: sendButton.disabled
       });
       
-      console.log('[Telegram Uploader] Clicking send button...');
+      // Last chance to back out: after the click the album is on its way
+      this.throwIfCancelled();
+
+      Logger.debug('Telegram Uploader', 'Clicking send button...');
       this.performClick(sendButton);
+      this.reportStage('sent');
       
       // IMPROVED: Wait for modal to close (indicates success)
       // Instead of: await new Promise(resolve => setTimeout(resolve, 1000));
-      console.log('[Telegram Uploader] Waiting for preview to close...');
+      Logger.debug('Telegram Uploader', 'Waiting for preview to close...');
       try {
-        await this.waitUntil(() => {
-          const modal = document.querySelector(this.config.selectors.previewModal);
-          return modal === null || modal.style.display === 'none';
-        }, this.config.maxWaitTime.clickResponse);
-        console.log('[Telegram Uploader] ✓ Preview closed - photo sent successfully!');
+        await this.waitUntil(
+          () => !this.profile.isPreviewModalOpen(),
+          this.config.maxWaitTime.clickResponse
+        );
+        Logger.debug('Telegram Uploader', '✓ Preview closed');
       } catch (error) {
-        console.log('[Telegram Uploader] ⚠️ Could not confirm modal closed, but click was executed');
+        Logger.warn('Telegram Uploader', 'Could not confirm modal closed, but click was executed');
       }
+
+      return strategy;
       
     } catch (error) {
-      throw new Error(`Failed to click send: ${error.message}`);
+      if (error.cancelled || error.code) {
+        throw error;
+      }
+      throw this.uploadError(undefined, `Failed to click send: ${error.message}`);
+    }
+  },
+
+  /**
+   * Checks whether a message bubble is the one we just sent
+   * @param {Object} message - From profile.readMessage()
+   * @param {{caption: string, files: File[]}} expected
+   */
+  messageMatches(message, expected) {
+    if (message.mediaCount === 0 && message.fileNames.length === 0) {
+      return false;
+    }
+
+    const caption = this.normalizeCaption(CaptionFormat.toPlainText(expected.caption || ''));
+    if (this.normalizeCaption(message.caption) !== caption) {
+      return false;
     }
+
+    // Documents show their file name; photos and videos don't
+    const names = expected.files.map(file => file.name);
+    return message.fileNames.every(name => names.includes(name));
+  },
+
+  /**
+   * Finds the newest outgoing message that was not there before the send
+   * and matches what we sent
+   * Looked up again on every check, since Telegram re-renders the bubble
+   * (and swaps its temporary ID) once the server has the message
+   * @param {Set<Element>} before - Outgoing messages rendered before the send
+   */
+  findSentMessage(before, expected) {
+    const candidates = this.profile.getOutgoingMessages()
+      .filter(element => !before.has(element))
+      .map(element => this.profile.readMessage(element))
+      .filter(message => this.messageMatches(message, expected));
+
+    return candidates[candidates.length - 1] || null;
+  },
+
+  /**
+   * Watches the message list for the album we just sent and follows its
+   * upload state until Telegram has delivered it
+   * @param {Set<Element>} before - Outgoing messages rendered before the send
+   * @param {{caption: string, files: File[]}} expected
+   * @returns {Promise<{status: 'confirmed'|'unconfirmed'|'failed', messageId: string|null, timestamp: number|null}>}
+   */
+  async confirmDelivery(before, expected) {
+    Logger.debug('Telegram Uploader', 'Waiting for the message to appear...');
+
+    let message = null;
+    try {
+      await this.waitUntil(() => {
+        message = this.findSentMessage(before, expected);
+        return message !== null;
+      }, this.config.maxWaitTime.messageAppear);
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      Logger.warn('Telegram Uploader', 'Sent message not found in the chat');
+      return { status: 'unconfirmed', messageId: null, timestamp: null };
+    }
+
+    Logger.debug('Telegram Uploader', `✓ Message ${message.id} appeared (${message.status})`);
+
+    const megabytes = expected.files.reduce((sum, file) => sum + file.size, 0) / (1024 * 1024);
+    const timeout = this.config.maxWaitTime.delivery + Math.ceil(megabytes) * this.config.deliveryPerMegabyte;
+
+    try {
+      await this.waitUntil(() => {
+        message = this.findSentMessage(before, expected) || message;
+        return message.status !== 'pending';
+      }, timeout, 250);
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      Logger.warn('Telegram Uploader', `Message ${message.id} still uploading after ${timeout}ms`);
+      return { status: 'unconfirmed', messageId: message.id, timestamp: message.timestamp };
+    }
+
+    if (message.status === 'failed') {
+      Logger.warn('Telegram Uploader', `✗ Telegram marked message ${message.id} as failed`);
+      return { status: 'failed', messageId: message.id, timestamp: message.timestamp };
+    }
+
+    Logger.info('Telegram Uploader', `✓ Message ${message.id} delivered`);
+    this.reportStage('confirmed');
+    return { status: 'confirmed', messageId: message.id, timestamp: message.timestamp };
   },
 
   /**
    * Main upload function
+   * @param {Object} data - {files, caption, chat, sendOptions}; see broadcast() for several chats
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the upload and closes the preview modal
+   * @param {Function} [options.onStage] - ({stage, batch, batches}) => void, see this.stages
    */
-  async uploadPhoto(data) {
+  async uploadPhoto(data, { signal = null, onStage = null } = {}) {
     const startTime = Date.now();
-    
+    const sentBatches = [];
+    const recovery = [];
+
+    this.activeUpload = { signal, onStage, job: data?.jobId || null, batch: 0, batches: 0 };
+    const span = Logger.span('Telegram Uploader', 'upload', { job: this.activeUpload.job, files: data?.files?.length });
+
     try {
-      console.log('[Telegram Uploader] ========================================');
-      console.log('[Telegram Uploader] UPLOAD STARTED');
-      console.log('[Telegram Uploader] ========================================');
+      this.getProfile();
 
       // Validate input
-      if (!data || !data.arrayBuffer) {
-        throw new Error('Invalid data: arrayBuffer is required');
+      const files = data?.files || [];
+      if (files.length === 0 || files.some(file => !(file instanceof File))) {
+        throw new Error('Invalid data: files are required');
       }
 
-      // Convert to File
-      const file = this.arrayBufferToFile(
-        data.arrayBuffer,
-        data.filename || 'image.png',
-        data.mimeType || 'image/png'
-      );
+      const tooLarge = files.find(file => file.size > this.config.maxFileSize);
+      if (tooLarge) {
+        throw this.uploadError(this.errorCodes.FILE_TOO_LARGE, `${tooLarge.name} is larger than Telegram accepts`);
+      }
 
-      console.log(`[Telegram Uploader] File created:`, {
-        name: file.name,
+      // A preview left open by an earlier attempt would swallow our files
+      if (this.profile.isPreviewModalOpen()) {
+        Logger.info('Telegram Uploader', 'Closing stale preview modal...');
+        recovery.push('closedStalePreview');
+        await this.closePreviewModal();
+      }
+
+      Logger.debug('Telegram Uploader', `${files.length} file(s) created:`, files.map(file => ({
         size: file.size,
         type: file.type
-      });
+      })));
 
-      // Upload via drag and drop (with smart waiting)
-      await this.uploadViaDragAndDrop(file);
+      // Switch to the chat picked in the popup (if any) and verify its header
+      if (data.chat) {
+        await this.timeStep('openChat', () => this.openChat(data.chat));
+      } else if (!this.isValidTelegramPage()) {
+        throw this.uploadError(this.errorCodes.NO_CHAT_OPEN, 'Not on a valid Telegram chat page. Please open a chat first.');
+      }
+
+      const batches = MediaTypes.splitIntoBatches(files, this.config.albumSize);
+      this.activeUpload.batches = batches.length;
+
+      for (let i = 0; i < batches.length; i++) {
+        this.activeUpload.batch = i + 1;
+        Logger.info('Telegram Uploader', `Sending batch ${i + 1}/${batches.length} (${batches[i].length} item(s))`);
 
-      // Click send button (with smart waiting)
-      await this.clickSendButton();
+        // Get the files into the preview (drag and drop, then the fallbacks)
+        const injected = await this.timeStep('inject', () => this.injectFiles(batches[i]));
+        const injectionStrategy = injected.strategy;
+        const kind = MediaTypes.batchKind(batches[i]);
+
+        // Photo or file, spoiler or not: set before the caption, since
+        // switching modes can re-render the preview. Documents are always files.
+        const modal = await this.timeStep('sendOptions', () => this.applySendOptions(
+          injected.modal,
+          kind === 'document' ? { asFile: true, spoiler: false } : data.sendOptions
+        ));
+        await this.timeStep('videoPreview', () => this.waitForPreviewVariant(modal, batches[i]));
+
+        // The caption belongs to the first album only
+        if (i === 0 && data.caption) {
+          await this.timeStep('caption', () => this.fillCaption(modal, data.caption));
+        }
+
+        // Click send button (with smart waiting)
+        const before = new Set(this.profile.getOutgoingMessages());
+        const sendButtonStrategy = await this.timeStep('send', () => this.clickSendButton(modal));
+
+        // Only the message list tells us whether Telegram actually got it
+        const delivery = await this.timeStep('confirm', () => this.confirmDelivery(before, {
+          caption: i === 0 ? data.caption : '',
+          files: batches[i]
+        }));
+
+        sentBatches.push({ batch: i + 1, count: batches[i].length, kind, injectionStrategy, sendButtonStrategy, ...delivery });
+
+        if (delivery.status === 'failed') {
+          throw this.uploadError(
+            this.errorCodes.DELIVERY_FAILED,
+            `Telegram could not send ${batches.length > 1 ? `album ${i + 1}` : 'the message'}`
+          );
+        }
+      }
 
       const duration = Date.now() - startTime;
-      console.log('[Telegram Uploader] ========================================');
-      console.log(`[Telegram Uploader] ✓ SUCCESS (${duration}ms)`);
-      console.log('[Telegram Uploader] ========================================');
+      const delivery = sentBatches.every(batch => batch.status === 'confirmed') ? 'confirmed' : 'unconfirmed';
+      span.end({ delivery, batches: sentBatches.length });
 
       return {
         success: true,
+        delivery,
+        code: delivery === 'unconfirmed' ? this.errorCodes.UNCONFIRMED : null,
         message: 'Photo uploaded successfully',
+        recovery,
+        batches: sentBatches,
+        diagnostics: this.getDiagnostics(sentBatches),
+        chat: { id: this.getCurrentChatId(), name: this.profile.getCurrentChatTitle() },
         duration
       };
 
     } catch (error) {
       const duration = Date.now() - startTime;
-      console.error('[Telegram Uploader] ========================================');
-      console.error('[Telegram Uploader] ✗ FAILED:', error.message);
-      console.error('[Telegram Uploader] ========================================');
+      span.fail(error);
+
+      if (error.cancelled) {
+        this.activeUpload = null;
+        await this.closePreviewModal();
+
+        return {
+          success: false,
+          cancelled: true,
+          error: error.message,
+          batches: sentBatches,
+          duration
+        };
+      }
+
+      Logger.error('Telegram Uploader', `✗ Upload failed: ${error.message}`, error);
+      recovery.push(...await this.recover(error.code));
 
       return {
         success: false,
+        delivery: 'failed',
+        code: error.code || null,
         error: error.message,
+        recovery,
+        batches: sentBatches,
+        diagnostics: this.getDiagnostics(sentBatches),
+        duration
+      };
+    } finally {
+      this.activeUpload = null;
+    }
+  },
+
+  /**
+   * Sends the same files to several chats, one after the other
+   * Each chat gets a full upload (open chat, drop, send, confirm); a chat
+   * that fails doesn't stop the others
+   * @param {Object} data - {files, caption, chats, pauseBetweenChats, sendOptions}
+   * @param {Object} [options] - As for uploadPhoto; stages also carry {chat, chats}
+   * @returns {Promise<Object>} Response like uploadPhoto's, plus broadcast: one result per chat
+   */
+  async broadcast(data, { signal = null, onStage = null } = {}) {
+    const startTime = Date.now();
+    const results = [];
+    const { chats, pauseBetweenChats = 0 } = data;
+
+    Logger.info('Telegram Uploader', `Broadcasting to ${chats.length} chats`);
+
+    for (let i = 0; i < chats.length; i++) {
+      const chat = chats[i];
+
+      if (i > 0 && pauseBetweenChats > 0) {
+        Logger.debug('Telegram Uploader', `Pausing ${pauseBetweenChats}ms before the next chat`);
+        const resumeAt = Date.now() + pauseBetweenChats;
+        try {
+          await this.waitUntil(() => Date.now() >= resumeAt, pauseBetweenChats + 1000, 250, signal);
+        } catch (error) {
+          return { success: false, cancelled: true, error: error.message, broadcast: results, duration: Date.now() - startTime };
+        }
+      }
+
+      const response = await this.uploadPhoto({ ...data, chats: null, chat }, {
+        signal,
+        onStage: onStage && ((stage) => onStage({ ...stage, chat: i + 1, chats: chats.length, chatName: chat.name }))
+      });
+
+      if (response.cancelled) {
+        return { ...response, broadcast: results, duration: Date.now() - startTime };
+      }
+
+      results.push({
+        chat: { id: chat.id, name: chat.name },
+        success: response.success,
+        delivery: response.delivery,
+        code: response.code || null,
+        error: response.success ? null : response.error,
+        batches: response.batches
+      });
+      Logger[response.success ? 'info' : 'warn']('Telegram Uploader', `${response.success ? '✓' : '✗'} Chat ${i + 1}/${chats.length} (${chat.id})`);
+    }
+
+    const failed = results.filter(result => !result.success);
+    const batches = results.find(result => result.success)?.batches || [];
+    const duration = Date.now() - startTime;
+
+    Logger.info('Telegram Uploader', `Broadcast done: ${results.length - failed.length}/${results.length} chats (${duration}ms)`);
+
+    if (failed.length > 0) {
+      return {
+        success: false,
+        delivery: 'failed',
+        code: this.errorCodes.BROADCAST_INCOMPLETE,
+        error: `Could not send to ${failed.map(result => `"${result.chat.name}"`).join(', ')}`,
+        broadcast: results,
+        batches,
+        diagnostics: this.getDiagnostics(batches),
         duration
       };
     }
+
+    const delivery = results.every(result => result.delivery === 'confirmed') ? 'confirmed' : 'unconfirmed';
+    return {
+      success: true,
+      delivery,
+      code: delivery === 'unconfirmed' ? this.errorCodes.UNCONFIRMED : null,
+      message: `Sent to ${results.length} chats`,
+      broadcast: results,
+      batches,
+      diagnostics: this.getDiagnostics(batches),
+      duration
+    };
+  },
+
+  /**
+   * Cleans up after a failed upload so the next attempt starts from a
+   * known state
+   * @param {string} [code] - One of this.errorCodes
+   * @returns {Promise<string[]>} Recovery steps taken
+   */
+  async recover(code) {
+    const steps = [];
+
+    switch (code) {
+      case this.errorCodes.PREVIEW_TIMEOUT:
+      case this.errorCodes.SEND_BUTTON_MISSING:
+      case this.errorCodes.SEND_OPTION_FAILED:
+      case this.errorCodes.DROP_ZONE_MISSING:
+        // A half-open preview would catch the next attempt's files
+        if (this.profile?.isPreviewModalOpen()) {
+          await this.closePreviewModal();
+          steps.push('closedPreview');
+        }
+        break;
+    }
+
+    if (steps.length > 0) {
+      Logger.info('Telegram Uploader', 'Recovery:', steps.join(', '));
+    }
+    return steps;
+  },
+
+  /**
+   * Closes the preview modal (if open) and waits for it to go away
+   */
+  async closePreviewModal() {
+    if (!this.profile.isPreviewModalOpen()) {
+      return;
+    }
+
+    this.profile.closePreviewModal();
+
+    try {
+      await this.waitUntil(
+        () => !this.profile.isPreviewModalOpen(),
+        this.config.maxWaitTime.clickResponse
+      );
+      Logger.debug('Telegram Uploader', '✓ Preview closed');
+    } catch (error) {
+      Logger.warn('Telegram Uploader', 'Preview did not close');
+    }
+  },
+
+  /**
+   * Describes how the upload ran: the layout profile, which injection
+   * strategy got the files in and which send-button strategy matched
+   * (or, if none did, what each one sees now)
+   */
+  getDiagnostics(sentBatches) {
+    const profile = this.profile || this.getProfile();
+    const last = sentBatches[sentBatches.length - 1];
+
+    return {
+      profile: profile.id,
+      injectionStrategy: last ? last.injectionStrategy : null,
+      sendButtonStrategy: last ? last.sendButtonStrategy : null,
+      sendButtonStrategies: profile.isPreviewModalOpen() ? profile.describeSendButtonStrategies() : null
+    };
+  },
+
+  // Selectors that only match in some situations, so a health check can't
+  // expect them: during a drag ('drag'), while a preview is open ('preview'),
+  // with its menu open ('menu'), or depending on what the chat or the
+  // preview holds ('content'; Telegram adds the attachment input once the
+  // attach menu has been used)
+  situationalSelectors: {
+    dropTarget: 'drag',
+    attachmentInput: 'content',
+    previewModal: 'preview',
+    previewCloseButton: 'preview',
+    previewMenuButton: 'preview',
+    captionInput: 'preview',
+    sendButton: 'preview',
+    previewMenuItems: 'menu',
+    compressCheckbox: 'content',
+    previewDocument: 'content',
+    previewSpoiler: 'content',
+    previewVideo: 'content',
+    chatPinned: 'content',
+    outgoingMessage: 'content',
+    messageMedia: 'content',
+    messageCaption: 'content',
+    messageMeta: 'content',
+    messageFileName: 'content',
+    messagePending: 'content',
+    messageFailed: 'content'
+  },
+
+  /**
+   * Health check for the popup: what the uploader would find on the page
+   * right now, without dropping or sending anything
+   * @returns {Object} Profile, open chat, stale preview, injection targets,
+   *   send-button strategies and every selector with its match count
+   */
+  diagnose() {
+    const profile = this.getProfile();
+    const modal = profile.isPreviewModalOpen() ? profile.findPreviewModal() : null;
+    const sendButton = modal ? profile.findSendButton(modal) : null;
+    const dropZone = profile.findDropZone();
+
+    return {
+      profile: { id: profile.id, name: profile.name },
+      url: window.location.origin + window.location.pathname,
+      chatOpen: this.isValidTelegramPage(),
+      chatTitle: profile.getCurrentChatTitle(),
+      stalePreview: modal !== null,
+      injectionTargets: {
+        dragAndDrop: dropZone ? dropZone.selector : null,
+        paste: profile.findMessageInput() !== null,
+        fileInput: profile.findAttachmentInput() !== null
+      },
+      // Only known while a preview is open (a stale one, or opened by hand)
+      sendButtonStrategy: sendButton ? sendButton.strategy : null,
+      sendButtonStrategies: modal ? profile.describeSendButtonStrategies(modal) : null,
+      selectors: this.diagnoseSelectors(profile),
+      timeouts: this.config.maxWaitTime
+    };
+  },
+
+  /**
+   * Counts the matches of each of the profile's selectors
+   * Lists and menu item maps are checked entry by entry ("dropZones[1]",
+   * "previewMenuItems.asFileOn")
+   * @returns {Array<{name: string, selector: string, matches: number|null,
+   *   situation: string|null, overridden: boolean}>} matches is null for invalid CSS
+   */
+  diagnoseSelectors(profile) {
+    const results = [];
+
+    for (const [name, value] of Object.entries(profile.selectors)) {
+      const entries = typeof value === 'string' ? [[name, value]]
+        : Array.isArray(value) ? value.map((selector, index) => [`${name}[${index}]`, selector])
+          : Object.entries(value).map(([key, selector]) => [`${name}.${key}`, selector]);
+
+      for (const [entryName, selector] of entries) {
+        let matches = null;
+        try {
+          matches = document.querySelectorAll(selector).length;
+        } catch (error) {
+          Logger.warn('Telegram Uploader', `Invalid selector ${entryName}: ${selector}`);
+        }
+
+        results.push({
+          name: entryName,
+          selector,
+          matches,
+          situation: this.situationalSelectors[name] || null,
+          overridden: profile.selectors[name] !== profile.defaultSelectors[name]
+        });
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Markup of the containers the uploader works in, for the debug bundle
+   * Redacted: text becomes its length, attribute values other than the
+   * structural ones are replaced and digits in ids are masked, so no
+   * messages, names, links or images leave the page
+   * @returns {Object<string, string|null>} HTML per container, null when not on the page
+   */
+  snapshotDom() {
+    const profile = this.getProfile();
+    const containers = {
+      chatList: profile.getChatListItems()[0]?.parentElement || null,
+      chatHeader: document.querySelector(profile.selectors.chatHeaderTitle)?.parentElement || null,
+      messages: document.querySelector(profile.selectors.chatContent),
+      composer: profile.findDropZone()?.element || null,
+      preview: profile.findPreviewModal()
+    };
+
+    const snapshot = {};
+    for (const [name, element] of Object.entries(containers)) {
+      const budget = { left: this.config.snapshot.maxLength };
+      snapshot[name] = element ? this.serializeElement(element, 0, budget) : null;
+    }
+    return snapshot;
+  },
+
+  serializeElement(element, depth, budget) {
+    const { maxDepth, maxChildren, keepAttributes } = this.config.snapshot;
+    const tag = element.tagName.toLowerCase();
+
+    const attributes = Array.from(element.attributes).map(({ name, value }) => {
+      if (keepAttributes.includes(name)) {
+        return ` ${name}="${value}"`;
+      }
+      return name === 'id' ? ` id="${value.replace(/\d/g, '0')}"` : ` ${name}="…"`;
+    }).join('');
+
+    let html = `<${tag}${attributes}>`;
+    budget.left -= html.length;
+
+    // Icons and scripts say nothing about the layout
+    if (!['svg', 'script', 'style', 'noscript'].includes(tag)) {
+      if (depth >= maxDepth || budget.left <= 0) {
+        html += '<!-- cut -->';
+      } else {
+        const children = Array.from(element.childNodes);
+        // The newest messages are at the end of the list
+        const kept = children.slice(-maxChildren);
+        if (kept.length < children.length) {
+          html += `<!-- ${children.length - kept.length} earlier nodes -->`;
+        }
+
+        for (const child of kept) {
+          if (child.nodeType === Node.ELEMENT_NODE) {
+            html += this.serializeElement(child, depth + 1, budget);
+          } else if (child.nodeType === Node.TEXT_NODE && child.textContent.trim()) {
+            html += `[${child.textContent.trim().length} chars]`;
+          }
+        }
+      }
+    }
+
+    return `${html}</${tag}>`;
+  },
+
+  /**
+   * Reads the chats shown in the left sidebar
+   * The sidebar is ordered by recent activity, with pinned chats on top
+   * @returns {Array<{id: string, name: string, avatar: string|null, pinned: boolean, recent: number}>}
+   */
+  listChats() {
+    const profile = this.getProfile();
+    const chats = [];
+
+    for (const item of profile.getChatListItems()) {
+      const chat = profile.readChatItem(item);
+
+      if (!chat || chats.some(existing => existing.id === chat.id)) {
+        continue;
+      }
+
+      chats.push({
+        id: chat.id,
+        name: chat.name,
+        avatar: this.readAvatar(chat.avatarImg),
+        pinned: chat.pinned,
+        recent: chats.length
+      });
+
+      if (chats.length >= this.config.maxChats) {
+        break;
+      }
+    }
+
+    Logger.debug('Telegram Uploader', `Found ${chats.length} chats in sidebar`);
+    return chats;
+  },
+
+  /**
+   * Converts an avatar image to a small data URL
+   * (Telegram serves avatars as blob: URLs the popup cannot load)
+   * @returns {string|null}
+   */
+  readAvatar(img) {
+    if (!img || !img.complete || img.naturalWidth === 0) {
+      return null;
+    }
+
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = 32;
+      canvas.getContext('2d').drawImage(img, 0, 0, 32, 32);
+      return canvas.toDataURL('image/jpeg', 0.8);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Returns the id of the chat currently open
+   */
+  getCurrentChatId() {
+    return this.getProfile().getCurrentChatId();
+  },
+
+  /**
+   * Opens a chat and checks the header title matches before anything is dropped
+   * @param {{id: string, name: string}} chat
+   */
+  async openChat(chat) {
+    Logger.debug('Telegram Uploader', `Opening chat ${chat.id}...`);
+
+    const profile = this.getProfile();
+    const isOpen = () => profile.getCurrentChatTitle() === chat.name && profile.hasOpenChat();
+
+    if (isOpen()) {
+      Logger.debug('Telegram Uploader', '✓ Chat already open');
+      return;
+    }
+
+    // Prefer clicking the sidebar entry, fall back to hash navigation
+    // for chats scrolled out of the (virtualized) list
+    const link = profile.getChatListItems()
+      .map(item => profile.readChatItem(item))
+      .find(item => item?.id === chat.id)?.link;
+
+    if (link) {
+      link.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true, view: window }));
+      link.click();
+    } else {
+      window.location.hash = chat.id;
+    }
+
+    try {
+      await this.waitUntil(isOpen, this.config.maxWaitTime.openChat);
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      const actual = profile.getCurrentChatTitle();
+      throw this.uploadError(
+        this.errorCodes.NO_CHAT_OPEN,
+        `Could not open chat ${chat.id}${actual ? ' (the header shows another chat)' : ''}`
+      );
+    }
+
+    Logger.info('Telegram Uploader', `✓ Chat ${chat.id} is open`);
   },
 
   /**
@@ -482,33 +1435,55 @@ const TelegramUploader = {
   isValidTelegramPage() {
     const url = window.location.href;
     const isWebTelegram = url.includes('web.telegram.org');
-    const hasChatContent = document.querySelector(this.config.selectors.chatContent) !== null;
+    const hasChatContent = this.getProfile().hasOpenChat();
     
     return isWebTelegram && hasChatContent;
   }
 };
 
-// Listen for messages from popup
+// Uploads arrive from the background queue over a file transfer port
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== FileTransfer.portName) {
+    return;
+  }
+
+  Logger.debug('Telegram Uploader', 'File transfer started');
+
+  FileTransfer.receive(port, async (received, data, options) => {
+    const files = received.map(file => TelegramUploader.arrayBufferToFile(
+      file.parts,
+      file.filename || 'image.png',
+      // Files the browser has no type for go to Telegram as plain documents
+      file.mimeType || 'application/octet-stream'
+    ));
+
+    return data.chats?.length > 0
+      ? TelegramUploader.broadcast({ ...data, files }, options)
+      : TelegramUploader.uploadPhoto({ ...data, files }, options);
+  });
+});
+
+// Listen for messages from the popup and background worker
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('[Telegram Uploader] Message received:', request.action);
+  Logger.debug('Telegram Uploader', 'Message received:', request.action);
 
-  if (request.action === 'uploadPhoto') {
-    if (!TelegramUploader.isValidTelegramPage()) {
-      sendResponse({
-        success: false,
-        error: 'Not on a valid Telegram chat page. Please open a chat first.'
-      });
-      return true;
-    }
+  if (request.action === 'listChats') {
+    sendResponse({
+      success: true,
+      chats: TelegramUploader.listChats(),
+      currentChatId: TelegramUploader.getCurrentChatId()
+    });
+    return true;
+  }
 
-    TelegramUploader.uploadPhoto(request.data)
-      .then(result => sendResponse(result))
-      .catch(error => sendResponse({
-        success: false,
-        error: `Unexpected error: ${error.message}`
-      }));
+  if (request.action === 'diagnose') {
+    sendResponse({ success: true, report: TelegramUploader.diagnose() });
+    return true;
+  }
 
-    return true; // Async response
+  if (request.action === 'domSnapshot') {
+    sendResponse({ success: true, snapshot: TelegramUploader.snapshotDom() });
+    return true;
   }
 
   if (request.action === 'ping') {
@@ -523,4 +1498,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true;
 });
 
-console.log('[Telegram Uploader] Content script loaded and ready');
\ No newline at end of file
+Settings.get()
+  .catch(error => {
+    Logger.warn('Telegram Uploader', 'Could not read the settings, using the defaults', error);
+    return Settings.defaults;
+  })
+  .then(settings => TelegramUploader.applySettings(settings));
+Settings.onChanged(settings => TelegramUploader.applySettings(settings));
+
+Logger.info('Telegram Uploader', 'Content script loaded and ready');
\ No newline at end of file
@@ -0,0 +1,232 @@
+/**
+ * Health check view for the popup
+ * Asks the Telegram tab's content script what the uploader would find on
+ * the page (see TelegramUploader.diagnose) and shows it as a checklist,
+ * so a Telegram Web change shows up before an upload times out
+ */
+
+class DiagnosticsView {
+  constructor() {
+    this.container = document.getElementById('diagnosticsContainer');
+    this.list = document.getElementById('diagnosticsList');
+    this.runButton = document.getElementById('runDiagnostics');
+    this.copyButton = document.getElementById('copyDebugReport');
+    this.bundleButton = document.getElementById('downloadDebugBundle');
+    this.status = document.getElementById('diagnosticsStatus');
+
+    // Last result: {response, checks, checkedAt}
+    this.result = null;
+
+    this.init();
+  }
+
+  init() {
+    this.runButton.addEventListener('click', () => this.run());
+    this.copyButton.addEventListener('click', () => this.copyReport());
+    this.bundleButton.addEventListener('click', () => this.downloadBundle());
+
+    // Checked the first time the section is opened
+    this.container.addEventListener('toggle', () => {
+      if (this.container.open && !this.result) {
+        this.run();
+      }
+    });
+  }
+
+  async run() {
+    this.runButton.disabled = true;
+    this.copyButton.disabled = true;
+    this.status.textContent = I18n.t('diagnosticsRunning');
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'diagnose' });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    if (!response) {
+      response = { success: false, error: I18n.t('errorUploadUnknown') };
+    }
+
+    Logger.info('Popup', 'Health check', response);
+    this.result = { response, checks: this.buildChecks(response), checkedAt: Date.now() };
+    this.render();
+
+    this.runButton.disabled = false;
+    this.copyButton.disabled = false;
+    this.status.textContent = '';
+  }
+
+  /**
+   * Turns the content script's report into checklist entries
+   * @returns {Array<{state: 'ok'|'warning'|'failed'|'skipped', text: string, detail?: string,
+   *   reportText?: string}>} reportText replaces text in the copied report
+   */
+  buildChecks(response) {
+    if (!response.success) {
+      return [{ state: 'failed', text: I18n.t('checkNoTab'), detail: response.error }];
+    }
+
+    const report = response.report;
+    const checks = [
+      { state: 'ok', text: I18n.t('checkTab') },
+      { state: 'ok', text: I18n.t('checkLayout', report.profile.name), detail: report.url },
+      report.chatOpen
+        ? {
+          state: 'ok',
+          text: I18n.t('checkChatOpen', report.chatTitle || '?'),
+          reportText: I18n.t('checkChatOpen', '(hidden)')
+        }
+        : { state: 'failed', text: I18n.t('checkNoChat') },
+      report.stalePreview
+        ? { state: 'warning', text: I18n.t('checkStalePreview') }
+        : { state: 'ok', text: I18n.t('checkNoStalePreview') },
+      report.injectionTargets.dragAndDrop
+        ? { state: 'ok', text: I18n.t('checkDropZone'), detail: report.injectionTargets.dragAndDrop }
+        : { state: 'failed', text: I18n.t('checkNoDropZone') },
+      report.injectionTargets.paste
+        ? { state: 'ok', text: I18n.t('checkPasteTarget') }
+        : { state: 'warning', text: I18n.t('checkNoPasteTarget') },
+      report.injectionTargets.fileInput
+        ? { state: 'ok', text: I18n.t('checkAttachmentInput') }
+        : { state: 'skipped', text: I18n.t('checkNoAttachmentInput') }
+    ];
+
+    if (!report.sendButtonStrategies) {
+      checks.push({ state: 'skipped', text: I18n.t('checkSendButtonSkipped') });
+    } else if (report.sendButtonStrategy) {
+      checks.push({
+        state: 'ok',
+        text: I18n.t('checkSendButton', report.sendButtonStrategy),
+        detail: this.describeStrategies(report.sendButtonStrategies)
+      });
+    } else {
+      checks.push({ state: 'failed', text: I18n.t('checkNoSendButton') });
+    }
+
+    checks.push(this.checkSelectors(report.selectors, report.stalePreview));
+    return checks;
+  }
+
+  /**
+   * Selectors that should match now but don't; situational ones (see
+   * TelegramUploader.situationalSelectors) only count for an open preview
+   */
+  checkSelectors(selectors, previewOpen) {
+    const expected = selectors.filter(entry =>
+      !entry.situation || (entry.situation === 'preview' && previewOpen)
+    );
+    // Lists and menu items are alternatives: one matching entry is enough
+    const groups = new Map();
+    for (const entry of expected) {
+      const group = entry.name.split(/[.[]/)[0];
+      groups.set(group, groups.get(group) || (entry.matches > 0));
+    }
+
+    const missing = [...groups].filter(([, matched]) => !matched).map(([name]) => name);
+    const detail = selectors
+      .map(entry => `${entry.name}: ${entry.matches === null ? 'invalid' : entry.matches}${entry.overridden ? ' *' : ''}`)
+      .join('\n');
+
+    return missing.length === 0
+      ? { state: 'ok', text: I18n.t('checkSelectors', groups.size), detail }
+      : { state: 'failed', text: I18n.t('checkSelectorsMissing', missing.join(', ')), detail };
+  }
+
+  describeStrategies(strategies) {
+    return Object.entries(strategies)
+      .map(([strategy, found]) => `${found ? '✓' : '✗'} ${strategy}`)
+      .join('\n');
+  }
+
+  /**
+   * Saves the background worker's debug bundle (see BackgroundSender.createDebugBundle)
+   * as a JSON file
+   */
+  async downloadBundle() {
+    this.bundleButton.disabled = true;
+    this.status.textContent = I18n.t('debugBundleCreating');
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'debugBundle' });
+      if (!response || !response.success) {
+        throw new Error(response?.error || I18n.t('errorUploadUnknown'));
+      }
+
+      const json = JSON.stringify(response.bundle, null, 2);
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `telegram-photo-uploader-debug-${response.bundle.createdAt.replace(/[:.]/g, '-')}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+
+      this.status.textContent = '';
+      Logger.info('Popup', `Debug bundle saved (${response.bundle.logs.length} log entries)`);
+    } catch (error) {
+      Logger.error('Popup', 'Creating the debug bundle failed:', error);
+      this.status.textContent = I18n.t('statusError', error.message);
+    } finally {
+      this.bundleButton.disabled = false;
+    }
+  }
+
+  render() {
+    const icons = { ok: '✓', warning: '⚠️', failed: '✗', skipped: '–' };
+    this.list.innerHTML = '';
+
+    for (const check of this.result.checks) {
+      const item = document.createElement('li');
+      item.className = `diagnostics-item ${check.state}`;
+
+      const icon = document.createElement('span');
+      icon.className = 'diagnostics-icon';
+      icon.textContent = icons[check.state];
+
+      const text = document.createElement('span');
+      text.textContent = check.text;
+
+      item.append(icon, text);
+      if (check.detail) {
+        item.title = check.detail;
+      }
+      this.list.appendChild(item);
+    }
+  }
+
+  /**
+   * Copies a plain-text report for bug reports: the checklist, the
+   * extension and browser versions and the raw result (chat name left out)
+   */
+  async copyReport() {
+    if (!this.result) {
+      return;
+    }
+
+    const { response, checks, checkedAt } = this.result;
+    const icons = { ok: '[ok]', warning: '[warn]', failed: '[FAIL]', skipped: '[--]' };
+    const details = response.success
+      ? { ...response.report, chatTitle: response.report.chatTitle ? '(hidden)' : null }
+      : { error: response.error };
+
+    const report = [
+      `Telegram Photo Uploader ${chrome.runtime.getManifest().version} health check`,
+      `Checked: ${new Date(checkedAt).toISOString()}`,
+      `Browser: ${navigator.userAgent}`,
+      `Language: ${chrome.i18n.getUILanguage()}`,
+      '',
+      ...checks.map(check => `${icons[check.state]} ${check.reportText || check.text}`),
+      '',
+      JSON.stringify(details, null, 2)
+    ].join('\n');
+
+    try {
+      await navigator.clipboard.writeText(report);
+      this.status.textContent = I18n.t('diagnosticsCopied');
+    } catch (error) {
+      Logger.error('Popup', 'Copying the debug report failed:', error);
+      this.status.textContent = I18n.t('statusError', error.message);
+    }
+  }
+}
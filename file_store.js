@@ -0,0 +1,86 @@
+/**
+ * File Store
+ * Keeps queued files in the extension's IndexedDB so the popup can hand
+ * them to the background worker without pushing bytes through messages.
+ * (chrome.storage only holds JSON; job metadata lives there instead.)
+ * Shared by the popup and the background service worker.
+ */
+
+const FileStore = {
+  dbName: 'sharepic-files',
+  storeName: 'files',
+  version: 1,
+  db: null,
+
+  /**
+   * Opens (and on first use creates) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.version);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onerror = () => {
+        reject(new Error(`Failed to open file store: ${request.error?.message}`));
+      };
+    });
+  },
+
+  /**
+   * Runs a single request in its own transaction
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(new Error(`File store error: ${transaction.error?.message}`));
+    });
+  },
+
+  /**
+   * Stores a file and returns its id
+   * @param {Blob} blob
+   * @returns {Promise<string>} "file-<time stored>-<random>"
+   */
+  async put(blob) {
+    const id = `file-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    await this.run('readwrite', store => store.put(blob, id));
+    return id;
+  },
+
+  /**
+   * @returns {Promise<Blob|null>}
+   */
+  async get(id) {
+    const blob = await this.run('readonly', store => store.get(id));
+    return blob || null;
+  },
+
+  async delete(id) {
+    await this.run('readwrite', store => store.delete(id));
+  },
+
+  /**
+   * @returns {Promise<string[]>} Ids of every stored file
+   */
+  async keys() {
+    return this.run('readonly', store => store.getAllKeys());
+  }
+};
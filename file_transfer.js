@@ -0,0 +1,225 @@
+/**
+ * File Transfer
+ * Moves files from the background worker to the Telegram tab over a
+ * chrome.tabs Port in base64 chunks, so large files never have to fit in a
+ * single message. Each chunk is acknowledged before the next one is read,
+ * which bounds memory on both sides and drives the progress callback.
+ * Shared by the background service worker (send) and the content script (receive).
+ *
+ * The port stays open while the content script uploads, so it also carries
+ * live upload stages and the cancel command.
+ *
+ * Protocol (background -> content script):
+ *   { type: 'file', index, filename, mimeType, size }
+ *   { type: 'chunk', index, data }             base64 encoded bytes
+ *   { type: 'upload', data }                   all files sent; data = { caption, chat, sendOptions }
+ *   { type: 'cancel' }                         stop the upload and close the preview
+ * Content script -> background:
+ *   { type: 'ack', index, received }           bytes of file `index` received so far
+ *   { type: 'stage', stage, batch, batches }   upload stage reached (see TelegramUploader.stages)
+ *   { type: 'result', response }               uploadPhoto response
+ */
+
+const FileTransfer = {
+  portName: 'file-transfer',
+
+  // Raw bytes per chunk (about 2.7MB once base64 encoded)
+  chunkSize: 2 * 1024 * 1024,
+
+  // A tab that hasn't acknowledged a chunk by then is stuck (e.g. frozen in the background)
+  ackTimeout: 30000,
+
+  /**
+   * Encodes bytes as base64 without building one huge argument list
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  encodeChunk(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  },
+
+  /**
+   * @param {string} base64
+   * @returns {Uint8Array}
+   */
+  decodeChunk(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  },
+
+  /**
+   * Sends files to a tab and asks its content script to upload them
+   * @param {number} tabId
+   * @param {Array<{blob: Blob, filename: string, mimeType: string}>} files
+   * @param {Object} data - Upload options passed to uploadPhoto (caption, chat, sendOptions)
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - ({sentBytes, totalBytes}) => void, called per chunk
+   * @param {Function} [options.onStage] - ({stage, batch, batches}) => void
+   * @param {AbortSignal} [options.signal] - Cancels the transfer or the upload
+   * @returns {Promise<Object>} The content script's uploadPhoto response
+   */
+  send(tabId, files, data, { onProgress = () => {}, onStage = () => {}, signal = null } = {}) {
+    const port = chrome.tabs.connect(tabId, { name: this.portName });
+    const totalBytes = files.reduce((sum, file) => sum + file.blob.size, 0);
+
+    return new Promise((resolve, reject) => {
+      let waiting = null;
+      let uploading = false;
+      let finished = false;
+
+      const finish = (error, response) => {
+        if (finished) return;
+        finished = true;
+        port.onMessage.removeListener(onMessage);
+        port.disconnect();
+        signal?.removeEventListener('abort', onAbort);
+        waiting?.();
+        error ? reject(error) : resolve(response);
+      };
+
+      const onMessage = (message) => {
+        if (message.type === 'ack' && waiting) {
+          const resume = waiting;
+          waiting = null;
+          resume();
+        } else if (message.type === 'stage') {
+          onStage({ stage: message.stage, batch: message.batch, batches: message.batches });
+        } else if (message.type === 'result') {
+          finish(null, message.response);
+        }
+      };
+
+      // Mid-upload the content script closes the preview and answers with a
+      // cancelled result; before that there is nothing to undo
+      const onAbort = () => {
+        if (uploading) {
+          port.postMessage({ type: 'cancel' });
+        } else {
+          finish(new Error('Upload cancelled'));
+        }
+      };
+
+      if (signal?.aborted) {
+        finish(new Error('Upload cancelled'));
+        return;
+      }
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      port.onMessage.addListener(onMessage);
+      port.onDisconnect.addListener(() => {
+        finish(new Error(chrome.runtime.lastError?.message || 'Telegram tab closed the transfer'));
+      });
+
+      const nextAck = () => new Promise((resume, fail) => {
+        const timer = setTimeout(() => {
+          fail(new Error(`Telegram tab did not acknowledge the transfer within ${this.ackTimeout / 1000}s`));
+        }, this.ackTimeout);
+        waiting = () => {
+          clearTimeout(timer);
+          resume();
+        };
+      });
+
+      (async () => {
+        let sentBytes = 0;
+        onProgress({ sentBytes, totalBytes });
+
+        for (let index = 0; index < files.length && !finished; index++) {
+          const { blob, filename, mimeType } = files[index];
+          port.postMessage({ type: 'file', index, filename, mimeType, size: blob.size });
+
+          for (let offset = 0; offset < blob.size && !finished; offset += this.chunkSize) {
+            const chunk = blob.slice(offset, offset + this.chunkSize);
+            const bytes = new Uint8Array(await chunk.arrayBuffer());
+
+            const acked = nextAck();
+            port.postMessage({ type: 'chunk', index, data: this.encodeChunk(bytes) });
+            await acked;
+
+            sentBytes += bytes.length;
+            onProgress({ sentBytes, totalBytes });
+          }
+        }
+
+        if (!finished) {
+          uploading = true;
+          port.postMessage({ type: 'upload', data });
+        }
+      })().catch(error => finish(error));
+    });
+  },
+
+  /**
+   * Receives a transfer in the content script
+   * @param {chrome.runtime.Port} port
+   * @param {Function} onUpload - (files, data, {signal, onStage}) => Promise<Object>;
+   *   files are {parts: Uint8Array[], filename, mimeType, size}; resolves to the response.
+   *   signal aborts on a cancel command or when the sender goes away.
+   */
+  receive(port, onUpload) {
+    const files = [];
+    const controller = new AbortController();
+
+    const onStage = (event) => {
+      try {
+        port.postMessage({ type: 'stage', ...event });
+      } catch (error) {
+        // Sender went away; the disconnect handler cancels the upload
+      }
+    };
+
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener(async (message) => {
+      switch (message.type) {
+        case 'file':
+          files[message.index] = {
+            parts: [],
+            received: 0,
+            filename: message.filename,
+            mimeType: message.mimeType,
+            size: message.size
+          };
+          break;
+
+        case 'chunk': {
+          const file = files[message.index];
+          const bytes = this.decodeChunk(message.data);
+          file.parts.push(bytes);
+          file.received += bytes.length;
+          port.postMessage({ type: 'ack', index: message.index, received: file.received });
+          break;
+        }
+
+        case 'upload': {
+          const incomplete = files.find(file => file.received !== file.size);
+          const response = incomplete
+            ? { success: false, error: `Transfer of ${incomplete.filename} is incomplete` }
+            : await onUpload(files, message.data, { signal: controller.signal, onStage }).catch(error => ({
+              success: false,
+              error: `Unexpected error: ${error.message}`
+            }));
+
+          try {
+            port.postMessage({ type: 'result', response });
+          } catch (error) {
+            Logger.info('File Transfer', 'Sender went away before the result:', error.message);
+          }
+          break;
+        }
+
+        case 'cancel':
+          controller.abort();
+          break;
+      }
+    });
+  }
+};
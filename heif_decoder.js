@@ -0,0 +1,94 @@
+/**
+ * HEIC decoder for the popup
+ * Chrome can't decode HEIC (HEVC-coded HEIF, what iPhones save), so the
+ * primary image is decoded here into ImageData for the image converter,
+ * with the bundled WebAssembly build of libheif (vendor/libheif). The
+ * library is loaded the first time a HEIC image is converted.
+ */
+
+const HeifDecoder = {
+  config: {
+    script: 'vendor/libheif/libheif.js',
+    wasm: 'vendor/libheif/libheif.wasm'
+  },
+
+  // Upper bound on decoded pixels, as for TIFF
+  maxPixels: 100 * 1000 * 1000,
+
+  // Promise of the initialised libheif module
+  library: null,
+
+  /**
+   * @param {ArrayBuffer} buffer - The whole HEIC file
+   * @returns {Promise<ImageData>} Primary image as RGBA
+   */
+  async decode(buffer) {
+    const library = await this.load();
+    const decoder = new library.HeifDecoder();
+    let images = [];
+
+    try {
+      images = decoder.decode(new Uint8Array(buffer));
+      const image = images.find(candidate => candidate.is_primary()) || images[0];
+
+      if (!image) {
+        throw new Error('Not a HEIC image, or one libheif can\'t read');
+      }
+
+      const width = image.get_width();
+      const height = image.get_height();
+      if (width * height > this.maxPixels) {
+        throw new Error(`HEIC image too large (${width}×${height})`);
+      }
+
+      return await new Promise((resolve, reject) => {
+        image.display(new ImageData(width, height), result => {
+          if (result) {
+            resolve(result);
+          } else {
+            reject(new Error('Could not decode the HEIC image'));
+          }
+        });
+      });
+    } finally {
+      images.forEach(candidate => candidate.free());
+      if (decoder.decoder) {
+        library.heif_context_free(decoder.decoder);
+      }
+    }
+  },
+
+  /**
+   * Loads libheif once
+   * @returns {Promise<Object>} The libheif module
+   */
+  load() {
+    if (!this.library) {
+      this.library = this.loadScript()
+        .then(() => fetch(chrome.runtime.getURL(this.config.wasm)))
+        .then(response => response.arrayBuffer())
+        // Compiled synchronously, ready when libheif() returns
+        .then(wasm => libheif({ wasmBinary: new Uint8Array(wasm) }))
+        .catch(error => {
+          // Allow another attempt with the next image
+          this.library = null;
+          throw error;
+        });
+    }
+    return this.library;
+  },
+
+  loadScript() {
+    if (typeof libheif === 'function') {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = this.config.script;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error('Could not load the HEIC decoder'));
+      document.head.appendChild(script);
+    });
+  }
+};
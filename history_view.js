@@ -0,0 +1,250 @@
+/**
+ * Send history view for the popup
+ * Lists the sends SendHistory keeps in chrome.storage.local, with search,
+ * and asks the background worker to send an entry again (to the same chat
+ * or the one chosen in the chat picker) or to clear the history
+ */
+
+class HistoryView {
+  /**
+   * @param {ChatPicker} chatPicker - Chooses the chat (or broadcast chats) for "send to another chat"
+   * @param {Function} onStatus - (message, type) => void, shown in the popup's status line
+   */
+  constructor(chatPicker, onStatus = () => {}) {
+    this.container = document.getElementById('historyContainer');
+    this.count = document.getElementById('historyCount');
+    this.search = document.getElementById('historySearch');
+    this.list = document.getElementById('historyList');
+    this.empty = document.getElementById('historyEmpty');
+    this.budget = document.getElementById('historyThumbnailBudget');
+    this.fileBudget = document.getElementById('historyFileBudget');
+    this.clearButton = document.getElementById('clearHistory');
+
+    this.chatPicker = chatPicker;
+    this.onStatus = onStatus;
+    this.storageKey = 'sendHistory';
+    this.entries = [];
+
+    // The clear button asks for a second click within this time
+    this.confirmTimeout = 3000;
+    this.confirmTimer = null;
+
+    this.init();
+  }
+
+  async init() {
+    this.search.addEventListener('input', () => this.render());
+    this.clearButton.addEventListener('click', () => this.handleClear());
+    this.budget.addEventListener('change', () => this.saveBudget('historyThumbnailBudget', this.budget));
+    this.fileBudget.addEventListener('change', () => this.saveBudget('historyFileBudget', this.fileBudget));
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[this.storageKey]) {
+        this.entries = changes[this.storageKey].newValue || [];
+        this.render();
+      }
+    });
+
+    const [stored, settings] = await Promise.all([chrome.storage.local.get(this.storageKey), Settings.get()]);
+    this.entries = stored[this.storageKey] || [];
+    this.budget.value = String(settings.historyThumbnailBudget);
+    this.fileBudget.value = String(settings.historyFileBudget);
+    this.render();
+  }
+
+  /**
+   * Stores a storage limit picked in one of the selects; when that fails
+   * the select goes back to the stored limit
+   * @param {string} setting - historyThumbnailBudget or historyFileBudget
+   * @param {HTMLSelectElement} select
+   */
+  async saveBudget(setting, select) {
+    try {
+      await Settings.set({ [setting]: Number(select.value) });
+    } catch (error) {
+      this.onStatus(I18n.t('settingNotSaved', error.message), 'error');
+      const settings = await Settings.get().catch(() => Settings.defaults);
+      select.value = String(settings[setting]);
+    }
+  }
+
+  render() {
+    const query = this.search.value.trim().toLowerCase();
+    const entries = query ? this.entries.filter(entry => this.matches(entry, query)) : this.entries;
+
+    this.count.textContent = this.entries.length > 0 ? `(${this.entries.length})` : '';
+    this.clearButton.disabled = this.entries.length === 0;
+    this.empty.textContent = I18n.t(this.entries.length === 0 ? 'historyEmpty' : 'historyNoMatches');
+    this.empty.classList.toggle('hidden', entries.length > 0);
+
+    this.list.innerHTML = '';
+    entries.forEach(entry => this.list.appendChild(this.createItem(entry)));
+  }
+
+  /**
+   * Searches file names, the caption and the chat names
+   */
+  matches(entry, query) {
+    const chats = entry.chats || [entry.chat];
+    return [...entry.files.map(file => file.filename), entry.caption, ...chats.map(chat => chat?.name)]
+      .some(text => text && text.toLowerCase().includes(query));
+  }
+
+  createItem(entry) {
+    const item = document.createElement('li');
+    item.className = `history-item ${entry.outcome}`;
+
+    const info = document.createElement('div');
+    info.className = 'queue-info';
+
+    const title = document.createElement('div');
+    title.className = 'queue-title';
+    const [first] = entry.files;
+    title.textContent = entry.files.length > 1
+      ? `${first.filename} ${I18n.t('jobMoreFiles', entry.files.length - 1)}`
+      : first.filename;
+    title.title = entry.files.map(file => file.filename).join('\n');
+
+    const detail = document.createElement('div');
+    detail.className = 'queue-detail';
+    detail.textContent = this.describeDetail(entry);
+
+    info.append(title, detail);
+
+    if (entry.caption) {
+      const caption = document.createElement('div');
+      caption.className = 'queue-detail history-caption';
+      caption.textContent = entry.caption;
+      caption.title = entry.caption;
+      info.appendChild(caption);
+    }
+
+    const outcome = document.createElement('span');
+    outcome.className = 'queue-state';
+    outcome.textContent = I18n.t(`historyOutcome_${entry.outcome}`);
+    if (entry.outcome === 'failed') {
+      outcome.title = (entry.errorCode && I18n.t(`error_${entry.errorCode}`)) || entry.error || '';
+    }
+
+    item.append(this.createThumbnail(entry), info, outcome, this.createActions(entry));
+    return item;
+  }
+
+  /**
+   * Stored thumbnail, or an icon for the kind of the first file
+   */
+  createThumbnail(entry) {
+    if (entry.thumbnail) {
+      const img = document.createElement('img');
+      img.className = 'history-thumbnail';
+      img.src = entry.thumbnail;
+      img.alt = '';
+      return img;
+    }
+
+    const icons = { image: '🖼️', gif: '🖼️', video: '🎬', document: '📄' };
+    const icon = document.createElement('span');
+    icon.className = 'history-thumbnail history-icon';
+    icon.textContent = icons[entry.files[0].kind] || '📄';
+    return icon;
+  }
+
+  /**
+   * Second line: chat, time, total size and how long the send took
+   */
+  describeDetail(entry) {
+    const size = entry.files.reduce((sum, file) => sum + file.size, 0);
+
+    return [
+      this.describeChats(entry),
+      I18n.formatDateTime(entry.sentAt),
+      I18n.formatFileSize(size),
+      I18n.formatDuration(entry.duration)
+    ].join(' · ');
+  }
+
+  describeChats(entry) {
+    if (entry.chats) {
+      return entry.chats.map(chat => chat.name).join(', ');
+    }
+    return entry.chat ? entry.chat.name : I18n.t('currentChat');
+  }
+
+  createActions(entry) {
+    const actions = document.createElement('div');
+    actions.className = 'queue-actions';
+
+    const resendable = entry.files.every(file => file.fileId);
+
+    const addButton = (icon, title, target) => {
+      const button = document.createElement('button');
+      button.className = 'queue-action';
+      button.textContent = icon;
+      button.disabled = !resendable;
+      button.title = resendable ? title : I18n.t('historyFilesGone');
+      button.addEventListener('click', () => this.resend(entry, target()));
+      actions.appendChild(button);
+    };
+
+    addButton('↻', I18n.t('historyResend', this.describeChats(entry)), () => ({ chat: entry.chat, chats: entry.chats }));
+    addButton('⇢', I18n.t('historySendToSelected'), () => ({
+      chat: this.chatPicker.getSelected(),
+      chats: this.chatPicker.getBroadcastChats()
+    }));
+
+    return actions;
+  }
+
+  /**
+   * @param {Object} entry
+   * @param {{chat: Object|null, chats: Array|null}} target - chat null for the chat open in Telegram;
+   *   chats to broadcast instead
+   */
+  async resend(entry, { chat, chats }) {
+    if (chats && chats.length === 0) {
+      this.onStatus(I18n.t('broadcastChooseChats'), 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'resendHistory', entryId: entry.id, chat, chats });
+      if (!response || !response.success) {
+        throw new Error(response?.error || I18n.t('errorUploadUnknown'));
+      }
+
+      Logger.info('Popup', 'Resent history entry as', response.job.id);
+      this.onStatus(I18n.t('addedToQueue'), 'success');
+    } catch (error) {
+      Logger.error('Popup', 'Resend failed:', error);
+      this.onStatus(I18n.t('statusError', error.message), 'error');
+    }
+  }
+
+  /**
+   * Clears the history on a second click, so one stray click can't
+   */
+  async handleClear() {
+    if (!this.confirmTimer) {
+      this.clearButton.textContent = I18n.t('clearHistoryConfirm');
+      this.confirmTimer = setTimeout(() => this.resetClearButton(), this.confirmTimeout);
+      return;
+    }
+
+    this.resetClearButton();
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'clearHistory' });
+      if (!response || !response.success) {
+        Logger.error('Popup', 'Clearing the history failed:', response?.error);
+      }
+    } catch (error) {
+      Logger.error('Popup', 'Clearing the history failed:', error);
+    }
+  }
+
+  resetClearButton() {
+    clearTimeout(this.confirmTimer);
+    this.confirmTimer = null;
+    this.clearButton.textContent = I18n.t('clearHistory');
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Localization helpers on top of chrome.i18n, for the extension pages and
+ * the background worker
+ * Strings live in _locales/<locale>/messages.json
+ */
+
+const I18n = {
+  /**
+   * Looks up a message, falling back to the key so missing strings stay visible
+   * @param {string} key - Message name in messages.json
+   * @param {...(string|number)} substitutions - Values for $PLACEHOLDER$s, in order
+   * @returns {string}
+   */
+  t(key, ...substitutions) {
+    return chrome.i18n.getMessage(key, substitutions.map(String)) || key;
+  },
+
+  /**
+   * Date and time in the browser's language, e.g. "5 Mar 2025, 09:00"
+   * @param {number} timestamp - ms since the epoch
+   */
+  formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString(chrome.i18n.getUILanguage(), {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+  },
+
+  /**
+   * File size with a unit in the browser's language, e.g. "1.5 MB"
+   * @param {number} bytes
+   */
+  formatFileSize(bytes) {
+    const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+    const index = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1) : 0;
+
+    return new Intl.NumberFormat(chrome.i18n.getUILanguage(), {
+      style: 'unit',
+      unit: units[index],
+      maximumFractionDigits: index > 0 ? 1 : 0
+    }).format(bytes / Math.pow(1024, index));
+  },
+
+  /**
+   * Duration in seconds, e.g. "3.2 sec"
+   * @param {number} ms
+   */
+  formatDuration(ms = 0) {
+    return new Intl.NumberFormat(chrome.i18n.getUILanguage(), {
+      style: 'unit',
+      unit: 'second',
+      maximumFractionDigits: 1
+    }).format(ms / 1000);
+  },
+
+  /**
+   * Translates static markup:
+   * data-i18n (text), data-i18n-placeholder, data-i18n-title and data-i18n-alt
+   * @param {ParentNode} root
+   */
+  apply(root = document) {
+    const attributes = {
+      'data-i18n-placeholder': 'placeholder',
+      'data-i18n-title': 'title',
+      'data-i18n-alt': 'alt'
+    };
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    for (const [dataAttribute, attribute] of Object.entries(attributes)) {
+      root.querySelectorAll(`[${dataAttribute}]`).forEach(element => {
+        element.setAttribute(attribute, this.t(element.getAttribute(dataAttribute)));
+      });
+    }
+
+    document.documentElement.lang = chrome.i18n.getUILanguage();
+  }
+};
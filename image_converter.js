@@ -0,0 +1,109 @@
+/**
+ * Image conversion for the popup
+ * Telegram can't show HEIC, AVIF or TIFF inline, so these are converted
+ * to JPEG or PNG in the popup before sending. Everything runs locally:
+ * AVIF through the browser's own decoder, HEIC through HeifDecoder and
+ * TIFF through TiffDecoder.
+ */
+
+const ImageConverter = {
+  // Output formats offered in the popup
+  outputs: {
+    jpeg: { type: 'image/jpeg', extension: 'jpg' },
+    png: { type: 'image/png', extension: 'png' }
+  },
+
+  defaults: {
+    output: 'jpeg',
+    quality: 0.9
+  },
+
+  // ISO media brands (the "ftyp" box) of HEIF images, checked after AVIF
+  heifBrands: ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'],
+  avifBrands: ['avif', 'avis'],
+
+  /**
+   * Recognises formats that need converting from the file's first bytes,
+   * since browsers often report no type for .heic files
+   * @param {File} file
+   * @returns {Promise<'heic'|'avif'|'tiff'|null>}
+   */
+  async detect(file) {
+    const header = new Uint8Array(await file.slice(0, 64).arrayBuffer());
+    const text = (start, end) => String.fromCharCode.apply(null, header.subarray(start, end));
+
+    if (text(0, 4) === 'II*\0' || text(0, 4) === 'MM\0*') {
+      return 'tiff';
+    }
+
+    if (text(4, 8) === 'ftyp') {
+      const boxSize = Math.min(new DataView(header.buffer).getUint32(0), header.length);
+      const brands = [text(8, 12)];
+      for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        brands.push(text(offset, offset + 4));
+      }
+
+      if (brands.some(brand => this.avifBrands.includes(brand))) {
+        return 'avif';
+      }
+      if (brands.some(brand => this.heifBrands.includes(brand))) {
+        return 'heic';
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * @param {File} file
+   * @param {string} format - From detect()
+   * @returns {Promise<ImageBitmap>}
+   */
+  async decode(file, format) {
+    if (format === 'tiff') {
+      return createImageBitmap(await TiffDecoder.decode(await file.arrayBuffer()));
+    }
+    if (format === 'heic') {
+      return createImageBitmap(await HeifDecoder.decode(await file.arrayBuffer()));
+    }
+
+    try {
+      return await createImageBitmap(file);
+    } catch (error) {
+      const unsupported = new Error(`This browser can't decode ${format.toUpperCase()} images`);
+      unsupported.unsupported = true;
+      throw unsupported;
+    }
+  },
+
+  /**
+   * Converts an image to JPEG or PNG, keeping its size and orientation
+   * JPEG has no transparency, so transparent areas become white
+   * @param {File} file
+   * @param {string} format - From detect()
+   * @param {{output: 'jpeg'|'png', quality: number}} [settings]
+   * @returns {Promise<File>}
+   */
+  async convert(file, format, { output = this.defaults.output, quality = this.defaults.quality } = {}) {
+    const target = this.outputs[output];
+    const bitmap = await this.decode(file, format);
+
+    try {
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const context = canvas.getContext('2d');
+
+      if (output === 'jpeg') {
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+      }
+      context.drawImage(bitmap, 0, 0);
+
+      const blob = await canvas.convertToBlob({ type: target.type, quality });
+      const name = file.name.replace(/\.[^.]*$/, '') || 'image';
+
+      return new File([blob], `${name}.${target.extension}`, { type: target.type, lastModified: file.lastModified });
+    } finally {
+      bitmap.close();
+    }
+  }
+};
@@ -0,0 +1,624 @@
+/**
+ * Image editor for the popup preview
+ * Edits are kept as a list of operations per image (crop, rotate, flip,
+ * resize, annotations, redaction) and replayed onto the original, so undo
+ * and redo are just moving operations between two stacks. Coordinates in
+ * an operation refer to the image as it was when the operation was added.
+ */
+
+class ImageEditor {
+  constructor(onChange = () => {}) {
+    this.canvas = document.getElementById('imagePreview');
+    this.context = this.canvas.getContext('2d');
+    this.toolButtons = document.querySelectorAll('#editorToolbar [data-tool]');
+    this.actionButtons = document.querySelectorAll('#editorToolbar [data-action]');
+    this.colorInput = document.getElementById('editorColor');
+    this.textInput = document.getElementById('editorText');
+    this.aspectSelect = document.getElementById('editorAspect');
+    this.resizeSelect = document.getElementById('editorResize');
+    this.undoButton = document.getElementById('editorUndo');
+    this.redoButton = document.getElementById('editorRedo');
+
+    this.onChange = onChange;
+
+    // Crop aspect presets (width / height); null = free
+    this.aspectRatios = {
+      free: null,
+      '1:1': 1,
+      '4:3': 4 / 3,
+      '3:2': 3 / 2,
+      '16:9': 16 / 9,
+      '9:16': 9 / 16
+    };
+
+    // Output types the canvas can encode; anything else is sent as PNG
+    this.outputTypes = ['image/png', 'image/jpeg', 'image/webp'];
+    this.jpegQuality = 0.92;
+
+    this.entry = null;        // selectedFiles entry being edited
+    this.source = null;       // ImageBitmap of the original file
+    this.rendered = null;     // Canvas with all operations applied
+    this.tool = null;         // Active drawing tool (null = none)
+    this.draft = null;        // Shape being dragged out
+
+    this.init();
+  }
+
+  init() {
+    this.toolButtons.forEach(button => {
+      button.addEventListener('click', () => this.selectTool(button.dataset.tool));
+    });
+
+    this.actionButtons.forEach(button => {
+      button.addEventListener('click', () => this.runAction(button.dataset.action));
+    });
+
+    this.resizeSelect.addEventListener('change', () => {
+      const maxDimension = Number(this.resizeSelect.value);
+      this.resizeSelect.value = '';
+      if (maxDimension) {
+        this.addOperation({ type: 'resize', maxDimension });
+      }
+    });
+
+    this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.entry || e.target.matches('input, textarea') || !(e.ctrlKey || e.metaKey)) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        this.redo();
+      }
+    });
+  }
+
+  /**
+   * Shows an image in the editor, with the edits made to it so far
+   * @param {{file: File, edits?: {operations: Array, redo: Array}}} entry - From popup selectedFiles
+   */
+  async load(entry) {
+    if (this.entry === entry) {
+      return;
+    }
+
+    this.entry = entry;
+    entry.edits = entry.edits || { operations: [], redo: [] };
+
+    let source;
+    try {
+      source = await createImageBitmap(entry.file);
+    } catch (error) {
+      if (this.entry === entry) {
+        this.clear();
+      }
+      throw error;
+    }
+
+    // Another image may have been picked while this one was decoding
+    if (this.entry !== entry) {
+      source.close();
+      return;
+    }
+
+    this.source?.close();
+    this.source = source;
+    this.draft = null;
+    this.refresh();
+  }
+
+  clear() {
+    this.source?.close();
+    this.entry = null;
+    this.source = null;
+    this.rendered = null;
+    this.draft = null;
+    this.canvas.width = 0;
+    this.canvas.height = 0;
+  }
+
+  /**
+   * Whether the image has edits that need to be rendered before sending
+   */
+  hasEdits(entry) {
+    return Boolean(entry.edits && entry.edits.operations.length > 0);
+  }
+
+  /**
+   * The file to send for an entry: the original when unedited, otherwise
+   * the edited image encoded in the original format where possible
+   * @returns {Promise<File>}
+   */
+  async exportFile(entry) {
+    if (!this.hasEdits(entry)) {
+      return entry.file;
+    }
+
+    const source = await createImageBitmap(entry.file);
+    const canvas = this.renderOperations(source, entry.edits.operations);
+    source.close();
+
+    const type = this.outputTypes.includes(entry.file.type) ? entry.file.type : 'image/png';
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(result => result ? resolve(result) : reject(new Error(I18n.t('errorEditExport'))), type, this.jpegQuality);
+    });
+
+    const name = type === entry.file.type
+      ? entry.file.name
+      : entry.file.name.replace(/\.[^.]+$/, '') + '.png';
+
+    return new File([blob], name, { type, lastModified: Date.now() });
+  }
+
+  /**
+   * Small data URL of the edited image for the thumbnail grid
+   */
+  thumbnail(size = 128) {
+    if (!this.rendered) {
+      return null;
+    }
+
+    const scale = Math.min(1, size / Math.max(this.rendered.width, this.rendered.height));
+    const canvas = this.createCanvas(this.rendered.width * scale, this.rendered.height * scale);
+    canvas.getContext('2d').drawImage(this.rendered, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.8);
+  }
+
+  selectTool(tool) {
+    this.tool = this.tool === tool ? null : tool;
+    this.draft = null;
+
+    this.toolButtons.forEach(button => {
+      button.classList.toggle('active', button.dataset.tool === this.tool);
+    });
+
+    this.textInput.classList.toggle('hidden', this.tool !== 'text');
+    this.aspectSelect.classList.toggle('hidden', this.tool !== 'crop');
+    this.canvas.classList.toggle('editing', this.tool !== null);
+
+    if (this.tool === 'text') {
+      this.textInput.focus();
+    }
+
+    this.draw();
+  }
+
+  runAction(action) {
+    switch (action) {
+      case 'rotateLeft':
+        this.addOperation({ type: 'rotate', direction: -1 });
+        break;
+      case 'rotateRight':
+        this.addOperation({ type: 'rotate', direction: 1 });
+        break;
+      case 'flipHorizontal':
+        this.addOperation({ type: 'flip', axis: 'horizontal' });
+        break;
+      case 'flipVertical':
+        this.addOperation({ type: 'flip', axis: 'vertical' });
+        break;
+      case 'undo':
+        this.undo();
+        break;
+      case 'redo':
+        this.redo();
+        break;
+    }
+  }
+
+  addOperation(operation) {
+    if (!this.entry) {
+      return;
+    }
+
+    this.entry.edits.operations.push(operation);
+    this.entry.edits.redo = [];
+    this.refresh();
+  }
+
+  undo() {
+    const edits = this.entry?.edits;
+    if (!edits || edits.operations.length === 0) {
+      return;
+    }
+
+    edits.redo.push(edits.operations.pop());
+    this.refresh();
+  }
+
+  redo() {
+    const edits = this.entry?.edits;
+    if (!edits || edits.redo.length === 0) {
+      return;
+    }
+
+    edits.operations.push(edits.redo.pop());
+    this.refresh();
+  }
+
+  /**
+   * Replays the operations after a change and notifies the popup
+   */
+  refresh() {
+    if (!this.source) {
+      return;
+    }
+
+    this.rendered = this.renderOperations(this.source, this.entry.edits.operations);
+    this.draw();
+
+    this.undoButton.disabled = this.entry.edits.operations.length === 0;
+    this.redoButton.disabled = this.entry.edits.redo.length === 0;
+
+    this.onChange(this.entry);
+  }
+
+  /**
+   * Draws the rendered image plus the shape being dragged out
+   */
+  draw() {
+    if (!this.rendered) {
+      return;
+    }
+
+    this.canvas.width = this.rendered.width;
+    this.canvas.height = this.rendered.height;
+    this.context.drawImage(this.rendered, 0, 0);
+
+    if (!this.draft) {
+      return;
+    }
+
+    if (this.draft.type === 'crop') {
+      // Dim everything outside the crop rectangle
+      const { x, y, width, height } = this.normalizeRect(this.draft);
+      this.context.save();
+      this.context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+      this.context.beginPath();
+      this.context.rect(0, 0, this.canvas.width, this.canvas.height);
+      this.context.rect(x, y, width, height);
+      this.context.fill('evenodd');
+      this.context.restore();
+    } else {
+      this.applyOperation(this.canvas, this.draft);
+    }
+  }
+
+  /**
+   * Maps a pointer event to image pixels
+   */
+  toImagePoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: Math.round((event.clientX - rect.left) * this.canvas.width / rect.width),
+      y: Math.round((event.clientY - rect.top) * this.canvas.height / rect.height)
+    };
+  }
+
+  /**
+   * Stroke width that stays visible whatever the image size
+   */
+  strokeWidth() {
+    return Math.max(2, Math.round(Math.max(this.canvas.width, this.canvas.height) / 200));
+  }
+
+  handlePointerDown(event) {
+    if (!this.tool || !this.rendered) {
+      return;
+    }
+
+    const point = this.toImagePoint(event);
+    const color = this.colorInput.value;
+    const width = this.strokeWidth();
+
+    switch (this.tool) {
+      case 'text': {
+        const text = this.textInput.value.trim();
+        if (text) {
+          this.addOperation({ type: 'text', x: point.x, y: point.y, text, color, size: width * 8 });
+        } else {
+          this.textInput.focus();
+        }
+        return;
+      }
+      case 'pen':
+        this.draft = { type: 'pen', points: [point], color, width };
+        break;
+      case 'arrow':
+        this.draft = { type: 'arrow', from: point, to: point, color, width };
+        break;
+      case 'blur':
+      case 'pixelate':
+        this.draft = { type: 'redact', mode: this.tool, x: point.x, y: point.y, width: 0, height: 0 };
+        break;
+      case 'box':
+        this.draft = { type: 'box', x: point.x, y: point.y, width: 0, height: 0, color, lineWidth: width };
+        break;
+      case 'crop':
+        this.draft = { type: 'crop', x: point.x, y: point.y, width: 0, height: 0 };
+        break;
+    }
+
+    this.canvas.setPointerCapture(event.pointerId);
+  }
+
+  handlePointerMove(event) {
+    if (!this.draft) {
+      return;
+    }
+
+    const point = this.toImagePoint(event);
+
+    switch (this.draft.type) {
+      case 'pen':
+        this.draft.points.push(point);
+        break;
+      case 'arrow':
+        this.draft.to = point;
+        break;
+      case 'crop':
+        this.resizeCropDraft(point);
+        break;
+      default:
+        this.draft.width = point.x - this.draft.x;
+        this.draft.height = point.y - this.draft.y;
+    }
+
+    this.draw();
+  }
+
+  handlePointerUp() {
+    const draft = this.draft;
+    this.draft = null;
+
+    if (!draft) {
+      return;
+    }
+
+    if (draft.type === 'pen' || draft.type === 'arrow') {
+      this.addOperation(draft);
+      return;
+    }
+
+    // Rectangles: ignore clicks that didn't drag anything out
+    const rect = this.clampRect(this.normalizeRect(draft));
+    if (rect.width < 4 || rect.height < 4) {
+      this.draw();
+      return;
+    }
+
+    this.addOperation({ ...draft, ...rect });
+  }
+
+  /**
+   * Drags the crop corner, keeping the selected aspect ratio
+   */
+  resizeCropDraft(point) {
+    let width = point.x - this.draft.x;
+    let height = point.y - this.draft.y;
+    const ratio = this.aspectRatios[this.aspectSelect.value];
+
+    if (ratio) {
+      const signY = height < 0 ? -1 : 1;
+      height = signY * Math.abs(width) / ratio;
+    }
+
+    this.draft.width = width;
+    this.draft.height = height;
+  }
+
+  /**
+   * Turns a rectangle dragged in any direction into one with positive size
+   */
+  normalizeRect({ x, y, width, height }) {
+    return {
+      x: Math.round(width < 0 ? x + width : x),
+      y: Math.round(height < 0 ? y + height : y),
+      width: Math.round(Math.abs(width)),
+      height: Math.round(Math.abs(height))
+    };
+  }
+
+  clampRect({ x, y, width, height }) {
+    const left = Math.max(0, x);
+    const top = Math.max(0, y);
+    return {
+      x: left,
+      y: top,
+      width: Math.min(this.canvas.width, x + width) - left,
+      height: Math.min(this.canvas.height, y + height) - top
+    };
+  }
+
+  createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+  }
+
+  /**
+   * Applies operations, in order, to a copy of the source image
+   * @param {ImageBitmap} source
+   * @param {Array<Object>} operations
+   * @returns {HTMLCanvasElement}
+   */
+  renderOperations(source, operations) {
+    let canvas = this.createCanvas(source.width, source.height);
+    canvas.getContext('2d').drawImage(source, 0, 0);
+
+    for (const operation of operations) {
+      canvas = this.applyOperation(canvas, operation);
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Applies one operation; geometric ones return a new canvas,
+   * drawing ones paint onto the given canvas and return it
+   */
+  applyOperation(canvas, operation) {
+    const context = canvas.getContext('2d');
+
+    switch (operation.type) {
+      case 'rotate': {
+        const rotated = this.createCanvas(canvas.height, canvas.width);
+        const target = rotated.getContext('2d');
+        target.translate(rotated.width / 2, rotated.height / 2);
+        target.rotate(operation.direction * Math.PI / 2);
+        target.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+        return rotated;
+      }
+
+      case 'flip': {
+        const flipped = this.createCanvas(canvas.width, canvas.height);
+        const target = flipped.getContext('2d');
+        if (operation.axis === 'horizontal') {
+          target.translate(canvas.width, 0);
+          target.scale(-1, 1);
+        } else {
+          target.translate(0, canvas.height);
+          target.scale(1, -1);
+        }
+        target.drawImage(canvas, 0, 0);
+        return flipped;
+      }
+
+      case 'crop': {
+        const cropped = this.createCanvas(operation.width, operation.height);
+        cropped.getContext('2d').drawImage(
+          canvas,
+          operation.x, operation.y, operation.width, operation.height,
+          0, 0, operation.width, operation.height
+        );
+        return cropped;
+      }
+
+      case 'resize': {
+        const scale = operation.maxDimension / Math.max(canvas.width, canvas.height);
+        if (scale >= 1) {
+          return canvas;
+        }
+        const resized = this.createCanvas(canvas.width * scale, canvas.height * scale);
+        const target = resized.getContext('2d');
+        target.imageSmoothingQuality = 'high';
+        target.drawImage(canvas, 0, 0, resized.width, resized.height);
+        return resized;
+      }
+
+      case 'box': {
+        const { x, y, width, height } = this.normalizeRect(operation);
+        context.save();
+        context.strokeStyle = operation.color;
+        context.lineWidth = operation.lineWidth;
+        context.strokeRect(x, y, width, height);
+        context.restore();
+        return canvas;
+      }
+
+      case 'arrow':
+        this.drawArrow(context, operation);
+        return canvas;
+
+      case 'pen':
+        context.save();
+        context.strokeStyle = operation.color;
+        context.lineWidth = operation.width;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.beginPath();
+        operation.points.forEach((point, index) => {
+          index === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y);
+        });
+        context.stroke();
+        context.restore();
+        return canvas;
+
+      case 'text':
+        context.save();
+        context.font = `bold ${operation.size}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+        context.textBaseline = 'top';
+        context.lineWidth = Math.max(2, operation.size / 8);
+        context.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillStyle = operation.color;
+        context.strokeText(operation.text, operation.x, operation.y);
+        context.fillText(operation.text, operation.x, operation.y);
+        context.restore();
+        return canvas;
+
+      case 'redact':
+        this.redact(canvas, this.normalizeRect(operation), operation.mode);
+        return canvas;
+
+      default:
+        return canvas;
+    }
+  }
+
+  drawArrow(context, { from, to, color, width }) {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const head = width * 4;
+
+    context.save();
+    context.strokeStyle = color;
+    context.fillStyle = color;
+    context.lineWidth = width;
+    context.lineCap = 'round';
+
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(to.x, to.y);
+    context.stroke();
+
+    context.beginPath();
+    context.moveTo(to.x, to.y);
+    context.lineTo(to.x - head * Math.cos(angle - Math.PI / 6), to.y - head * Math.sin(angle - Math.PI / 6));
+    context.lineTo(to.x - head * Math.cos(angle + Math.PI / 6), to.y - head * Math.sin(angle + Math.PI / 6));
+    context.closePath();
+    context.fill();
+    context.restore();
+  }
+
+  /**
+   * Blurs or pixelates a region so its content can't be read
+   */
+  redact(canvas, { x, y, width, height }, mode) {
+    if (width < 1 || height < 1) {
+      return;
+    }
+
+    const context = canvas.getContext('2d');
+
+    context.save();
+    context.beginPath();
+    context.rect(x, y, width, height);
+    context.clip();
+
+    if (mode === 'pixelate') {
+      const block = Math.max(8, Math.round(Math.max(width, height) / 16));
+      const small = this.createCanvas(width / block, height / block);
+      small.getContext('2d').drawImage(canvas, x, y, width, height, 0, 0, small.width, small.height);
+      context.imageSmoothingEnabled = false;
+      context.drawImage(small, x, y, width, height);
+    } else {
+      // Blur a padded copy so the edges don't fade to transparent
+      const radius = Math.max(6, Math.round(Math.max(width, height) / 20));
+      const padding = radius * 2;
+      const padded = this.createCanvas(width + padding * 2, height + padding * 2);
+      padded.getContext('2d').drawImage(canvas, padding - x, padding - y);
+      context.filter = `blur(${radius}px)`;
+      context.drawImage(padded, x - padding, y - padding);
+    }
+
+    context.restore();
+  }
+}
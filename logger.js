@@ -0,0 +1,335 @@
+/**
+ * Logger
+ * Leveled logging shared by the background worker, the content script,
+ * the popup and the options page. Every entry goes into a ring buffer in
+ * chrome.storage.session (one per context, so contexts don't overwrite
+ * each other), which survives tab reloads until the browser closes and
+ * ends up in the debug bundle. Session storage stays closed to content
+ * scripts, so the content script's entries are stored by the worker.
+ * Only entries at or above the level set in the options
+ * (Settings.logLevel) are printed to the console.
+ *
+ * Log messages name chats and files by id, not by name; names that end up
+ * in entries anyway (in entry data, or in error messages) are hidden when
+ * the debug bundle is made (see redact).
+ *
+ * Usage (the scope is the module's "[Scope]" prefix):
+ *   Logger.info('Upload Queue', 'Job queued', { job: job.id });
+ *   await Logger.time('Telegram Uploader', 'inject', { batch: 1 }, () => this.injectFiles(files));
+ */
+
+const Logger = {
+  config: {
+    // Storage key prefix; each context adds its own name, e.g. "debugLog.popup"
+    storagePrefix: 'debugLog.',
+    // Entries kept per context
+    maxEntries: 500,
+    // Entries are written in small groups rather than one storage write each
+    flushDelay: 250,
+    // Longest string kept in entry data
+    maxStringLength: 500,
+    // Keys of entry data holding names or text the user typed; their values
+    // are hidden when stored, and looked for in messages by findNames
+    privateKeys: ['name', 'filename', 'fileName', 'chatName', 'chatTitle', 'title', 'caption'],
+    // Names shorter than this are left in place, so they don't hide common words
+    minRedactLength: 3,
+    placeholder: '(hidden)'
+  },
+
+  levels: {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+  },
+
+  consoleMethods: {
+    debug: 'debug',
+    info: 'log',
+    warn: 'warn',
+    error: 'error'
+  },
+
+  consoleLevel: Settings.defaults.logLevel,
+  context: null,
+  pending: [],
+  flushTimer: null,
+  writing: Promise.resolve(),
+
+  /**
+   * Which part of the extension is logging; names this context's buffer
+   * @returns {string} 'background', 'content', 'options' or 'popup'
+   */
+  getContext() {
+    if (!this.context) {
+      if (typeof window === 'undefined') {
+        this.context = 'background';
+      } else if (window.location.protocol !== 'chrome-extension:') {
+        this.context = 'content';
+      } else {
+        this.context = window.location.pathname.replace(/^\/|\.html$/g, '');
+      }
+    }
+    return this.context;
+  },
+
+  /**
+   * @param {string} scope - Module, e.g. "Telegram Uploader"
+   * @param {string} message
+   * @param {*} [data] - Stored with the entry (see serialize)
+   */
+  debug(scope, message, data) {
+    this.write('debug', scope, message, data);
+  },
+
+  info(scope, message, data) {
+    this.write('info', scope, message, data);
+  },
+
+  warn(scope, message, data) {
+    this.write('warn', scope, message, data);
+  },
+
+  error(scope, message, data) {
+    this.write('error', scope, message, data);
+  },
+
+  /**
+   * Starts timing one step
+   * @param {string} scope
+   * @param {string} name - e.g. "inject"
+   * @param {Object} [fields] - Logged with the result, e.g. {job, batch}
+   * @returns {{end: Function, fail: Function}} end(extra) logs the duration;
+   *   fail(error) logs it with the error
+   */
+  span(scope, name, fields = {}) {
+    const startedAt = Date.now();
+    this.write('debug', scope, `${name} started`, fields);
+
+    return {
+      end: (extra = {}) => {
+        const duration = Date.now() - startedAt;
+        this.write('info', scope, `${name} done in ${duration}ms`, { ...fields, ...extra, span: name, duration });
+        return duration;
+      },
+      fail: (error) => {
+        const duration = Date.now() - startedAt;
+        const outcome = error?.cancelled ? 'cancelled' : 'failed';
+        this.write(error?.cancelled ? 'info' : 'warn', scope, `${name} ${outcome} after ${duration}ms`, {
+          ...fields, span: name, duration, outcome, error
+        });
+        return duration;
+      }
+    };
+  },
+
+  /**
+   * Runs fn inside a span, ending or failing it with fn's outcome
+   * @returns {Promise<*>} What fn returns
+   */
+  async time(scope, name, fields, fn) {
+    const span = this.span(scope, name, fields);
+    try {
+      const result = await fn();
+      span.end();
+      return result;
+    } catch (error) {
+      span.fail(error);
+      throw error;
+    }
+  },
+
+  write(level, scope, message, data) {
+    if (this.levels[level] >= this.levels[this.consoleLevel]) {
+      const args = data === undefined ? [] : [data];
+      console[this.consoleMethods[level]](`[${scope}] ${message}`, ...args);
+    }
+
+    const entry = { time: Date.now(), level, scope, message };
+    if (data !== undefined) {
+      entry.data = this.serialize(data);
+    }
+    this.pending.push(entry);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.config.flushDelay);
+    }
+  },
+
+  /**
+   * Makes entry data storable: errors become {message, code}, elements
+   * their tag, long strings are cut and deep objects flattened
+   */
+  serialize(value, depth = 0) {
+    if (value instanceof Error) {
+      return { message: value.message, code: value.code || null, ...(value.cancelled && { cancelled: true }) };
+    }
+    if (typeof value === 'string') {
+      return value.length > this.config.maxStringLength
+        ? `${value.slice(0, this.config.maxStringLength)}… (${value.length} chars)`
+        : value;
+    }
+    if (value === null || typeof value !== 'object') {
+      return typeof value === 'function' ? undefined : value;
+    }
+    if (typeof Element !== 'undefined' && value instanceof Element) {
+      return `<${value.tagName.toLowerCase()}${value.className ? ` class="${value.className}"` : ''}>`;
+    }
+    if (typeof Blob !== 'undefined' && value instanceof Blob) {
+      return { blob: value.type, size: value.size, ...(value.name && { name: value.name }) };
+    }
+    if (depth >= 4) {
+      return Array.isArray(value) ? `[${value.length} items]` : '{…}';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.serialize(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.config.privateKeys.includes(key) && typeof item === 'string' && item
+        ? this.config.placeholder
+        : this.serialize(item, depth + 1);
+    }
+    return result;
+  },
+
+  /**
+   * Stores pending entries in this context's ring buffer; the content
+   * script hands them to the worker (see append)
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const entries = this.pending.splice(0);
+    if (entries.length === 0) {
+      return this.writing;
+    }
+
+    if (this.getContext() === 'content') {
+      return chrome.runtime.sendMessage({ action: 'appendLog', entries }).catch(error => {
+        console.debug('[Logger] Could not send log entries:', error.message);
+      });
+    }
+
+    return this.append(this.getContext(), entries);
+  },
+
+  /**
+   * Appends entries to a context's ring buffer
+   * Writes run one at a time so entries aren't lost between them
+   * @param {string} context - See getContext
+   * @param {Array<Object>} entries
+   */
+  append(context, entries) {
+    const key = this.config.storagePrefix + context;
+    this.writing = this.writing.then(async () => {
+      try {
+        const stored = await chrome.storage.session.get(key);
+        const buffer = [...(stored[key] || []), ...entries].slice(-this.config.maxEntries);
+        await chrome.storage.session.set({ [key]: buffer });
+      } catch (error) {
+        console.debug('[Logger] Could not store log entries:', error.message);
+      }
+    });
+    return this.writing;
+  },
+
+  /**
+   * Entries of every context, oldest first
+   * @returns {Promise<Array<{time: number, level: string, scope: string,
+   *   message: string, data?: *, context: string}>>}
+   */
+  async getEntries() {
+    await this.flush();
+    const stored = await chrome.storage.session.get(null);
+
+    return Object.entries(stored)
+      .filter(([key]) => key.startsWith(this.config.storagePrefix))
+      .flatMap(([key, entries]) => entries.map(entry => ({
+        ...entry,
+        context: key.slice(this.config.storagePrefix.length)
+      })))
+      .sort((a, b) => a.time - b.time);
+  },
+
+  /**
+   * Collects the strings stored under privateKeys anywhere in value, e.g.
+   * the chat and file names of the upload queue
+   * @param {*} value
+   * @param {Set<string>} [names] - Added to
+   * @returns {Set<string>}
+   */
+  findNames(value, names = new Set()) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.findNames(item, names));
+    } else if (value !== null && typeof value === 'object') {
+      for (const [key, item] of Object.entries(value)) {
+        if (this.config.privateKeys.includes(key) && typeof item === 'string') {
+          names.add(item);
+        } else {
+          this.findNames(item, names);
+        }
+      }
+    }
+    return names;
+  },
+
+  /**
+   * Replaces names in the messages and data of entries, for sharing them
+   * @param {Array<Object>} entries - From getEntries
+   * @param {Iterable<string>} names - e.g. from findNames
+   * @returns {Array<Object>} Copies of the entries
+   */
+  redact(entries, names) {
+    const hidden = [...names]
+      .filter(name => name.length >= this.config.minRedactLength)
+      .sort((a, b) => b.length - a.length)
+      .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    if (hidden.length === 0) {
+      return entries;
+    }
+
+    const pattern = new RegExp(hidden.join('|'), 'g');
+    const scrub = (value) => {
+      if (typeof value === 'string') {
+        return value.replace(pattern, this.config.placeholder);
+      }
+      if (Array.isArray(value)) {
+        return value.map(scrub);
+      }
+      if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrub(item)]));
+      }
+      return value;
+    };
+
+    return entries.map(entry => ({
+      ...entry,
+      message: scrub(entry.message),
+      ...(entry.data !== undefined && { data: scrub(entry.data) })
+    }));
+  },
+
+  async clear() {
+    this.pending = [];
+    const stored = await chrome.storage.session.get(null);
+    await chrome.storage.session.remove(
+      Object.keys(stored).filter(key => key.startsWith(this.config.storagePrefix))
+    );
+  }
+};
+
+Settings.get()
+  .catch(error => {
+    Logger.warn('Logger', 'Could not read the log level, using the default', error);
+    return Settings.defaults;
+  })
+  .then(settings => {
+    Logger.consoleLevel = settings.logLevel;
+  });
+Settings.onChanged(settings => {
+  Logger.consoleLevel = settings.logLevel;
+});
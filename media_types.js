@@ -0,0 +1,86 @@
+/**
+ * Media kinds shared by the popup, the content script and the Bot API transport
+ * Decides how a file is previewed in the popup and how it is grouped
+ * into Telegram albums: photos and videos share albums, documents get
+ * their own, and animations (GIFs) are always sent on their own.
+ */
+
+const MediaTypes = {
+  // Images the popup editor can decode and Telegram sends as photos
+  editableImages: ['image/jpeg', 'image/png', 'image/webp', 'image/bmp'],
+
+  // Animated images Telegram sends as animations
+  animations: ['image/gif'],
+
+  /**
+   * @param {string} mimeType
+   * @returns {'image'|'gif'|'video'|'document'}
+   */
+  kindOf(mimeType = '') {
+    if (this.animations.includes(mimeType)) {
+      return 'gif';
+    }
+    if (this.editableImages.includes(mimeType)) {
+      return 'image';
+    }
+    if (mimeType.startsWith('video/')) {
+      return 'video';
+    }
+    return 'document';
+  },
+
+  /**
+   * Kinds that may share one album
+   * @returns {string|null} Album group, or null for kinds sent one by one
+   */
+  albumGroup(kind) {
+    switch (kind) {
+      case 'image':
+      case 'video':
+        return 'media';
+      case 'document':
+        return 'document';
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Splits files into album-sized batches, keeping their order
+   * Photos and videos share albums, documents get their own and
+   * animations go one by one (see albumGroup)
+   * @param {File[]} files
+   * @param {number} albumSize - Most items Telegram puts in one album
+   * @returns {File[][]}
+   */
+  splitIntoBatches(files, albumSize) {
+    const batches = [];
+    let current = null;
+    let currentGroup = null;
+
+    for (const file of files) {
+      const group = this.albumGroup(this.kindOf(file.type));
+
+      if (!current || group === null || group !== currentGroup || current.length >= albumSize) {
+        current = [];
+        batches.push(current);
+      }
+
+      current.push(file);
+      currentGroup = group;
+    }
+
+    return batches;
+  },
+
+  /**
+   * How a batch is sent: documents, a single animation, or media
+   * (photos and videos)
+   * @param {File[]} files - One batch from splitIntoBatches
+   * @returns {'document'|'gif'|'media'}
+   */
+  batchKind(files) {
+    const kind = this.kindOf(files[0].type);
+    return kind === 'image' || kind === 'video' ? 'media' : kind;
+  }
+};
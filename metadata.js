@@ -0,0 +1,455 @@
+/**
+ * Image metadata for the popup
+ * Reads what a JPEG, PNG or WebP file says about where, when and with what
+ * it was taken (EXIF, GPS, XMP, text chunks) and strips it before sending.
+ * Only the container structure is rewritten; image data is copied as is.
+ */
+
+const ImageMetadata = {
+  formats: {
+    'image/jpeg': 'jpeg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+  },
+
+  // EXIF tags we report (IFD0, Exif IFD and GPS IFD)
+  tags: {
+    make: 0x010f,
+    model: 0x0110,
+    orientation: 0x0112,
+    software: 0x0131,
+    modified: 0x0132,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    taken: 0x9003,
+    digitized: 0x9004,
+    serialNumber: 0xa431,
+    lens: 0xa434,
+    gpsLatitudeRef: 0x0001,
+    gpsLatitude: 0x0002,
+    gpsLongitudeRef: 0x0003,
+    gpsLongitude: 0x0004
+  },
+
+  /**
+   * @param {File} file
+   * @returns {boolean} Whether read() and strip() understand the file
+   */
+  isSupported(file) {
+    return file.type in this.formats;
+  },
+
+  /**
+   * Parses the file's metadata
+   * @param {File} file
+   * @returns {Promise<{format: string, hasMetadata: boolean, location: {latitude: number, longitude: number}|null,
+   *   device: Object, timestamps: Object, other: string[], orientation: number|null}|null>}
+   *   null for unsupported formats
+   */
+  async read(file) {
+    const format = this.formats[file.type];
+    if (!format) {
+      return null;
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const report = {
+      format,
+      hasMetadata: false,
+      location: null,
+      device: {},
+      timestamps: {},
+      other: [],
+      orientation: null
+    };
+
+    try {
+      this.readers[format].call(this, bytes, report);
+    } catch (error) {
+      // Malformed metadata: report what was read before the error
+      Logger.info('Metadata', 'Could not parse all metadata:', error.message);
+    }
+
+    report.hasMetadata = report.location !== null ||
+      Object.keys(report.device).length > 0 ||
+      Object.keys(report.timestamps).length > 0 ||
+      report.other.length > 0;
+
+    return report;
+  },
+
+  /**
+   * Returns a copy of the file without its metadata (same name and type)
+   * JPEG orientation is kept so the photo isn't shown sideways
+   * @param {File} file
+   * @returns {Promise<File>}
+   */
+  async strip(file) {
+    const format = this.formats[file.type];
+    if (!format) {
+      return file;
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const parts = this.strippers[format].call(this, bytes);
+
+    return new File(parts, file.name, { type: file.type, lastModified: file.lastModified });
+  },
+
+  readers: {
+    jpeg(bytes, report) {
+      for (const segment of this.jpegSegments(bytes)) {
+        const data = bytes.subarray(segment.start + 4, segment.end);
+
+        if (segment.marker === 0xe1 && this.startsWith(data, 'Exif\0\0')) {
+          this.readExif(data.subarray(6), report);
+        } else if (segment.marker === 0xe1 && this.startsWith(data, 'http://ns.adobe.com/')) {
+          this.addOther(report, 'XMP');
+        } else if (segment.marker === 0xed) {
+          this.addOther(report, 'IPTC');
+        } else if (segment.marker === 0xfe) {
+          this.addOther(report, 'Comment');
+        }
+      }
+    },
+
+    png(bytes, report) {
+      for (const chunk of this.pngChunks(bytes)) {
+        const data = bytes.subarray(chunk.start + 8, chunk.start + 8 + chunk.length);
+
+        switch (chunk.type) {
+          case 'eXIf':
+            this.readExif(data, report);
+            break;
+          case 'tIME': {
+            const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            const pad = (value) => String(value).padStart(2, '0');
+            report.timestamps.modified = `${view.getUint16(0)}-${pad(data[2])}-${pad(data[3])} ` +
+              `${pad(data[4])}:${pad(data[5])}:${pad(data[6])}`;
+            break;
+          }
+          case 'tEXt':
+          case 'zTXt':
+          case 'iTXt': {
+            const keyword = this.latin1(data.subarray(0, data.indexOf(0)));
+            this.addOther(report, keyword === 'XML:com.adobe.xmp' ? 'XMP' : keyword);
+            break;
+          }
+        }
+      }
+    },
+
+    webp(bytes, report) {
+      for (const chunk of this.webpChunks(bytes)) {
+        const data = bytes.subarray(chunk.start + 8, chunk.start + 8 + chunk.length);
+
+        if (chunk.type === 'EXIF') {
+          this.readExif(this.startsWith(data, 'Exif\0\0') ? data.subarray(6) : data, report);
+        } else if (chunk.type === 'XMP ') {
+          this.addOther(report, 'XMP');
+        }
+      }
+    }
+  },
+
+  strippers: {
+    jpeg(bytes) {
+      const parts = [bytes.subarray(0, 2)];
+      let orientation = null;
+      let end = 2;
+
+      for (const segment of this.jpegSegments(bytes)) {
+        const data = bytes.subarray(segment.start + 4, segment.end);
+
+        if (segment.marker === 0xe1 && this.startsWith(data, 'Exif\0\0')) {
+          const report = { device: {}, timestamps: {}, other: [], location: null, orientation: null };
+          try {
+            this.readExif(data.subarray(6), report);
+          } catch (error) {
+            // Orientation unreadable: drop it with the rest
+          }
+          orientation = report.orientation;
+        }
+
+        if (this.keepJpegSegment(segment.marker, data)) {
+          parts.push(bytes.subarray(segment.start, segment.end));
+        }
+        end = segment.end;
+      }
+
+      // After the JFIF header, which has to come first
+      if (orientation && orientation !== 1) {
+        const at = parts[1] && parts[1][1] === 0xe0 ? 2 : 1;
+        parts.splice(at, 0, this.orientationSegment(orientation));
+      }
+
+      // Scan data and everything after it
+      parts.push(bytes.subarray(end));
+      return parts;
+    },
+
+    png(bytes) {
+      const dropped = ['eXIf', 'tIME', 'tEXt', 'zTXt', 'iTXt'];
+      const parts = [bytes.subarray(0, 8)];
+
+      for (const chunk of this.pngChunks(bytes)) {
+        if (!dropped.includes(chunk.type)) {
+          parts.push(bytes.subarray(chunk.start, chunk.start + 12 + chunk.length));
+        }
+      }
+
+      return parts;
+    },
+
+    webp(bytes) {
+      const chunks = [];
+
+      for (const chunk of this.webpChunks(bytes)) {
+        if (chunk.type === 'EXIF' || chunk.type === 'XMP ') {
+          continue;
+        }
+
+        const copy = bytes.slice(chunk.start, chunk.start + 8 + chunk.length + (chunk.length % 2));
+        if (chunk.type === 'VP8X') {
+          // Clear the "has EXIF" and "has XMP" flags
+          copy[8] &= ~(0x08 | 0x04);
+        }
+        chunks.push(copy);
+      }
+
+      const size = 4 + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+      const header = new Uint8Array(12);
+      header.set(bytes.subarray(0, 12));
+      new DataView(header.buffer).setUint32(4, size, true);
+
+      return [header, ...chunks];
+    }
+  },
+
+  /**
+   * JPEG segments before the scan data, as {marker, start, end}
+   */
+  jpegSegments(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const segments = [];
+
+    if (view.getUint16(0) !== 0xffd8) {
+      throw new Error('Not a JPEG file');
+    }
+
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+
+      // Start of scan: image data follows
+      if (marker === 0xda) {
+        break;
+      }
+
+      const end = offset + 2 + view.getUint16(offset + 2);
+      segments.push({ marker, start: offset, end });
+      offset = end;
+    }
+
+    return segments;
+  },
+
+  /**
+   * Keeps what decoding needs: JFIF header, ICC colour profile, Adobe
+   * colour transform, and all non-APP segments (tables, frame header)
+   */
+  keepJpegSegment(marker, data) {
+    if (marker === 0xfe) {
+      return false;
+    }
+    if (marker >= 0xe0 && marker <= 0xef) {
+      return marker === 0xe0 ||
+        marker === 0xee ||
+        (marker === 0xe2 && this.startsWith(data, 'ICC_PROFILE'));
+    }
+    return true;
+  },
+
+  /**
+   * APP1 segment with an EXIF block that holds only the orientation tag
+   */
+  orientationSegment(orientation) {
+    const segment = new Uint8Array(36);
+    const view = new DataView(segment.buffer);
+
+    view.setUint16(0, 0xffe1);
+    view.setUint16(2, 34);
+    segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4);   // "Exif\0\0"
+
+    // Big-endian TIFF header, IFD0 at offset 8 with a single entry
+    const tiff = 10;
+    view.setUint16(tiff, 0x4d4d);
+    view.setUint16(tiff + 2, 42);
+    view.setUint32(tiff + 4, 8);
+    view.setUint16(tiff + 8, 1);
+    view.setUint16(tiff + 10, this.tags.orientation);
+    view.setUint16(tiff + 12, 3);                       // SHORT
+    view.setUint32(tiff + 14, 1);
+    view.setUint16(tiff + 18, orientation);
+    view.setUint32(tiff + 22, 0);                       // No next IFD
+
+    return segment;
+  },
+
+  /**
+   * PNG chunks after the signature, as {type, start, length}
+   */
+  pngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+
+    let offset = 8;
+    while (offset + 12 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = this.latin1(bytes.subarray(offset + 4, offset + 8));
+      chunks.push({ type, start: offset, length });
+      offset += 12 + length;
+    }
+
+    return chunks;
+  },
+
+  /**
+   * WebP (RIFF) chunks after the header, as {type, start, length}
+   */
+  webpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+
+    if (this.latin1(bytes.subarray(0, 4)) !== 'RIFF' || this.latin1(bytes.subarray(8, 12)) !== 'WEBP') {
+      throw new Error('Not a WebP file');
+    }
+
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset + 4, true);
+      const type = this.latin1(bytes.subarray(offset, offset + 4));
+      chunks.push({ type, start: offset, length });
+      offset += 8 + length + (length % 2);
+    }
+
+    return chunks;
+  },
+
+  /**
+   * Reads the tags we report from a TIFF-structured EXIF block
+   */
+  readExif(tiff, report) {
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const little = view.getUint16(0) === 0x4949;
+    const ifd0 = this.readIfd(view, view.getUint32(4, little), little);
+    const exif = ifd0[this.tags.exifIfd] ? this.readIfd(view, ifd0[this.tags.exifIfd], little) : {};
+    const gps = ifd0[this.tags.gpsIfd] ? this.readIfd(view, ifd0[this.tags.gpsIfd], little) : {};
+
+    const text = (value) => typeof value === 'string' && value.trim() ? value.trim() : undefined;
+    const date = (value) => text(value)?.replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3');
+
+    const device = {
+      make: text(ifd0[this.tags.make]),
+      model: text(ifd0[this.tags.model]),
+      serialNumber: text(exif[this.tags.serialNumber]),
+      lens: text(exif[this.tags.lens]),
+      software: text(ifd0[this.tags.software])
+    };
+    const timestamps = {
+      taken: date(exif[this.tags.taken]),
+      digitized: date(exif[this.tags.digitized]),
+      modified: date(ifd0[this.tags.modified])
+    };
+
+    Object.entries(device).forEach(([key, value]) => value && (report.device[key] = value));
+    Object.entries(timestamps).forEach(([key, value]) => value && (report.timestamps[key] = value));
+
+    if (ifd0[this.tags.orientation]) {
+      report.orientation = ifd0[this.tags.orientation];
+    }
+
+    const latitude = this.toDegrees(gps[this.tags.gpsLatitude], gps[this.tags.gpsLatitudeRef]);
+    const longitude = this.toDegrees(gps[this.tags.gpsLongitude], gps[this.tags.gpsLongitudeRef]);
+    if (latitude !== null && longitude !== null) {
+      report.location = { latitude, longitude };
+    }
+  },
+
+  /**
+   * Reads one IFD into {tag: value}
+   */
+  readIfd(view, offset, little) {
+    const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+    const values = {};
+    const count = view.getUint16(offset, little);
+
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const length = view.getUint32(entry + 4, little);
+      const size = (sizes[type] || 1) * length;
+      const at = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+
+      if (at + size > view.byteLength) {
+        continue;
+      }
+
+      values[tag] = this.readValue(view, at, type, length, little);
+    }
+
+    return values;
+  },
+
+  readValue(view, at, type, length, little) {
+    const read = (index) => {
+      switch (type) {
+        case 3: return view.getUint16(at + index * 2, little);
+        case 4: return view.getUint32(at + index * 4, little);
+        case 9: return view.getInt32(at + index * 4, little);
+        case 5: return view.getUint32(at + index * 8, little) / (view.getUint32(at + index * 8 + 4, little) || 1);
+        case 10: return view.getInt32(at + index * 8, little) / (view.getInt32(at + index * 8 + 4, little) || 1);
+        default: return view.getUint8(at + index);
+      }
+    };
+
+    if (type === 2) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + at, length);
+      return this.latin1(bytes).replace(/\0+$/, '');
+    }
+
+    if (length === 1) {
+      return read(0);
+    }
+
+    return Array.from({ length }, (_, index) => read(index));
+  },
+
+  /**
+   * GPS degrees/minutes/seconds to signed decimal degrees
+   */
+  toDegrees(value, ref) {
+    if (!Array.isArray(value) || value.length < 3) {
+      return null;
+    }
+
+    const [degrees, minutes, seconds] = value;
+    const decimal = degrees + minutes / 60 + seconds / 3600;
+    return ref === 'S' || ref === 'W' ? -decimal : decimal;
+  },
+
+  addOther(report, name) {
+    if (name && !report.other.includes(name)) {
+      report.other.push(name);
+    }
+  },
+
+  startsWith(bytes, text) {
+    return bytes.length >= text.length && this.latin1(bytes.subarray(0, text.length)) === text;
+  },
+
+  latin1(bytes) {
+    return String.fromCharCode.apply(null, bytes);
+  }
+};
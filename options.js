@@ -0,0 +1,361 @@
+/**
+ * Options page
+ * Edits the Settings the popup doesn't: defaults for sending, the upload
+ * step timeouts and selector overrides, console logging, the bot
+ * transport, and backups of all of them as JSON
+ */
+
+class OptionsPage {
+  constructor() {
+    this.sendModeInputs = document.querySelectorAll('input[name="defaultSendMode"]');
+    this.captionTemplate = document.getElementById('captionTemplate');
+    this.maxFileSize = document.getElementById('maxFileSize');
+    this.autoClearDelay = document.getElementById('autoClearDelay');
+    this.timeoutList = document.getElementById('timeoutList');
+    this.selectorOverrides = document.getElementById('selectorOverrides');
+    this.logLevel = document.getElementById('logLevel');
+    this.botToken = document.getElementById('botToken');
+    this.toggleToken = document.getElementById('toggleToken');
+    this.botApiBaseUrl = document.getElementById('botApiBaseUrl');
+    this.testBot = document.getElementById('testBot');
+    this.testResult = document.getElementById('testResult');
+    this.botChatList = document.getElementById('botChatList');
+    this.addBotChat = document.getElementById('addBotChat');
+    this.exportButton = document.getElementById('exportSettings');
+    this.importButton = document.getElementById('importSettings');
+    this.importFile = document.getElementById('importFile');
+    this.resetButton = document.getElementById('resetSettings');
+    this.backupStatus = document.getElementById('backupStatus');
+    this.saveButton = document.getElementById('saveOptions');
+    this.saveStatus = document.getElementById('saveStatus');
+
+    this.megabyte = 1024 * 1024;
+
+    // The reset button asks for a second click within this time
+    this.confirmTimeout = 3000;
+    this.confirmTimer = null;
+
+    this.init();
+  }
+
+  async init() {
+    I18n.apply();
+    this.createTimeoutInputs();
+
+    this.toggleToken.addEventListener('click', () => this.toggleTokenVisibility());
+    this.testBot.addEventListener('click', () => this.handleTest());
+    this.addBotChat.addEventListener('click', () => this.addChatRow());
+    this.exportButton.addEventListener('click', () => this.handleExport());
+    this.importButton.addEventListener('click', () => this.importFile.click());
+    this.importFile.addEventListener('change', () => this.handleImport());
+    this.resetButton.addEventListener('click', () => this.handleReset());
+    this.saveButton.addEventListener('click', () => this.handleSave());
+
+    this.render(await Settings.get());
+
+    Logger.debug('Options', 'Initialized');
+  }
+
+  /**
+   * One seconds input per upload step timeout, in Settings.defaults order
+   */
+  createTimeoutInputs() {
+    for (const [name, defaultValue] of Object.entries(Settings.defaults.timeouts)) {
+      const label = document.createElement('label');
+      label.htmlFor = `timeout-${name}`;
+      label.textContent = I18n.t(`timeout_${name}`);
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = `timeout-${name}`;
+      input.dataset.timeout = name;
+      input.min = '0.5';
+      input.step = '0.5';
+      input.placeholder = String(defaultValue / 1000);
+
+      this.timeoutList.append(label, input);
+    }
+  }
+
+  /**
+   * Fills the form from settings
+   * @param {Object} settings - From Settings.get()
+   */
+  render(settings) {
+    this.sendModeInputs.forEach(input => {
+      input.checked = input.value === settings.defaultSendMode;
+    });
+    this.captionTemplate.value = settings.captionTemplate;
+    this.maxFileSize.value = String(Math.round(settings.maxFileSize / this.megabyte));
+    this.autoClearDelay.value = String(settings.autoClearDelay);
+
+    this.timeoutList.querySelectorAll('input').forEach(input => {
+      input.value = String(settings.timeouts[input.dataset.timeout] / 1000);
+    });
+
+    const overrides = settings.selectorOverrides;
+    this.selectorOverrides.value = Object.keys(overrides).length > 0 ? JSON.stringify(overrides, null, 2) : '';
+    this.logLevel.value = settings.logLevel;
+
+    this.botToken.value = settings.botToken;
+    this.botApiBaseUrl.value = settings.botApiBaseUrl;
+    this.botChatList.innerHTML = '';
+    settings.botChats.forEach(chat => this.addChatRow(chat));
+
+    document.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+  }
+
+  toggleTokenVisibility() {
+    const hidden = this.botToken.type === 'password';
+    this.botToken.type = hidden ? 'text' : 'password';
+    this.toggleToken.textContent = I18n.t(hidden ? 'botTokenHide' : 'botTokenShow');
+  }
+
+  /**
+   * @param {{chatId: string, name: string}} [chat]
+   */
+  addChatRow(chat = { chatId: '', name: '' }) {
+    const row = document.createElement('li');
+    row.className = 'bot-chat';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'bot-chat-name';
+    name.placeholder = I18n.t('botChatName');
+    name.value = chat.name;
+
+    const chatId = document.createElement('input');
+    chatId.type = 'text';
+    chatId.className = 'bot-chat-id';
+    chatId.placeholder = I18n.t('botChatId');
+    chatId.spellcheck = false;
+    chatId.value = chat.chatId;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'bot-chat-remove';
+    remove.textContent = '✕';
+    remove.title = I18n.t('botChatRemove');
+    remove.addEventListener('click', () => row.remove());
+
+    row.append(name, chatId, remove);
+    this.botChatList.appendChild(row);
+
+    if (!chat.chatId) {
+      name.focus();
+    }
+  }
+
+  /**
+   * Reads the form and checks it with Settings.validate, marking invalid fields
+   * @returns {Object|null} Settings changes, or null when a field is invalid
+   *   (the first problem is shown next to the save button)
+   */
+  readForm() {
+    document.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+
+    const timeouts = {};
+    this.timeoutList.querySelectorAll('input').forEach(input => {
+      const seconds = input.value === '' ? Number(input.placeholder) : Number(input.value);
+      timeouts[input.dataset.timeout] = Math.round(seconds * 1000);
+    });
+
+    // Problems found before validation: unreadable JSON
+    const problems = [];
+    let selectorOverrides = {};
+    try {
+      selectorOverrides = this.selectorOverrides.value.trim() ? JSON.parse(this.selectorOverrides.value) : {};
+    } catch (error) {
+      problems.push({ setting: 'selectorOverrides', message: error.message });
+    }
+
+    // Rows left empty are dropped; chatRows matches botChats by index
+    const chatRows = [];
+    const botChats = [];
+    for (const row of this.botChatList.querySelectorAll('.bot-chat')) {
+      const chatId = row.querySelector('.bot-chat-id').value.trim();
+      const name = row.querySelector('.bot-chat-name').value.trim();
+
+      if (chatId || name) {
+        chatRows.push(row);
+        botChats.push({ chatId, name: name || chatId });
+      }
+    }
+
+    const changes = {
+      defaultSendMode: document.querySelector('input[name="defaultSendMode"]:checked')?.value ||
+        Settings.defaults.defaultSendMode,
+      captionTemplate: this.captionTemplate.value.trim(),
+      maxFileSize: Math.round(Number(this.maxFileSize.value) * this.megabyte),
+      autoClearDelay: Math.round(Number(this.autoClearDelay.value)),
+      timeouts,
+      selectorOverrides,
+      logLevel: this.logLevel.value,
+      botToken: this.botToken.value.trim(),
+      botApiBaseUrl: this.botApiBaseUrl.value.trim().replace(/\/+$/, '') || Settings.defaults.botApiBaseUrl,
+      botChats
+    };
+
+    problems.push(...Settings.validate(changes));
+    if (problems.length === 0) {
+      return changes;
+    }
+
+    const messages = problems.map(problem => this.markInvalid(problem, chatRows));
+    this.showResult(this.saveStatus, messages[0], 'error');
+    return null;
+  }
+
+  /**
+   * Marks the field a Settings.validate problem is about
+   * @returns {string} Message for the problem
+   */
+  markInvalid({ setting, message }, chatRows) {
+    const [key, detail] = setting.split('.');
+    const mark = (input) => input && input.classList.add('invalid');
+
+    switch (key) {
+      case 'maxFileSize':
+        mark(this.maxFileSize);
+        return I18n.t('maxFileSizeInvalid');
+      case 'autoClearDelay':
+        mark(this.autoClearDelay);
+        return I18n.t('autoClearDelayInvalid');
+      case 'timeouts':
+        mark(this.timeoutList.querySelector(`input[data-timeout="${detail}"]`));
+        return I18n.t('timeoutInvalid');
+      case 'selectorOverrides':
+        mark(this.selectorOverrides);
+        return I18n.t('selectorOverridesInvalid', message);
+      case 'botApiBaseUrl':
+        mark(this.botApiBaseUrl);
+        return I18n.t('botBaseUrlInvalid');
+      case 'botChats':
+        mark(chatRows[detail]?.querySelector('.bot-chat-id'));
+        return I18n.t('botChatInvalid');
+      default:
+        return I18n.t('statusError', `${setting}: ${message}`);
+    }
+  }
+
+  async handleSave() {
+    const changes = this.readForm();
+    if (!changes) {
+      return;
+    }
+
+    try {
+      await Settings.set(changes);
+      this.showResult(this.saveStatus, I18n.t('optionsSaved'), 'success');
+      Logger.info('Options', '✓ Saved');
+    } catch (error) {
+      Logger.error('Options', '✗ Saving failed:', error);
+      this.showResult(this.saveStatus, I18n.t('statusError', error.message), 'error');
+    }
+  }
+
+  /**
+   * Asks the background worker to call getMe with the token and server in the
+   * form (saved or not)
+   */
+  async handleTest() {
+    const changes = this.readForm();
+    if (!changes) {
+      return;
+    }
+
+    this.testBot.disabled = true;
+    this.showResult(this.testResult, '', '');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'testBotApi',
+        settings: { botToken: changes.botToken, botApiBaseUrl: changes.botApiBaseUrl }
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || I18n.t('errorUploadUnknown'));
+      }
+      this.showResult(this.testResult, I18n.t('botTestOk', response.bot.username), 'success');
+    } catch (error) {
+      Logger.error('Options', '✗ Bot test failed:', error);
+      this.showResult(this.testResult, I18n.t('botTestFailed', error.message), 'error');
+    } finally {
+      this.testBot.disabled = false;
+    }
+  }
+
+  /**
+   * Downloads the saved settings (without the bot token) as a JSON file
+   */
+  async handleExport() {
+    const json = await Settings.export();
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'telegram-photo-uploader-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    Logger.info('Options', 'Settings exported');
+  }
+
+  async handleImport() {
+    const [file] = this.importFile.files;
+    this.importFile.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      this.render(await Settings.import(await file.text()));
+      this.showResult(this.backupStatus, I18n.t('settingsImported'), 'success');
+      Logger.info('Options', '✓ Settings imported');
+    } catch (error) {
+      Logger.error('Options', '✗ Import failed:', error);
+      this.showResult(this.backupStatus, I18n.t('settingsImportFailed', error.message), 'error');
+    }
+  }
+
+  /**
+   * Resets on a second click, so one stray click can't
+   */
+  async handleReset() {
+    if (!this.confirmTimer) {
+      this.resetButton.textContent = I18n.t('resetSettingsConfirm');
+      this.confirmTimer = setTimeout(() => this.resetResetButton(), this.confirmTimeout);
+      return;
+    }
+
+    this.resetResetButton();
+
+    try {
+      this.render(await Settings.reset());
+      this.showResult(this.backupStatus, I18n.t('settingsReset'), 'success');
+      Logger.info('Options', '✓ Settings reset');
+    } catch (error) {
+      Logger.error('Options', '✗ Reset failed:', error);
+      this.showResult(this.backupStatus, I18n.t('statusError', error.message), 'error');
+    }
+  }
+
+  resetResetButton() {
+    clearTimeout(this.confirmTimer);
+    this.confirmTimer = null;
+    this.resetButton.textContent = I18n.t('resetSettings');
+  }
+
+  showResult(element, message, type) {
+    element.textContent = message;
+    element.className = `options-result ${type}`;
+  }
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    new OptionsPage();
+  });
+} else {
+  new OptionsPage();
+}
@@ -4,85 +4,770 @@ class TelegramPhotoSender {
     this.fileName = document.getElementById('fileName');
     this.sendButton = document.getElementById('sendButton');
     this.previewContainer = document.getElementById('previewContainer');
+    this.removeFile = document.getElementById('removeFile');
     this.imagePreview = document.getElementById('imagePreview');
-    this.removeImage = document.getElementById('removeImage');
+    this.animationPreview = document.getElementById('animationPreview');
+    this.videoPreview = document.getElementById('videoPreview');
+    this.documentPreview = document.getElementById('documentPreview');
+    this.documentIcon = document.getElementById('documentIcon');
+    this.documentName = document.getElementById('documentName');
+    this.documentSize = document.getElementById('documentSize');
+    this.editorToolbar = document.getElementById('editorToolbar');
+    this.conversionPanel = document.getElementById('conversionPanel');
+    this.conversionList = document.getElementById('conversionList');
+    this.conversionOutput = document.getElementById('conversionOutput');
+    this.conversionQuality = document.getElementById('conversionQuality');
+    this.conversionQualityValue = document.getElementById('conversionQualityValue');
+    this.conversionQualitySetting = document.getElementById('conversionQualitySetting');
     this.statusContainer = document.getElementById('statusContainer');
     this.statusMessage = document.getElementById('statusMessage');
+    this.thumbnailGrid = document.getElementById('thumbnailGrid');
+    this.captionInput = document.getElementById('captionInput');
+    this.captionCounter = document.getElementById('captionCounter');
+    this.captureVisible = document.getElementById('captureVisible');
+    this.captureRegion = document.getElementById('captureRegion');
+    this.metadataReport = document.getElementById('metadataReport');
+    this.metadataTitle = document.getElementById('metadataTitle');
+    this.metadataList = document.getElementById('metadataList');
+    this.keepMetadata = document.getElementById('keepMetadata');
+    this.sendModeInputs = document.querySelectorAll('input[name="sendMode"]');
+    this.sendSpoiler = document.getElementById('sendSpoiler');
+    this.sendLater = document.getElementById('sendLater');
+    this.sendLaterTime = document.getElementById('sendLaterTime');
+    this.sendButtonText = document.getElementById('sendButtonText');
+    this.openOptions = document.getElementById('openOptions');
     
-    this.selectedFile = null;
+    this.selectedFiles = [];
+    this.activeId = null;
+    this.draggedId = null;
+
+    // Output for HEIC, AVIF and TIFF images (see ImageConverter)
+    this.conversionStorageKey = 'conversionSettings';
+    this.conversionSettings = { ...ImageConverter.defaults };
+
+    // Options page settings (send mode, caption template, size limit)
+    this.settings = { ...Settings.defaults };
+
+    this.chatPicker = new ChatPicker(() => {}, (message, type) => this.showStatus(message, type));
+    this.imageEditor = new ImageEditor((entry) => this.handleEdit(entry));
+    this.queueView = new QueueView();
+    this.historyView = new HistoryView(this.chatPicker, (message, type) => this.showStatus(message, type));
+    this.diagnosticsView = new DiagnosticsView();
     
     this.init();
   }
 
   init() {
+    I18n.apply();
+
     // Event listeners
     this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
     this.sendButton.addEventListener('click', () => this.handleSend());
-    this.removeImage.addEventListener('click', () => this.clearSelection());
+    this.removeFile.addEventListener('click', () => this.removeActive());
+    this.captionInput.addEventListener('input', () => this.updateCaptionCounter());
+    this.captureVisible.addEventListener('click', () => this.startCapture('visible'));
+    this.captureRegion.addEventListener('click', () => this.startCapture('region'));
+    this.keepMetadata.addEventListener('change', () => this.renderMetadata());
+    this.sendModeInputs.forEach(input => input.addEventListener('change', () => this.updateSendOptions()));
+    this.sendLater.addEventListener('change', () => this.updateSendLater());
+    this.conversionOutput.addEventListener('change', () => this.updateConversionSettings());
+    this.conversionQuality.addEventListener('input', () => {
+      this.conversionQualityValue.textContent = this.conversionQuality.value;
+    });
+    this.conversionQuality.addEventListener('change', () => this.updateConversionSettings());
+    this.openOptions.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+    this.loadConversionSettings();
+    this.loadSettings();
+    this.loadChats();
     
-    console.log('[Popup] Initialized');
+    Logger.debug('Popup', 'Initialized');
   }
 
   handleFileSelect(event) {
-    const file = event.target.files[0];
+    const files = Array.from(event.target.files);
     
-    if (!file) {
+    if (files.length === 0) {
       return;
     }
 
-    // Validate file type
-    if (!file.type.startsWith('image/')) {
-      this.showStatus('Please select a valid image file', 'error');
+    const maxSize = this.settings.maxFileSize;
+    const rejected = [];
+
+    files.forEach(file => {
+      // Validate file size (Telegram's 2GB unless lowered in the options)
+      if (file.size > maxSize) {
+        rejected.push(I18n.t('fileTooLarge', file.name, this.formatFileSize(maxSize)));
+        return;
+      }
+
+      const entry = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        file,
+        kind: MediaTypes.kindOf(file.type),
+        thumbnailUrl: URL.createObjectURL(file),
+        metadata: null,
+        // Original of a converted image, and the conversion's state
+        original: null,
+        conversion: null
+      };
+      this.selectedFiles.push(entry);
+      this.readMetadata(entry);
+      entry.ready = this.convertIfNeeded(entry);
+
+      Logger.debug('Popup', `File selected: ${file.type || 'unknown type'} (${this.formatFileSize(file.size)})`);
+    });
+
+    // Allow picking the same files again after a removal
+    this.fileInput.value = '';
+
+    if (rejected.length > 0) {
+      this.showStatus(I18n.t('skippedFiles', rejected.join(', ')), 'error');
+    } else {
+      this.hideStatus();
+    }
+
+    if (this.selectedFiles.length === 0) {
       return;
     }
 
-    // Validate file size (max 20MB)
-    const maxSize = 20 * 1024 * 1024; // 20MB
-    if (file.size > maxSize) {
-      this.showStatus('File size must be less than 20MB', 'error');
+    if (!this.activeId || !this.findEntry(this.activeId)) {
+      this.activeId = this.selectedFiles[0].id;
+    }
+
+    this.fillCaptionTemplate();
+    this.renderSelection();
+  }
+
+  findEntry(id) {
+    return this.selectedFiles.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Re-renders file label, large preview and thumbnail grid from selectedFiles
+   */
+  renderSelection() {
+    const count = this.selectedFiles.length;
+
+    if (count === 0) {
+      this.clearSelection();
       return;
     }
 
-    this.selectedFile = file;
-    this.fileName.textContent = file.name;
-    
-    // Show preview
-    this.showPreview(file);
-    
+    this.fileName.textContent = count === 1
+      ? this.selectedFiles[0].file.name
+      : I18n.t('filesSelected', count);
+
+    const active = this.findEntry(this.activeId) || this.selectedFiles[0];
+    this.activeId = active.id;
+    this.showPreview(active);
+
+    this.renderThumbnails();
+    this.renderMetadata();
+    this.renderConversions();
+
     // Enable send button
     this.sendButton.disabled = false;
-    
-    console.log('[Popup] File selected:', file.name, `(${this.formatFileSize(file.size)})`);
   }
 
-  showPreview(file) {
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      this.imagePreview.src = e.target.result;
-      this.previewContainer.classList.remove('hidden');
-    };
-    
-    reader.onerror = () => {
-      this.showStatus('Failed to load image preview', 'error');
+  renderThumbnails() {
+    this.thumbnailGrid.innerHTML = '';
+
+    if (this.selectedFiles.length < 2) {
+      this.thumbnailGrid.classList.add('hidden');
+      return;
+    }
+
+    this.selectedFiles.forEach((entry, index) => {
+      const thumb = document.createElement('div');
+      thumb.className = 'thumbnail';
+      thumb.draggable = true;
+      thumb.dataset.id = entry.id;
+      thumb.title = entry.file.name;
+
+      if (entry.id === this.activeId) {
+        thumb.classList.add('active');
+      }
+
+      const order = document.createElement('span');
+      order.className = 'thumbnail-order';
+      order.textContent = String(index + 1);
+
+      thumb.append(this.createThumbnailContent(entry), order);
+
+      if (entry.kind === 'video' || entry.kind === 'gif') {
+        const badge = document.createElement('span');
+        badge.className = 'thumbnail-kind';
+        badge.textContent = entry.kind === 'gif' ? 'GIF' : '▶';
+        thumb.appendChild(badge);
+      }
+
+      thumb.addEventListener('click', () => {
+        this.activeId = entry.id;
+        this.renderSelection();
+      });
+
+      thumb.addEventListener('dragstart', (e) => {
+        this.draggedId = entry.id;
+        thumb.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+      });
+
+      thumb.addEventListener('dragend', () => {
+        this.draggedId = null;
+        thumb.classList.remove('dragging');
+      });
+
+      thumb.addEventListener('dragover', (e) => {
+        if (this.draggedId && this.draggedId !== entry.id) {
+          e.preventDefault();
+          e.dataTransfer.dropEffect = 'move';
+        }
+      });
+
+      thumb.addEventListener('drop', (e) => {
+        e.preventDefault();
+        this.moveEntry(this.draggedId, entry.id);
+      });
+
+      this.thumbnailGrid.appendChild(thumb);
+    });
+
+    this.thumbnailGrid.classList.remove('hidden');
+  }
+
+  /**
+   * Thumbnail body by kind: the (edited) image, a video's first frame,
+   * or an icon with the file extension for documents
+   */
+  createThumbnailContent(entry) {
+    if (entry.kind === 'video') {
+      const video = document.createElement('video');
+      video.src = entry.thumbnailUrl;
+      video.muted = true;
+      video.preload = 'metadata';
+      video.draggable = false;
+      return video;
+    }
+
+    if (entry.kind === 'document') {
+      const file = document.createElement('div');
+      file.className = 'thumbnail-file';
+      file.textContent = this.documentIconFor(entry.file);
+
+      const extension = document.createElement('span');
+      extension.className = 'thumbnail-extension';
+      extension.textContent = entry.file.name.includes('.') ? entry.file.name.split('.').pop() : '';
+      file.appendChild(extension);
+      return file;
+    }
+
+    const img = document.createElement('img');
+    img.src = entry.editedThumbnail || entry.thumbnailUrl;
+    img.alt = entry.file.name;
+    img.draggable = false;
+    return img;
+  }
+
+  /**
+   * Moves the dragged entry to the position of the target entry
+   */
+  moveEntry(draggedId, targetId) {
+    const from = this.selectedFiles.findIndex(entry => entry.id === draggedId);
+    const to = this.selectedFiles.findIndex(entry => entry.id === targetId);
+
+    if (from === -1 || to === -1 || from === to) {
+      return;
+    }
+
+    const [moved] = this.selectedFiles.splice(from, 1);
+    this.selectedFiles.splice(to, 0, moved);
+    this.renderThumbnails();
+  }
+
+  /**
+   * Updates the caption length counter and flags captions over Telegram's limit
+   * @returns {boolean} Whether the caption is within the limit
+   */
+  updateCaptionCounter() {
+    const { valid, length, maxLength } = CaptionFormat.validate(this.captionInput.value);
+
+    this.captionCounter.textContent = `${length} / ${maxLength}`;
+    this.captionCounter.classList.toggle('over-limit', !valid);
+    this.captionInput.classList.toggle('invalid', !valid);
+
+    return valid;
+  }
+
+  /**
+   * Photo or file, plus spoiler, as set in Telegram's preview before sending
+   * @returns {{asFile: boolean, spoiler: boolean}}
+   */
+  getSendOptions() {
+    const asFile = document.querySelector('input[name="sendMode"]:checked')?.value === 'file';
+    return { asFile, spoiler: !asFile && this.sendSpoiler.checked };
+  }
+
+  /**
+   * Telegram has no spoilers for files, so the option is off in file mode
+   */
+  updateSendOptions() {
+    const { asFile } = this.getSendOptions();
+    this.sendSpoiler.disabled = asFile;
+    this.sendSpoiler.closest('.send-option').classList.toggle('disabled', asFile);
+  }
+
+  /**
+   * Shows the date/time picker for "Send later", starting an hour from now
+   */
+  updateSendLater() {
+    const later = this.sendLater.checked;
+
+    if (later && !this.sendLaterTime.value) {
+      const nextHour = new Date();
+      nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
+      this.sendLaterTime.value = QueueView.toDateTimeValue(nextHour.getTime());
+    }
+
+    this.sendLaterTime.min = QueueView.toDateTimeValue(Date.now());
+    this.sendLaterTime.classList.toggle('hidden', !later);
+    this.sendButtonText.textContent = I18n.t(later ? 'scheduleButton' : 'sendButton');
+  }
+
+  /**
+   * @returns {number|null} Send time picked for "Send later", in ms
+   */
+  getScheduledAt() {
+    return this.sendLater.checked ? QueueView.fromDateTimeValue(this.sendLaterTime.value) : null;
+  }
+
+  clearCaption() {
+    this.captionInput.value = '';
+    this.updateCaptionCounter();
+  }
+
+  /**
+   * Hands a screenshot capture to the background worker, which sends the
+   * result to the Telegram tab. The popup closes so the page can be captured
+   * (and, for 'region', so the crop rectangle can be dragged on it).
+   * @param {'visible'|'region'} mode
+   */
+  async startCapture(mode) {
+    if (!this.updateCaptionCounter()) {
+      const { length, maxLength } = CaptionFormat.validate(this.captionInput.value);
+      this.showStatus(I18n.t('captionTooLong', length, maxLength), 'error');
+      return;
+    }
+
+    if (this.chatPicker.getBroadcastChats()?.length === 0) {
+      this.showStatus(I18n.t('broadcastChooseChats'), 'error');
+      return;
+    }
+
+    Logger.info('Popup', `Starting capture (${mode})...`);
+
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'startCapture',
+        mode,
+        caption: this.captionInput.value.trim(),
+        chat: this.chatPicker.getSelected(),
+        chats: this.chatPicker.getBroadcastChats()
+      });
+      window.close();
+    } catch (error) {
+      Logger.error('Popup', 'Capture error:', error);
+      this.showStatus(I18n.t('statusError', error.message), 'error');
+    }
+  }
+
+  /**
+   * Shows a file in the large preview: images open in the editor, videos
+   * and GIFs play, documents get a file card with their size
+   */
+  async showPreview(entry) {
+    this.previewContainer.classList.remove('hidden');
+    this.showPreviewKind(entry.kind);
+
+    switch (entry.kind) {
+      case 'gif':
+        this.animationPreview.src = entry.thumbnailUrl;
+        this.animationPreview.alt = entry.file.name;
+        return;
+      case 'video':
+        if (this.videoPreview.src !== entry.thumbnailUrl) {
+          this.videoPreview.src = entry.thumbnailUrl;
+        }
+        return;
+      case 'document':
+        this.documentIcon.textContent = this.documentIconFor(entry.file);
+        this.documentName.textContent = entry.file.name;
+        this.documentName.title = entry.file.name;
+        this.documentSize.textContent = this.formatFileSize(entry.file.size);
+        return;
+    }
+
+    try {
+      await this.imageEditor.load(entry);
+    } catch (error) {
+      Logger.error('Popup', 'Preview error:', error);
+      this.previewContainer.classList.add('hidden');
+      this.showStatus(I18n.t('previewFailed'), 'error');
+    }
+  }
+
+  /**
+   * Shows the preview element for one kind and hides the others
+   * (the editor toolbar only applies to images)
+   */
+  showPreviewKind(kind) {
+    this.imagePreview.classList.toggle('hidden', kind !== 'image');
+    this.editorToolbar.classList.toggle('hidden', kind !== 'image');
+    this.animationPreview.classList.toggle('hidden', kind !== 'gif');
+    this.videoPreview.classList.toggle('hidden', kind !== 'video');
+    this.documentPreview.classList.toggle('hidden', kind !== 'document');
+
+    if (kind !== 'image') {
+      this.imageEditor.clear();
+    }
+    if (kind !== 'gif') {
+      this.animationPreview.removeAttribute('src');
+    }
+    if (kind !== 'video') {
+      this.stopVideoPreview();
+    }
+  }
+
+  stopVideoPreview() {
+    this.videoPreview.pause();
+    this.videoPreview.removeAttribute('src');
+    this.videoPreview.load();
+  }
+
+  documentIconFor(file) {
+    if (file.type === 'application/pdf') return '📕';
+    if (file.type.startsWith('audio/')) return '🎵';
+    if (file.type.startsWith('text/')) return '📝';
+    if (/zip|rar|7z|tar|compressed/.test(file.type)) return '🗜';
+    return '📄';
+  }
+
+  /**
+   * Keeps the thumbnail in step with the edits made in the editor
+   */
+  handleEdit(entry) {
+    const edited = this.imageEditor.hasEdits(entry);
+    const thumbnail = edited ? this.imageEditor.thumbnail() : null;
+
+    if (thumbnail !== (entry.editedThumbnail || null)) {
+      entry.editedThumbnail = thumbnail;
+      this.renderThumbnails();
+    }
+  }
+
+  /**
+   * Parses the image's EXIF/GPS/XMP metadata for the report
+   */
+  async readMetadata(entry) {
+    try {
+      entry.metadata = await ImageMetadata.read(entry.file);
+    } catch (error) {
+      Logger.warn('Popup', `Could not read metadata of ${entry.id}`, error);
+    }
+
+    if (this.findEntry(entry.id)) {
+      this.renderMetadata();
+    }
+  }
+
+  /**
+   * Shows what the active image's metadata reveals; hidden when no
+   * selected image has any. The keep checkbox covers the whole send.
+   */
+  renderMetadata() {
+    const withMetadata = this.selectedFiles.filter(entry => entry.metadata?.hasMetadata);
+
+    if (withMetadata.length === 0) {
+      this.metadataReport.classList.add('hidden');
+      return;
+    }
+
+    this.metadataTitle.textContent = I18n.t(
+      this.keepMetadata.checked ? 'metadataKept' : 'metadataStripped',
+      withMetadata.length
+    );
+    this.metadataList.innerHTML = '';
+
+    const active = this.findEntry(this.activeId);
+    const rows = active?.metadata?.hasMetadata
+      ? this.describeMetadata(active.metadata)
+      : [[I18n.t('metadataNoneInImage'), '']];
+
+    rows.forEach(([label, value]) => {
+      const row = document.createElement('li');
+      const name = document.createElement('span');
+      name.className = 'metadata-label';
+      name.textContent = label;
+      row.append(name, value);
+      this.metadataList.appendChild(row);
+    });
+
+    this.metadataReport.classList.toggle('location', Boolean(active?.metadata?.location));
+    this.metadataReport.classList.remove('hidden');
+  }
+
+  /**
+   * Report rows as [label, value] for an ImageMetadata.read() result
+   */
+  describeMetadata(metadata) {
+    const { location, device, timestamps, other } = metadata;
+    const rows = [];
+
+    if (location) {
+      rows.push([I18n.t('metadataLocation'), `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`]);
+    }
+
+    const camera = [device.make, device.model].filter(Boolean).join(' ');
+    if (camera) rows.push([I18n.t('metadataDevice'), camera]);
+    if (device.lens) rows.push([I18n.t('metadataLens'), device.lens]);
+    if (device.serialNumber) rows.push([I18n.t('metadataSerialNumber'), device.serialNumber]);
+    if (device.software) rows.push([I18n.t('metadataSoftware'), device.software]);
+
+    const taken = timestamps.taken || timestamps.digitized;
+    if (taken) rows.push([I18n.t('metadataTaken'), taken]);
+    if (timestamps.modified) rows.push([I18n.t('metadataModified'), timestamps.modified]);
+
+    if (other.length > 0) {
+      rows.push([I18n.t('metadataOther'), other.join(', ')]);
+    }
+
+    return rows;
+  }
+
+  async loadSettings() {
+    this.settings = await Settings.get();
+
+    const mode = document.querySelector(`input[name="sendMode"][value="${this.settings.defaultSendMode}"]`);
+    if (mode) {
+      mode.checked = true;
+      this.updateSendOptions();
+    }
+  }
+
+  /**
+   * Starts an empty caption from the template set in the options
+   */
+  fillCaptionTemplate() {
+    if (!this.settings.captionTemplate || this.captionInput.value) {
+      return;
+    }
+
+    const now = new Date();
+    const language = chrome.i18n.getUILanguage();
+    this.captionInput.value = CaptionFormat.fillTemplate(this.settings.captionTemplate, {
+      filename: this.selectedFiles[0].file.name,
+      count: this.selectedFiles.length,
+      date: now.toLocaleDateString(language, { dateStyle: 'medium' }),
+      time: now.toLocaleTimeString(language, { timeStyle: 'short' })
+    });
+    this.updateCaptionCounter();
+  }
+
+  async loadConversionSettings() {
+    const stored = await chrome.storage.local.get(this.conversionStorageKey);
+    this.conversionSettings = { ...ImageConverter.defaults, ...stored[this.conversionStorageKey] };
+    this.renderConversionSettings();
+  }
+
+  renderConversionSettings() {
+    const { output, quality } = this.conversionSettings;
+    this.conversionOutput.value = output;
+    this.conversionQuality.value = String(Math.round(quality * 100));
+    this.conversionQualityValue.textContent = this.conversionQuality.value;
+    this.conversionQualitySetting.classList.toggle('hidden', output !== 'jpeg');
+  }
+
+  /**
+   * Stores the output format and quality and converts the selected
+   * images again with them
+   */
+  async updateConversionSettings() {
+    this.conversionSettings = {
+      output: this.conversionOutput.value,
+      quality: Number(this.conversionQuality.value) / 100
     };
-    
-    reader.readAsDataURL(file);
+    this.renderConversionSettings();
+    await chrome.storage.local.set({ [this.conversionStorageKey]: this.conversionSettings });
+
+    this.selectedFiles
+      .filter(entry => entry.original && entry.conversion.state !== 'failed')
+      .forEach(entry => {
+        entry.ready = this.convertEntry(entry);
+      });
+  }
+
+  /**
+   * Converts HEIC, AVIF and TIFF images, which Telegram can't show inline
+   */
+  async convertIfNeeded(entry) {
+    let format = null;
+    try {
+      format = await ImageConverter.detect(entry.file);
+    } catch (error) {
+      Logger.warn('Popup', `Could not read the file header of ${entry.id}`, error);
+    }
+
+    if (!format) {
+      return;
+    }
+
+    entry.original = entry.file;
+    entry.conversion = { format, state: 'converting', size: null, error: null };
+    await this.convertEntry(entry);
+  }
+
+  /**
+   * Converts the entry's original with the current settings and swaps the
+   * result in; an image that can't be converted blocks sending (see handleSend)
+   * Edits are kept, since conversion doesn't change the image size
+   */
+  async convertEntry(entry) {
+    const run = (entry.conversionRun || 0) + 1;
+    entry.conversionRun = run;
+    entry.conversion = { ...entry.conversion, state: 'converting', error: null };
+    this.renderConversions();
+
+    try {
+      const file = await ImageConverter.convert(entry.original, entry.conversion.format, this.conversionSettings);
+      if (entry.conversionRun !== run) {
+        return;
+      }
+
+      URL.revokeObjectURL(entry.thumbnailUrl);
+      entry.file = file;
+      entry.kind = MediaTypes.kindOf(file.type);
+      entry.thumbnailUrl = URL.createObjectURL(file);
+      entry.conversion = { ...entry.conversion, state: 'converted', size: file.size };
+      Logger.info('Popup', `Converted ${entry.id} from ${entry.conversion.format} to ${file.type} (${this.formatFileSize(file.size)})`);
+    } catch (error) {
+      if (entry.conversionRun !== run) {
+        return;
+      }
+
+      Logger.warn('Popup', `Could not convert ${entry.id} (${entry.conversion.format})`, error);
+      entry.conversion = { ...entry.conversion, state: 'failed', error: error.message };
+    }
+
+    if (!this.findEntry(entry.id)) {
+      return;
+    }
+
+    // The editor still holds the previous file
+    if (entry.id === this.activeId) {
+      this.imageEditor.clear();
+    }
+    this.renderSelection();
+  }
+
+  /**
+   * Lists converted images with original and converted size
+   */
+  renderConversions() {
+    const converted = this.selectedFiles.filter(entry => entry.conversion);
+
+    this.conversionList.innerHTML = '';
+    this.conversionPanel.classList.toggle('hidden', converted.length === 0);
+
+    converted.forEach(({ original, conversion }) => {
+      const item = document.createElement('li');
+      const from = conversion.format.toUpperCase();
+
+      switch (conversion.state) {
+        case 'converting':
+          item.textContent = I18n.t('conversionRunning', original.name, from);
+          break;
+        case 'converted':
+          item.textContent = I18n.t(
+            'conversionDone',
+            original.name,
+            `${from} ${this.formatFileSize(original.size)}`,
+            `${this.conversionSettings.output.toUpperCase()} ${this.formatFileSize(conversion.size)}`
+          );
+          break;
+        default:
+          item.className = 'failed';
+          item.textContent = I18n.t('conversionFailed', original.name, conversion.error);
+      }
+
+      this.conversionList.appendChild(item);
+    });
+  }
+
+  /**
+   * Removes the image currently shown in the large preview
+   */
+  removeActive() {
+    const index = this.selectedFiles.findIndex(entry => entry.id === this.activeId);
+
+    if (index === -1) {
+      this.clearSelection();
+      return;
+    }
+
+    const [removed] = this.selectedFiles.splice(index, 1);
+    URL.revokeObjectURL(removed.thumbnailUrl);
+
+    const next = this.selectedFiles[Math.min(index, this.selectedFiles.length - 1)];
+    this.activeId = next ? next.id : null;
+    this.renderSelection();
   }
 
   clearSelection() {
-    this.selectedFile = null;
+    this.selectedFiles.forEach(entry => URL.revokeObjectURL(entry.thumbnailUrl));
+    this.selectedFiles = [];
+    this.activeId = null;
     this.fileInput.value = '';
-    this.fileName.textContent = 'Choose an image';
-    this.imagePreview.src = '';
+    this.fileName.textContent = I18n.t('chooseFiles');
+    this.imageEditor.clear();
+    this.stopVideoPreview();
+    this.animationPreview.removeAttribute('src');
     this.previewContainer.classList.add('hidden');
+    this.thumbnailGrid.innerHTML = '';
+    this.thumbnailGrid.classList.add('hidden');
+    this.keepMetadata.checked = false;
+    this.metadataReport.classList.add('hidden');
+    this.conversionPanel.classList.add('hidden');
     this.sendButton.disabled = true;
     this.hideStatus();
   }
 
   async handleSend() {
-    if (!this.selectedFile) {
-      this.showStatus('Please select an image first', 'error');
+    if (this.selectedFiles.length === 0) {
+      this.showStatus(I18n.t('selectFileFirst'), 'error');
+      return;
+    }
+
+    // Catch over-long captions before anything is uploaded
+    if (!this.updateCaptionCounter()) {
+      const { length, maxLength } = CaptionFormat.validate(this.captionInput.value);
+      this.showStatus(I18n.t('captionTooLong', length, maxLength), 'error');
+      return;
+    }
+
+    const caption = this.captionInput.value.trim();
+    const keepMetadata = this.keepMetadata.checked;
+    const sendOptions = this.getSendOptions();
+    const scheduledAt = this.getScheduledAt();
+
+    if (this.sendLater.checked && !(scheduledAt > Date.now())) {
+      this.showStatus(I18n.t('scheduleInPast'), 'error');
+      return;
+    }
+
+    // Several chats in broadcast mode, else the one picked (null = open chat)
+    const chats = this.chatPicker.getBroadcastChats();
+    if (chats && chats.length === 0) {
+      this.showStatus(I18n.t('broadcastChooseChats'), 'error');
       return;
     }
 
@@ -90,107 +775,103 @@ class TelegramPhotoSender {
       // Disable button and show loading state
       this.sendButton.disabled = true;
       this.sendButton.classList.add('loading');
-      this.showStatus('Preparing to send...', 'info');
+      this.showStatus(I18n.t('preparingToSend'), 'info');
 
-      // Get current active tab
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      // Conversions still running (or restarted by a settings change)
+      await Promise.all(this.selectedFiles.map(entry => entry.ready));
 
-      if (!tab) {
-        throw new Error('No active tab found');
+      // Telegram would only get the unconverted original, as a document
+      const failed = this.selectedFiles.filter(entry => entry.conversion?.state === 'failed');
+      if (failed.length > 0) {
+        this.showStatus(I18n.t('conversionBlocksSend', failed.map(entry => entry.original.name).join(', ')), 'error');
+        this.sendButton.disabled = false;
+        return;
       }
 
-      // Check if we're on Telegram
-      if (!tab.url || !tab.url.includes('web.telegram.org')) {
-        throw new Error('Please open Telegram Web (web.telegram.org) first');
+      // Hand the files (with editor changes applied and metadata stripped)
+      // to the background worker through IndexedDB, keeping the grid order
+      const files = [];
+      for (const entry of this.selectedFiles) {
+        const file = await this.prepareFile(entry, keepMetadata);
+        files.push({
+          fileId: await FileStore.put(file),
+          filename: file.name,
+          mimeType: file.type,
+          size: file.size
+        });
       }
 
-      console.log('[Popup] Injecting content script...');
+      Logger.info('Popup', `Queueing ${files.length} ${sendOptions.asFile ? 'file' : 'photo'}(s)...`);
 
-      // Inject content script
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['content_script.js']
+      const response = await chrome.runtime.sendMessage({
+        action: 'enqueueUpload',
+        job: { files, caption, chat: chats ? null : this.chatPicker.getSelected(), chats, sendOptions, scheduledAt }
       });
 
-      // Wait a bit for content script to initialize
-      await this.sleep(500);
-
-      // Ping content script to verify it's ready
-      console.log('[Popup] Pinging content script...');
-      const pingResponse = await this.sendMessageToTab(tab.id, { action: 'ping' });
-
-      if (!pingResponse || !pingResponse.success) {
-        throw new Error('Content script failed to load');
+      if (!response || !response.success) {
+        await Promise.all(files.map(file => FileStore.delete(file.fileId)));
+        throw new Error(response?.error || I18n.t('errorUploadUnknown'));
       }
 
-      console.log('[Popup] Content script ready, converting file...');
-
-      // Convert file to ArrayBuffer
-      const arrayBuffer = await this.fileToArrayBuffer(this.selectedFile);
-      const uint8Array = new Uint8Array(arrayBuffer);
-
-      console.log('[Popup] Sending photo to content script...');
-      this.showStatus('Uploading photo...', 'info');
+      await this.chatPicker.rememberLastUsed();
+      Logger.info('Popup', 'Job queued:', response.job.id);
 
-      // Send photo data to content script
-      const response = await this.sendMessageToTab(tab.id, {
-        action: 'uploadPhoto',
-        data: {
-          arrayBuffer: Array.from(uint8Array),
-          filename: this.selectedFile.name,
-          mimeType: this.selectedFile.type
-        }
-      });
-
-      if (response && response.success) {
-        this.showStatus(`✓ Photo sent successfully! (${response.duration}ms)`, 'success');
-        console.log('[Popup] Upload successful:', response);
-        
-        // Clear selection after successful send
-        setTimeout(() => {
-          this.clearSelection();
-        }, 2000);
-      } else {
-        throw new Error(response?.error || 'Upload failed with unknown error');
-      }
+      this.clearSelection();
+      this.clearCaption();
+      this.sendLater.checked = false;
+      this.updateSendLater();
+      this.showStatus(
+        scheduledAt ? I18n.t('scheduledFor', I18n.formatDateTime(scheduledAt)) : I18n.t('addedToQueue'),
+        'success'
+      );
 
     } catch (error) {
-      console.error('[Popup] Error:', error);
-      this.showStatus(`✗ Error: ${error.message}`, 'error');
+      Logger.error('Popup', 'Error:', error);
+      this.showStatus(I18n.t('statusError', error.message), 'error');
       this.sendButton.disabled = false;
     } finally {
       this.sendButton.classList.remove('loading');
     }
   }
 
-  fileToArrayBuffer(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      
-      reader.onload = () => {
-        console.log('[Popup] File read:', reader.result.byteLength, 'bytes'); // Should be much larger!
-        resolve(reader.result);
-      };
-      
-      reader.onerror = () => {
-        reject(new Error('Failed to read file'));
-      };
-      
-      reader.readAsArrayBuffer(file); // Make sure this is here!
-    });
+  /**
+   * Applies the editor changes and, unless kept, strips the metadata
+   * A file whose metadata can't be removed is not sent
+   */
+  async prepareFile(entry, keepMetadata) {
+    const file = await this.imageEditor.exportFile(entry);
+
+    if (keepMetadata || !ImageMetadata.isSupported(file)) {
+      return file;
+    }
+
+    try {
+      return await ImageMetadata.strip(file);
+    } catch (error) {
+      Logger.error('Popup', `Could not strip metadata from a ${file.type} file`, error);
+      throw new Error(I18n.t('errorStripMetadata', file.name));
+    }
   }
 
-  sendMessageToTab(tabId, message) {
-    return new Promise((resolve) => {
-      chrome.tabs.sendMessage(tabId, message, (response) => {
-        if (chrome.runtime.lastError) {
-          console.error('[Popup] Message error:', chrome.runtime.lastError.message);
-          resolve(null);
-        } else {
-          resolve(response);
-        }
-      });
-    });
+  /**
+   * Fills the chat picker from Telegram's sidebar (read by the background worker)
+   * Without a Telegram Web tab only the stored favourites and last-used chat are offered
+   */
+  async loadChats() {
+    await this.chatPicker.loadPreferences();
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'listChats' });
+
+      if (response && response.success) {
+        this.chatPicker.setChats(response.chats);
+        Logger.debug('Popup', `Loaded ${response.chats.length} chats`);
+      } else {
+        Logger.info('Popup', 'Chat list unavailable:', response?.error);
+      }
+    } catch (error) {
+      Logger.info('Popup', 'Chat list unavailable:', error.message);
+    }
   }
 
   showStatus(message, type = 'info') {
@@ -211,9 +892,6 @@ class TelegramPhotoSender {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 // Initialize when DOM is ready
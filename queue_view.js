@@ -0,0 +1,383 @@
+/**
+ * Upload queue view for the popup
+ * Renders the jobs the background worker keeps in chrome.storage.local
+ * and sends cancel/retry/remove requests back to it. Scheduled jobs can
+ * be edited (send time, caption) or sent right away.
+ */
+
+class QueueView {
+  constructor() {
+    this.container = document.getElementById('queueContainer');
+    this.list = document.getElementById('queueList');
+    this.clearButton = document.getElementById('clearFinished');
+
+    this.storageKey = 'uploadQueue';
+    this.jobs = [];
+
+    // Scheduled job whose editor is open
+    this.editingId = null;
+
+    // Upload stages reported by the content script, in order
+    this.stages = ['dropZone', 'dropTarget', 'preview', 'sent', 'confirmed'];
+
+    this.init();
+  }
+
+  async init() {
+    this.clearButton.addEventListener('click', () => this.sendAction('clearFinishedJobs'));
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[this.storageKey]) {
+        this.jobs = changes[this.storageKey].newValue || [];
+        this.render();
+      }
+    });
+
+    const stored = await chrome.storage.local.get(this.storageKey);
+    this.jobs = stored[this.storageKey] || [];
+    this.render();
+  }
+
+  /**
+   * @param {Object} [extra] - More message fields (e.g. changes for rescheduleJob)
+   * @returns {Promise<Object|null>} The response, or null when the action failed
+   */
+  async sendAction(action, jobId, extra = {}) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action, jobId, ...extra });
+      if (!response || !response.success) {
+        Logger.error('Popup', 'Queue action failed:', response?.error);
+        return null;
+      }
+      return response;
+    } catch (error) {
+      Logger.error('Popup', 'Queue action failed:', error);
+      return null;
+    }
+  }
+
+  render() {
+    // The open editor survives re-renders, so typing isn't lost when
+    // another job reports progress
+    const editor = this.list.querySelector('.queue-editor');
+    this.list.innerHTML = '';
+
+    if (!this.jobs.some(job => job.id === this.editingId && job.state === 'scheduled')) {
+      this.editingId = null;
+    }
+
+    if (this.jobs.length === 0) {
+      this.container.classList.add('hidden');
+      return;
+    }
+
+    // Scheduled jobs first, soonest on top; then newest first
+    [...this.jobs]
+      .sort((a, b) => {
+        const scheduled = (b.state === 'scheduled') - (a.state === 'scheduled');
+        if (scheduled !== 0) return scheduled;
+        return a.state === 'scheduled' ? a.scheduledAt - b.scheduledAt : b.createdAt - a.createdAt;
+      })
+      .forEach(job => {
+        const item = this.createItem(job);
+        if (job.id === this.editingId) {
+          item.querySelector('.queue-info').appendChild(editor || this.createEditor(job));
+        }
+        this.list.appendChild(item);
+      });
+
+    this.clearButton.disabled = !this.jobs.some(job => this.isFinished(job));
+    this.container.classList.remove('hidden');
+  }
+
+  isFinished(job) {
+    return ['sent', 'failed', 'cancelled'].includes(job.state);
+  }
+
+  createItem(job) {
+    const item = document.createElement('li');
+    item.className = `queue-item ${job.state}`;
+    item.classList.toggle('unconfirmed', job.result?.delivery === 'unconfirmed');
+
+    const state = document.createElement('span');
+    state.className = 'queue-state';
+    state.textContent = I18n.t(`jobState_${job.state}`);
+
+    const info = document.createElement('div');
+    info.className = 'queue-info';
+
+    const title = document.createElement('div');
+    title.className = 'queue-title';
+    const [first] = job.files;
+    title.textContent = job.files.length > 1
+      ? `${first.filename} ${I18n.t('jobMoreFiles', job.files.length - 1)}`
+      : first.filename;
+    title.title = job.files.map(file => file.filename).join('\n');
+
+    const detail = document.createElement('div');
+    detail.className = 'queue-detail';
+    detail.textContent = this.describeDetail(job);
+
+    info.append(title, detail);
+
+    // The Bot API has no drop zone or preview to step through
+    const viaBot = job.stage?.transport === 'bot' || job.chat?.transport === 'bot';
+    if (job.state === 'uploading' && !viaBot) {
+      info.appendChild(this.createSteps(job));
+    }
+
+    if (job.broadcast?.length > 0) {
+      info.appendChild(this.createBroadcastResults(job));
+    }
+
+    item.append(state, info, this.createActions(job));
+
+    if (job.result?.diagnostics?.sendButtonStrategy) {
+      const { profile, injectionStrategy, sendButtonStrategy } = job.result.diagnostics;
+      item.title = [
+        I18n.t('sendDiagnostics', profile, sendButtonStrategy),
+        injectionStrategy ? I18n.t('injectionDiagnostics', injectionStrategy) : ''
+      ].filter(Boolean).join('\n');
+    }
+
+    return item;
+  }
+
+  /**
+   * Second line of a job: destination plus progress, result or error
+   */
+  describeDetail(job) {
+    const chat = job.chats
+      ? I18n.t('broadcastChats', job.chats.length)
+      : job.chat ? job.chat.name : I18n.t('currentChat');
+
+    switch (job.state) {
+      case 'scheduled':
+        return `${chat} · ${I18n.t('jobScheduledFor', I18n.formatDateTime(job.scheduledAt))}`;
+      case 'queued':
+        return job.error
+          ? `${chat} · ${I18n.t('jobRetrying', this.describeError(job))}`
+          : chat;
+      case 'uploading':
+        return [
+          chat,
+          I18n.t('jobAttempt', job.attempts, job.maxAttempts),
+          this.describeProgress(job.progress),
+          job.stage?.chats ? I18n.t('jobBroadcastChat', job.stage.chat, job.stage.chats, job.stage.chatName) : '',
+          job.stage?.batches > 1 ? I18n.t('jobBatch', job.stage.batch, job.stage.batches) : ''
+        ]
+          .filter(Boolean)
+          .join(' · ');
+      case 'sent': {
+        const summary = job.chats
+          ? I18n.t('broadcastSummary', job.result?.broadcast?.length || job.chats.length, job.chats.length)
+          : I18n.t('statusSuccess', this.describeBatches(job.result?.batches), job.result?.duration);
+        // UNCONFIRMED says to check the chat before sending again
+        return job.errorCode
+          ? `${chat} · ${summary} · ${this.describeError(job)}`
+          : `${chat} · ${summary}`;
+      }
+      case 'failed':
+        return `${chat} · ${this.describeError(job)}`;
+      default:
+        return chat;
+    }
+  }
+
+  /**
+   * Actionable message for the job's error code, or the raw error text
+   * for failures without one
+   */
+  describeError(job) {
+    return (job.errorCode && I18n.t(`error_${job.errorCode}`)) || job.error;
+  }
+
+  /**
+   * Per-chat outcome of a broadcast: sent, failed (with the reason) or
+   * still to come
+   */
+  createBroadcastResults(job) {
+    const list = document.createElement('ul');
+    list.className = 'queue-broadcast';
+
+    for (const chat of job.chats) {
+      const result = job.broadcast.find(item => item.chat.id === chat.id);
+      const entry = document.createElement('li');
+      entry.className = `queue-broadcast-chat ${result ? (result.success ? 'sent' : 'failed') : 'pending'}`;
+
+      // Failed chats say why, sent ones only when Telegram didn't confirm them
+      const reason = (result?.code && I18n.t(`error_${result.code}`)) || result?.error || '';
+      entry.textContent = `${result ? (result.success ? '✓' : '✗') : '…'} ${chat.name}`;
+      entry.title = reason;
+      list.appendChild(entry);
+    }
+
+    return list;
+  }
+
+  /**
+   * Step indicator for an upload in progress: stages already reached are
+   * marked done, the one being waited for is marked active
+   */
+  createSteps(job) {
+    const steps = document.createElement('ol');
+    steps.className = 'queue-steps';
+
+    const reached = this.stages.indexOf(job.stage?.stage);
+
+    this.stages.forEach((stage, index) => {
+      const step = document.createElement('li');
+      step.className = 'queue-step';
+      step.classList.toggle('done', index <= reached);
+      step.classList.toggle('active', index === reached + 1);
+      step.textContent = I18n.t(`stage_${stage}`);
+      steps.appendChild(step);
+    });
+
+    return steps;
+  }
+
+  /**
+   * Share of the bytes already handed to the Telegram tab, e.g. "42%"
+   */
+  describeProgress(progress) {
+    if (!progress || !progress.totalBytes) {
+      return '';
+    }
+    return `${Math.floor(progress.sentBytes / progress.totalBytes * 100)}%`;
+  }
+
+  /**
+   * Builds a summary like "Sent 12 photos in 2 albums (10 + 2)"
+   */
+  describeBatches(batches = []) {
+    const total = batches.reduce((sum, batch) => sum + batch.count, 0);
+
+    if (total <= 1) {
+      return I18n.t('sentOne');
+    }
+
+    if (batches.length === 1) {
+      return I18n.t('sentAlbum', total);
+    }
+
+    const counts = batches.map(batch => batch.count).join(' + ');
+    return I18n.t('sentAlbums', total, batches.length, counts);
+  }
+
+  createActions(job) {
+    const actions = document.createElement('div');
+    actions.className = 'queue-actions';
+
+    const addButton = (label, icon, action) => {
+      const button = document.createElement('button');
+      button.className = 'queue-action';
+      button.textContent = icon;
+      button.title = I18n.t(label);
+      button.addEventListener('click', () => this.sendAction(action, job.id));
+      actions.appendChild(button);
+    };
+
+    if (job.state === 'scheduled') {
+      const edit = document.createElement('button');
+      edit.className = 'queue-action';
+      edit.textContent = '✎';
+      edit.title = I18n.t('jobEdit');
+      edit.addEventListener('click', () => {
+        this.editingId = this.editingId === job.id ? null : job.id;
+        this.list.querySelector('.queue-editor')?.remove();
+        this.render();
+      });
+      actions.appendChild(edit);
+
+      addButton('jobSendNow', '▶', 'sendJobNow');
+    }
+
+    if (job.state === 'scheduled' || job.state === 'queued' || job.state === 'uploading') {
+      addButton('jobCancel', '✕', 'cancelJob');
+    }
+
+    if (job.state === 'failed' || job.state === 'cancelled') {
+      addButton('jobRetry', '↻', 'retryJob');
+    }
+
+    if (this.isFinished(job)) {
+      addButton('jobRemove', '🗑', 'removeJob');
+    }
+
+    return actions;
+  }
+
+  /**
+   * Inline form for a scheduled job's send time and caption
+   */
+  createEditor(job) {
+    const editor = document.createElement('div');
+    editor.className = 'queue-editor';
+
+    const time = document.createElement('input');
+    time.type = 'datetime-local';
+    time.className = 'schedule-input';
+    time.value = QueueView.toDateTimeValue(job.scheduledAt);
+    time.min = QueueView.toDateTimeValue(Date.now());
+
+    const caption = document.createElement('textarea');
+    caption.className = 'caption-input';
+    caption.rows = 2;
+    caption.value = job.caption;
+    caption.placeholder = I18n.t('captionPlaceholder');
+
+    const error = document.createElement('div');
+    error.className = 'queue-editor-error';
+
+    const save = document.createElement('button');
+    save.className = 'queue-clear';
+    save.textContent = I18n.t('jobSave');
+    save.addEventListener('click', async () => {
+      const scheduledAt = QueueView.fromDateTimeValue(time.value);
+      const { valid, length, maxLength } = CaptionFormat.validate(caption.value);
+
+      if (!(scheduledAt > Date.now())) {
+        error.textContent = I18n.t('scheduleInPast');
+        return;
+      }
+      if (!valid) {
+        error.textContent = I18n.t('captionTooLong', length, maxLength);
+        return;
+      }
+
+      const response = await this.sendAction('rescheduleJob', job.id, {
+        changes: { scheduledAt, caption: caption.value.trim() }
+      });
+
+      if (response) {
+        this.editingId = null;
+        editor.remove();
+        this.render();
+      } else {
+        error.textContent = I18n.t('jobEditFailed');
+      }
+    });
+
+    editor.append(time, caption, error, save);
+    return editor;
+  }
+
+  /**
+   * Timestamp to the local "YYYY-MM-DDTHH:MM" of a datetime-local input
+   */
+  static toDateTimeValue(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * @returns {number|null} Timestamp of a datetime-local value (local time)
+   */
+  static fromDateTimeValue(value) {
+    const timestamp = value ? new Date(value).getTime() : NaN;
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * Send History
+ * Record of finished sends kept by the background worker in
+ * chrome.storage.local, so the popup can list what was sent and send it
+ * again. Each entry keeps a small thumbnail (within the user's thumbnail
+ * budget, see Settings) and, for resending, its own copy of the files in
+ * FileStore (within the file budget, which the user can turn off; older
+ * entries lose their files first).
+ */
+
+const SendHistory = {
+  config: {
+    storageKey: 'sendHistory',
+    maxEntries: 200,
+    thumbnailSize: 96,
+    thumbnailQuality: 0.7
+  },
+
+  lock: Promise.resolve(),
+
+  async load() {
+    const stored = await chrome.storage.local.get(this.config.storageKey);
+    return stored[this.config.storageKey] || [];
+  },
+
+  /**
+   * Runs a read-modify-write on the entries, one at a time (newest first)
+   * @param {Function} mutate - (entries) => result; may modify entries in place
+   */
+  transact(mutate) {
+    const run = this.lock.then(async () => {
+      const entries = await this.load();
+      const result = await mutate(entries);
+      await chrome.storage.local.set({ [this.config.storageKey]: entries });
+      return result;
+    });
+
+    // Keep the chain alive after a failed transaction
+    this.lock = run.catch(() => {});
+    return run;
+  },
+
+  /**
+   * Adds a finished job to the history
+   * The job's files are copied when the file budget allows, since the
+   * queue deletes its own
+   * @param {Object} job - From UploadQueue, with state sent or failed
+   * @param {Object} details
+   * @param {Object} [details.result] - The content script's uploadPhoto response
+   * @param {string} [details.error]
+   * @param {string} [details.errorCode]
+   * @param {number} details.duration - Time the last attempt took, in ms
+   */
+  async record(job, { result = null, error = null, errorCode = null, duration }) {
+    const settings = await Settings.get();
+    const totalSize = job.files.reduce((sum, file) => sum + (file.size || 0), 0);
+    const keepFiles = totalSize > 0 && totalSize <= settings.historyFileBudget;
+
+    const files = [];
+    let thumbnail = null;
+
+    for (const file of job.files) {
+      const blob = await FileStore.get(file.fileId);
+      const kind = MediaTypes.kindOf(file.mimeType);
+
+      if (blob && !thumbnail && settings.historyThumbnailBudget > 0 && (kind === 'image' || kind === 'gif')) {
+        thumbnail = await this.createThumbnail(blob);
+      }
+
+      files.push({
+        fileId: blob && keepFiles ? await FileStore.put(blob) : null,
+        filename: file.filename,
+        mimeType: file.mimeType,
+        size: file.size ?? blob?.size ?? 0,
+        kind
+      });
+    }
+
+    const entry = {
+      id: `sent-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      jobId: job.id,
+      sentAt: Date.now(),
+      files,
+      thumbnail,
+      caption: job.caption,
+      // The chat the job picked, else the one the content script found open
+      chat: job.chat || (result?.chat?.name ? result.chat : null),
+      chats: job.chats,
+      broadcast: result?.broadcast || job.broadcast,
+      sendOptions: job.sendOptions,
+      source: job.source,
+      duration,
+      outcome: result ? result.delivery : 'failed',
+      error,
+      errorCode
+    };
+
+    const dropped = await this.transact(entries => {
+      entries.unshift(entry);
+      return this.trim(entries, settings);
+    });
+    await this.deleteFiles(dropped);
+
+    Logger.info('Send History', `Recorded ${job.id} (${entry.outcome})`);
+    return entry;
+  },
+
+  /**
+   * Sends an entry's files again as a new upload job
+   * @param {string} entryId
+   * @param {Object} target
+   * @param {{id: string, name: string}|null} target.chat - Where to send; null for the chat open in Telegram
+   * @param {Array<{id: string, name: string}>|null} [target.chats] - Broadcast to these chats instead
+   * @returns {Promise<Object>} The new job
+   */
+  async resend(entryId, { chat, chats = null }) {
+    const entries = await this.load();
+    const entry = entries.find(item => item.id === entryId);
+
+    if (!entry) {
+      throw new Error('History entry not found');
+    }
+
+    const files = [];
+    for (const file of entry.files) {
+      const blob = file.fileId ? await FileStore.get(file.fileId) : null;
+      if (!blob) {
+        await Promise.all(files.map(copy => FileStore.delete(copy.fileId)));
+        throw new Error(`${file.filename} is no longer kept for resending`);
+      }
+
+      // The queue deletes its files once sent, so it gets a copy
+      files.push({
+        fileId: await FileStore.put(blob),
+        filename: file.filename,
+        mimeType: file.mimeType,
+        size: file.size
+      });
+    }
+
+    const destination = chats ? `${chats.length} chats` : chat ? chat.id : 'the open chat';
+    Logger.info('Send History', `Resending ${entryId} to ${destination}`);
+
+    return UploadQueue.enqueue({
+      files,
+      caption: entry.caption,
+      chat,
+      chats,
+      sendOptions: entry.sendOptions,
+      source: 'history'
+    });
+  },
+
+  async clear() {
+    const removed = await this.transact(entries => entries.splice(0, entries.length));
+    await this.deleteFiles(removed);
+    Logger.info('Send History', `Cleared ${removed.length} entries`);
+  },
+
+  /**
+   * Applies changed thumbnail and file budgets to the stored entries
+   */
+  async applyBudget() {
+    const settings = await Settings.get();
+    const dropped = await this.transact(entries => this.trim(entries, settings));
+    await this.deleteFiles(dropped);
+  },
+
+  /**
+   * Keeps the entries within maxEntries and the thumbnail and file
+   * budgets, newest first; older entries lose their thumbnail and files
+   * before newer ones
+   * @param {Array} entries - Modified in place
+   * @param {Object} budgets
+   * @param {number} budgets.historyThumbnailBudget - Bytes of thumbnail data URLs
+   * @param {number} budgets.historyFileBudget - Bytes of files kept for resending
+   * @returns {Array} Entries (or copies holding only the dropped files) whose files must be deleted
+   */
+  trim(entries, { historyThumbnailBudget, historyFileBudget }) {
+    const dropped = entries.splice(this.config.maxEntries);
+    let thumbnailBytes = 0;
+    let fileBytes = 0;
+
+    for (const entry of entries) {
+      if (entry.thumbnail) {
+        thumbnailBytes += entry.thumbnail.length;
+        if (thumbnailBytes > historyThumbnailBudget) {
+          entry.thumbnail = null;
+        }
+      }
+
+      const kept = entry.files.filter(file => file.fileId);
+      if (kept.length > 0) {
+        fileBytes += kept.reduce((sum, file) => sum + file.size, 0);
+        if (fileBytes > historyFileBudget) {
+          dropped.push({ files: kept.map(file => ({ ...file })) });
+          entry.files.forEach(file => { file.fileId = null; });
+        }
+      }
+    }
+
+    return dropped;
+  },
+
+  async deleteFiles(entries) {
+    for (const entry of entries) {
+      for (const file of entry.files) {
+        if (!file.fileId) {
+          continue;
+        }
+        try {
+          await FileStore.delete(file.fileId);
+        } catch (error) {
+          Logger.warn('Send History', `Could not delete ${file.fileId}:`, error.message);
+        }
+      }
+    }
+  },
+
+  /**
+   * Small JPEG data URL of an image (first frame for GIFs)
+   * @returns {Promise<string|null>} null when the image can't be decoded
+   */
+  async createThumbnail(blob) {
+    try {
+      const bitmap = await createImageBitmap(blob);
+      const scale = Math.min(1, this.config.thumbnailSize / Math.max(bitmap.width, bitmap.height));
+      const canvas = new OffscreenCanvas(
+        Math.max(1, Math.round(bitmap.width * scale)),
+        Math.max(1, Math.round(bitmap.height * scale))
+      );
+      const context = canvas.getContext('2d');
+
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      bitmap.close();
+
+      const thumbnail = await canvas.convertToBlob({ type: 'image/jpeg', quality: this.config.thumbnailQuality });
+
+      return await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(thumbnail);
+      });
+    } catch (error) {
+      Logger.warn('Send History', 'No thumbnail:', error.message);
+      return null;
+    }
+  }
+};
@@ -0,0 +1,388 @@
+/**
+ * Settings
+ * User preferences kept in chrome.storage.sync, so they follow the user
+ * to other browsers. Secrets (the bot token) stay in chrome.storage.local
+ * on this computer. Shared by the popup, the options page and the
+ * background service worker.
+ */
+
+const Settings = {
+  // Each synced setting is its own item, e.g. "settings.timeouts": sync
+  // storage limits the size of an item, and writing only the changed items
+  // keeps the popup and the options page from undoing each other's changes
+  storagePrefix: 'settings.',
+  // Item all synced settings were kept in by earlier versions (see migrate)
+  legacyKey: 'settings',
+  secretsKey: 'secrets',
+
+  // Chains set(), reset() and the migration in this context
+  writing: Promise.resolve(),
+
+  defaults: {
+    // Send mode picked when the popup opens: 'photo' or 'file'
+    defaultSendMode: 'photo',
+    // Caption filled in when files are picked (see CaptionFormat.fillTemplate)
+    captionTemplate: '',
+    // Largest file the popup accepts; 2GB is Telegram's document limit
+    maxFileSize: 2 * 1024 * 1024 * 1024,
+    // Seconds a sent upload stays in the upload list (0 keeps it until cleared)
+    autoClearDelay: 0,
+    // Safety-net timeouts of the upload steps in ms (see TelegramUploader)
+    timeouts: {
+      dropTarget: 3000,
+      preview: 5000,
+      sendButton: 5000,
+      clickResponse: 2000,
+      caption: 2000,
+      sendOption: 2000,
+      // Telegram reads a video's duration and size before it can be sent
+      videoPreview: 10000,
+      openChat: 5000,
+      messageAppear: 5000,
+      // Upload of a sent message to Telegram's servers, plus deliveryPerMegabyte per MB
+      delivery: 30000
+    },
+    // Selectors replacing a layout profile's, keyed by profile id, e.g.
+    // {K: {sendButton: '.popup-new-media .btn-primary'}} (see TelegramProfiles)
+    selectorOverrides: {},
+    // Lowest level printed to the console; every entry is kept for the
+    // debug bundle either way (see Logger)
+    logLevel: 'warn',
+    // Bytes of send history thumbnails kept (0 keeps none)
+    historyThumbnailBudget: 1024 * 1024,
+    // Bytes of sent files copied for resending from the history (0 keeps none)
+    historyFileBudget: 200 * 1024 * 1024,
+    // Seconds to wait between the chats of a broadcast
+    broadcastPause: 5,
+    // Bot API transport (see BotApi): server and the chats the bot posts to
+    botApiBaseUrl: 'https://api.telegram.org',
+    botChats: []
+  },
+
+  // Kept out of sync storage
+  secretDefaults: {
+    botToken: ''
+  },
+
+  // Values allowed for the settings that are a choice
+  choices: {
+    defaultSendMode: ['photo', 'file'],
+    logLevel: ['debug', 'info', 'warn', 'error']
+  },
+
+  // Smallest file size limit that can be set
+  minFileSize: 1024 * 1024,
+
+  // Bot chat: numeric chat ID (groups and channels are negative) or a public @username
+  botChatIdPattern: /^(-?\d+|@[A-Za-z0-9_]{5,})$/,
+
+  /**
+   * @returns {Promise<Object>} Stored settings and secrets over the defaults
+   */
+  async get() {
+    const [stored, secrets] = await Promise.all([
+      chrome.storage.sync.get([this.legacyKey, ...this.storageKeys()]),
+      chrome.storage.local.get(this.secretsKey)
+    ]);
+
+    // Items not migrated yet still come from the legacy settings
+    const settings = { ...stored[this.legacyKey] };
+    for (const key of Object.keys(this.defaults)) {
+      if (this.storagePrefix + key in stored) {
+        settings[key] = stored[this.storagePrefix + key];
+      }
+    }
+
+    return {
+      ...this.defaults,
+      ...settings,
+      // Timeouts added in later versions keep their defaults
+      timeouts: { ...this.defaults.timeouts, ...settings.timeouts },
+      ...this.secretDefaults,
+      ...secrets[this.secretsKey]
+    };
+  },
+
+  /**
+   * Stores changed settings, keeping the others
+   * @param {Object} changes
+   * @returns {Promise<Object>} The updated settings
+   * @throws {Error} When a value is invalid (see validate) or too large to sync
+   */
+  async set(changes) {
+    this.assertValid(changes);
+
+    return this.serialize(async () => {
+      await this.migrate();
+
+      const synced = {};
+      const secrets = {};
+      for (const [key, value] of Object.entries(changes)) {
+        if (key in this.secretDefaults) {
+          secrets[key] = value;
+        } else {
+          synced[this.storagePrefix + key] = value;
+        }
+      }
+
+      this.checkQuota(synced);
+
+      const writes = [];
+      if (Object.keys(synced).length > 0) {
+        writes.push(chrome.storage.sync.set(synced));
+      }
+      if (Object.keys(secrets).length > 0) {
+        const stored = await chrome.storage.local.get(this.secretsKey);
+        writes.push(chrome.storage.local.set({ [this.secretsKey]: { ...stored[this.secretsKey], ...secrets } }));
+      }
+      await Promise.all(writes);
+
+      return this.get();
+    });
+  },
+
+  /**
+   * Puts the synced settings back to their defaults
+   * Secrets are kept, so the bot keeps working
+   * @returns {Promise<Object>} The updated settings
+   */
+  reset() {
+    return this.serialize(async () => {
+      await chrome.storage.sync.remove([this.legacyKey, ...this.storageKeys()]);
+      return this.get();
+    });
+  },
+
+  /**
+   * Moves settings stored by earlier versions as one item into their own
+   * items, keeping any already stored separately
+   */
+  async migrate() {
+    const stored = await chrome.storage.sync.get([this.legacyKey, ...this.storageKeys()]);
+    const legacy = stored[this.legacyKey];
+    if (!legacy) {
+      return;
+    }
+
+    const items = {};
+    for (const [key, value] of Object.entries(legacy)) {
+      if (key in this.defaults && !(this.storagePrefix + key in stored)) {
+        items[this.storagePrefix + key] = value;
+      }
+    }
+
+    await chrome.storage.sync.set(items);
+    await chrome.storage.sync.remove(this.legacyKey);
+    Logger.info('Settings', `Moved ${Object.keys(items).length} setting(s) into their own items`);
+  },
+
+  /**
+   * @throws {Error} When an item is larger than sync storage allows
+   */
+  checkQuota(items) {
+    const quota = chrome.storage.sync.QUOTA_BYTES_PER_ITEM;
+    for (const [key, value] of Object.entries(items)) {
+      const size = new Blob([key, JSON.stringify(value)]).size;
+      if (size > quota) {
+        throw new Error(`${key.slice(this.storagePrefix.length)} is too large to sync (${size} bytes, at most ${quota})`);
+      }
+    }
+  },
+
+  /**
+   * Runs writes one after another, so each sees the one before
+   * @param {Function} task - async () => result
+   */
+  serialize(task) {
+    const run = this.writing.then(task);
+    this.writing = run.catch(() => {});
+    return run;
+  },
+
+  storageKeys() {
+    return Object.keys(this.defaults).map(key => this.storagePrefix + key);
+  },
+
+  /**
+   * Synced settings as a JSON backup; secrets are left out
+   * @returns {Promise<string>}
+   */
+  async export() {
+    const settings = await this.get();
+    const exported = {};
+    for (const key of Object.keys(this.defaults)) {
+      exported[key] = settings[key];
+    }
+    return JSON.stringify(exported, null, 2);
+  },
+
+  /**
+   * Stores settings from a JSON backup made by export()
+   * Unknown keys are ignored; an invalid value fails the whole import
+   * @param {string} json
+   * @returns {Promise<Object>} The updated settings
+   */
+  async import(json) {
+    const parsed = JSON.parse(json);
+    if (!this.isObject(parsed)) {
+      throw new Error('Not a settings file');
+    }
+
+    const changes = {};
+    for (const [key, value] of Object.entries(parsed)) {
+      if (key in this.defaults) {
+        changes[key] = value;
+      }
+    }
+
+    return this.set(changes);
+  },
+
+  /**
+   * Checks settings changes before they are stored
+   * @param {Object} changes
+   * @returns {Array<{setting: string, message: string}>} Problems, empty when
+   *   all values are valid; setting is the key, or a path into it such as
+   *   "timeouts.preview" or "botChats.2"
+   */
+  validate(changes) {
+    const problems = [];
+    const report = (setting, message) => problems.push({ setting, message });
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    for (const [key, value] of Object.entries(changes)) {
+      switch (key) {
+        case 'defaultSendMode':
+        case 'logLevel':
+          if (!this.choices[key].includes(value)) {
+            report(key, `expected one of ${this.choices[key].join(', ')}`);
+          }
+          break;
+
+        case 'captionTemplate':
+        case 'botToken':
+          if (typeof value !== 'string') {
+            report(key, 'expected text');
+          }
+          break;
+
+        case 'maxFileSize':
+          if (!(isNumber(value) && value >= this.minFileSize && value <= this.defaults.maxFileSize)) {
+            report(key, `expected ${this.minFileSize} to ${this.defaults.maxFileSize} bytes`);
+          }
+          break;
+
+        case 'autoClearDelay':
+        case 'historyThumbnailBudget':
+        case 'historyFileBudget':
+        case 'broadcastPause':
+          if (!(isNumber(value) && value >= 0)) {
+            report(key, 'expected a number of at least 0');
+          }
+          break;
+
+        case 'timeouts':
+          if (!this.isObject(value)) {
+            report(key, 'expected an object');
+            break;
+          }
+          for (const [name, timeout] of Object.entries(value)) {
+            if (!(name in this.defaults.timeouts)) {
+              report(`${key}.${name}`, 'unknown timeout');
+            } else if (!(isNumber(timeout) && timeout > 0)) {
+              report(`${key}.${name}`, 'expected milliseconds above 0');
+            }
+          }
+          break;
+
+        case 'selectorOverrides':
+          try {
+            this.checkSelectorOverrides(value);
+          } catch (error) {
+            report(key, error.message);
+          }
+          break;
+
+        case 'botApiBaseUrl':
+          if (typeof value !== 'string' || !/^https?:\/\/[^/\s]+/.test(value)) {
+            report(key, 'expected an http(s) URL');
+          }
+          break;
+
+        case 'botChats':
+          if (!Array.isArray(value)) {
+            report(key, 'expected a list');
+            break;
+          }
+          value.forEach((chat, index) => {
+            const valid = this.isObject(chat) &&
+              typeof chat.chatId === 'string' && this.botChatIdPattern.test(chat.chatId) &&
+              typeof chat.name === 'string' && chat.name.trim() !== '';
+            if (!valid) {
+              report(`${key}.${index}`, 'expected a chat ID and a name');
+            }
+          });
+          break;
+
+        default:
+          report(key, 'unknown setting');
+      }
+    }
+
+    return problems;
+  },
+
+  /**
+   * @throws {Error} With the first problem found by validate(), and all of
+   *   them as error.problems
+   */
+  assertValid(changes) {
+    const problems = this.validate(changes);
+    if (problems.length > 0) {
+      const [first] = problems;
+      const error = new Error(`Invalid value for ${first.setting}: ${first.message}`);
+      error.problems = problems;
+      throw error;
+    }
+  },
+
+  /**
+   * Selector overrides must be selectors keyed by layout, then by name
+   * Layout and selector names and the selectors' shapes are checked where
+   * the layout profiles are loaded (the options page and the content script)
+   * @throws {Error} Describing the first problem
+   */
+  checkSelectorOverrides(overrides) {
+    if (!this.isObject(overrides)) {
+      throw new Error('expected an object');
+    }
+    for (const [profileId, selectors] of Object.entries(overrides)) {
+      if (!this.isObject(selectors)) {
+        throw new Error(`${profileId}: expected an object`);
+      }
+    }
+
+    if (typeof TelegramProfiles !== 'undefined') {
+      TelegramProfiles.checkOverrides(overrides);
+    }
+  },
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  },
+
+  /**
+   * Registers a callback run with the full settings after they change
+   * @param {Function} listener - (settings) => void
+   */
+  onChanged(listener) {
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+      const synced = area === 'sync' &&
+        Object.keys(changes).some(key => key === this.legacyKey || key.startsWith(this.storagePrefix));
+
+      if (synced || (area === 'local' && changes[this.secretsKey])) {
+        listener(await this.get());
+      }
+    });
+  }
+};
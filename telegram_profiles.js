@@ -0,0 +1,584 @@
+/**
+ * Telegram Web Layout Profiles
+ * Each profile describes how to find the elements the uploader drives
+ * (drop zone, preview modal and its send options, caption field, send
+ * button, chat list, outgoing messages)
+ * for one Telegram Web client. The active profile is chosen from the URL
+ * first and the DOM second; register() adds profiles for new layouts.
+ */
+
+const TelegramProfiles = {
+  /**
+   * Default behavior shared by all profiles
+   * Profiles spread this object and override selectors or methods
+   */
+  base: {
+    id: 'base',
+    name: 'Generic',
+    selectors: {},
+
+    matchesUrl() {
+      return false;
+    },
+
+    matchesDom() {
+      return false;
+    },
+
+    /**
+     * Finds the first element matching the ordered drop zone selectors
+     * @returns {{element: Element, selector: string}|null}
+     */
+    findDropZone() {
+      for (const selector of this.selectors.dropZones) {
+        const element = document.querySelector(selector);
+        if (element) {
+          return { element, selector };
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Message composer field (target of the paste injection strategy)
+     */
+    findMessageInput() {
+      return document.querySelector(this.selectors.messageInput);
+    },
+
+    /**
+     * Telegram's hidden attachment input (target of the file input strategy)
+     * Telegram may only add it after the attach menu has been used
+     */
+    findAttachmentInput() {
+      return document.querySelector(this.selectors.attachmentInput);
+    },
+
+    findPreviewModal() {
+      return document.querySelector(this.selectors.previewModal);
+    },
+
+    isPreviewModalOpen() {
+      const modal = this.findPreviewModal();
+      return modal !== null && modal.style.display !== 'none';
+    },
+
+    /**
+     * Dismisses the preview modal without sending: clicks its close button,
+     * or presses Escape when the layout has none we recognise
+     */
+    closePreviewModal() {
+      const modal = this.findPreviewModal();
+      if (!modal) {
+        return;
+      }
+
+      const closeButton = this.selectors.previewCloseButton
+        ? modal.querySelector(this.selectors.previewCloseButton)
+        : null;
+
+      if (closeButton) {
+        closeButton.click();
+        return;
+      }
+
+      const escape = { bubbles: true, cancelable: true, key: 'Escape', code: 'Escape', keyCode: 27 };
+      modal.dispatchEvent(new KeyboardEvent('keydown', escape));
+      modal.dispatchEvent(new KeyboardEvent('keyup', escape));
+    },
+
+    /**
+     * Send options currently set in the preview modal, read from what it
+     * renders: files listed as documents, media covered by a spoiler
+     * Layouts with a compress checkbox report "send as file" from it instead
+     * @returns {{asFile: boolean, spoiler: boolean}}
+     */
+    readSendOptions(modal) {
+      const scope = modal || this.findPreviewModal();
+      if (!scope) {
+        return { asFile: false, spoiler: false };
+      }
+
+      const checkbox = this.findCompressCheckbox(scope);
+      const has = (selector) => Boolean(selector) && scope.querySelector(selector) !== null;
+
+      return {
+        asFile: checkbox ? !checkbox.checked : has(this.selectors.previewDocument),
+        spoiler: has(this.selectors.previewSpoiler)
+      };
+    },
+
+    /**
+     * The modal's "compress" checkbox, for layouts that show one
+     */
+    findCompressCheckbox(modal) {
+      return this.selectors.compressCheckbox ? modal.querySelector(this.selectors.compressCheckbox) : null;
+    },
+
+    findPreviewMenuButton(modal) {
+      return this.selectors.previewMenuButton
+        ? TelegramProfiles.firstUsable(modal.querySelectorAll(this.selectors.previewMenuButton))
+        : null;
+    },
+
+    /**
+     * Item of the preview's options menu that turns a send option on or off
+     * Looked up in the whole document since menus may render outside the modal
+     * @param {'asFile'|'spoiler'} option
+     * @param {boolean} enabled
+     */
+    findSendOptionMenuItem(option, enabled) {
+      const selector = this.selectors.previewMenuItems?.[`${option}${enabled ? 'On' : 'Off'}`];
+      return selector ? TelegramProfiles.firstUsable(document.querySelectorAll(selector)) : null;
+    },
+
+    findCaptionInput(modal) {
+      return (modal || document).querySelector(this.selectors.captionInput);
+    },
+
+    // Send-button strategies, tried in order. None of the first three look
+    // at the button label, so they work whatever language Telegram is in.
+    sendButtonStrategies: ['structural', 'aria', 'primaryAction', 'localizedLabel'],
+
+    // "Send" in the languages Telegram Web ships, for the last-resort strategy
+    sendButtonLabels: [
+      'send', 'senden', 'enviar', 'отправить', 'envoyer', 'invia', 'надіслати',
+      'wyślij', 'gönder', 'verzenden', 'versturen', 'kirim', 'إرسال', 'ارسال',
+      '보내기', '送信', '发送', '傳送', 'адправіць', 'envia', 'pošalji', 'odeslat',
+      'lähetä', 'שלח', 'küldés', 'hantar', 'skicka', 'пошаљи', 'yuborish', 'gửi',
+      'odoslať', 'trimite', 'изпрати', 'ส่ง'
+    ],
+
+    /**
+     * Strategy implementations, called with the profile as `this`
+     * Each returns a visible, enabled button inside scope or null
+     */
+    sendButtonFinders: {
+      // The layout's own markup for the send action
+      structural(scope) {
+        return TelegramProfiles.firstUsable(scope.querySelectorAll(this.selectors.sendButton));
+      },
+
+      // Submit semantics exposed to assistive technology
+      aria(scope) {
+        return TelegramProfiles.firstUsable(scope.querySelectorAll(
+          'button[type="submit"], [role="button"][type="submit"], button[aria-keyshortcuts~="Enter"]'
+        ));
+      },
+
+      // The modal's primary action: the last primary-styled button with content
+      primaryAction(scope) {
+        const candidates = Array.from(scope.querySelectorAll('button'))
+          .filter(btn => /primary/i.test(btn.className) && btn.textContent.trim() !== '');
+        return TelegramProfiles.firstUsable(candidates.reverse());
+      },
+
+      // Label lookup in the table of localized "Send" strings
+      localizedLabel(scope) {
+        const candidates = Array.from(scope.querySelectorAll('button')).filter(btn => {
+          const text = btn.textContent.trim().toLowerCase();
+          const label = (btn.getAttribute('aria-label') || '').trim().toLowerCase();
+          return this.sendButtonLabels.includes(text) || this.sendButtonLabels.includes(label);
+        });
+        return TelegramProfiles.firstUsable(candidates);
+      }
+    },
+
+    /**
+     * Finds the send button inside the preview modal, trying each strategy in order
+     * @param {Element} [modal] - Defaults to the open preview modal
+     * @returns {{button: Element, strategy: string}|null}
+     */
+    findSendButton(modal) {
+      const scope = modal || this.findPreviewModal();
+      if (!scope) {
+        return null;
+      }
+
+      for (const strategy of this.sendButtonStrategies) {
+        const button = this.sendButtonFinders[strategy].call(this, scope);
+        if (button) {
+          return { button, strategy };
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * Runs every send-button strategy without clicking anything
+     * @returns {Object<string, boolean>} Which strategies found a button
+     */
+    describeSendButtonStrategies(modal) {
+      const scope = modal || this.findPreviewModal();
+      const report = {};
+
+      for (const strategy of this.sendButtonStrategies) {
+        report[strategy] = scope ? this.sendButtonFinders[strategy].call(this, scope) !== null : false;
+      }
+
+      return report;
+    },
+
+    hasOpenChat() {
+      return document.querySelector(this.selectors.chatContent) !== null;
+    },
+
+    getChatListItems() {
+      return Array.from(document.querySelectorAll(this.selectors.chatListItem));
+    },
+
+    /**
+     * Reads one sidebar entry
+     * @returns {{id: string, name: string, avatarImg: Element|null, pinned: boolean, link: Element}|null}
+     */
+    readChatItem(item) {
+      const link = item.matches(this.selectors.chatLink) ? item : item.querySelector(this.selectors.chatLink);
+      const id = this.getChatItemId(item, link);
+      const name = item.querySelector(this.selectors.chatTitle)?.textContent.trim();
+
+      if (!id || !name) {
+        return null;
+      }
+
+      return {
+        id,
+        name,
+        avatarImg: item.querySelector(this.selectors.chatAvatar),
+        pinned: item.querySelector(this.selectors.chatPinned) !== null,
+        link
+      };
+    },
+
+    getChatItemId(item, link) {
+      return link?.getAttribute('href')?.replace(/^#/, '') || null;
+    },
+
+    /**
+     * Telegram keeps the open chat's id in the URL hash
+     */
+    getCurrentChatId() {
+      return window.location.hash.replace(/^#/, '') || null;
+    },
+
+    getCurrentChatTitle() {
+      return document.querySelector(this.selectors.chatHeaderTitle)?.textContent.trim() || null;
+    },
+
+    /**
+     * Outgoing message bubbles currently rendered in the open chat
+     * @returns {Element[]}
+     */
+    getOutgoingMessages() {
+      return Array.from(document.querySelectorAll(this.selectors.outgoingMessage));
+    },
+
+    /**
+     * Reads what the uploader needs to recognise and follow one of our messages
+     * @returns {{id: string|null, timestamp: number|null, caption: string, mediaCount: number,
+     *   fileNames: string[], status: 'pending'|'sent'|'failed'}}
+     */
+    readMessage(element) {
+      return {
+        id: this.getMessageId(element),
+        timestamp: this.getMessageTimestamp(element),
+        caption: this.readMessageCaption(element),
+        mediaCount: element.querySelectorAll(this.selectors.messageMedia).length,
+        fileNames: Array.from(element.querySelectorAll(this.selectors.messageFileName))
+          .map(name => name.textContent.trim()),
+        status: this.getMessageStatus(element)
+      };
+    },
+
+    /**
+     * Caption text without the time and status that Telegram renders inside it
+     */
+    readMessageCaption(element) {
+      const caption = element.querySelector(this.selectors.messageCaption);
+      if (!caption) {
+        return '';
+      }
+
+      const copy = caption.cloneNode(true);
+      copy.querySelectorAll(this.selectors.messageMeta).forEach(meta => meta.remove());
+      return (copy.innerText || copy.textContent || '').trim();
+    },
+
+    /**
+     * Upload state of an outgoing message: still uploading, delivered to
+     * the server, or marked as failed by Telegram
+     */
+    getMessageStatus(element) {
+      const has = (selector) => element.matches(selector) || element.querySelector(selector) !== null;
+
+      if (has(this.selectors.messageFailed)) {
+        return 'failed';
+      }
+      if (has(this.selectors.messagePending)) {
+        return 'pending';
+      }
+      return 'sent';
+    },
+
+    getMessageId(element) {
+      return element.getAttribute('data-message-id') || null;
+    },
+
+    /**
+     * @returns {number|null} Send time in ms, when the layout exposes it
+     */
+    getMessageTimestamp() {
+      return null;
+    }
+  },
+
+  // Registered profiles, in detection order
+  profiles: [],
+
+  /**
+   * Returns the first element that is rendered and not disabled
+   */
+  firstUsable(elements) {
+    return Array.from(elements).find(element =>
+      element.offsetParent !== null && !element.disabled &&
+      element.getAttribute('aria-disabled') !== 'true'
+    ) || null;
+  },
+
+  /**
+   * Adds a profile built on top of the base behavior
+   * @param {Object} profile - Must define id, name, matchesUrl and selectors
+   */
+  register(profile) {
+    const merged = { ...this.base, ...profile, defaultSelectors: profile.selectors };
+    this.profiles = this.profiles.filter(existing => existing.id !== merged.id);
+    this.profiles.push(merged);
+    return merged;
+  },
+
+  /**
+   * Replaces selectors with the ones set in the options page
+   * Each override replaces the whole selector (or list, or menu item map);
+   * selectors no longer overridden go back to the profile's own
+   * @param {Object} overrides - Selectors keyed by profile id, then by name
+   */
+  applyOverrides(overrides = {}) {
+    for (const profile of this.profiles) {
+      const own = { ...overrides[profile.id] };
+
+      // Settings.validate keeps these out, but a stored value may predate it
+      for (const [name, value] of Object.entries(own)) {
+        if (!this.matchesShape(profile.defaultSelectors[name], value)) {
+          Logger.warn('Telegram Profiles', `Ignoring selector override ${profile.id}.${name}`, value);
+          delete own[name];
+        }
+      }
+
+      profile.selectors = { ...profile.defaultSelectors, ...own };
+    }
+  },
+
+  /**
+   * Checks selector overrides against the profiles: known layout and
+   * selector names, the same shape as the built-in selector and, where
+   * there is a document to parse them, valid CSS
+   * @param {Object} overrides - Selectors keyed by profile id, then by name
+   * @throws {Error} Describing the first problem
+   */
+  checkOverrides(overrides) {
+    for (const [profileId, selectors] of Object.entries(overrides)) {
+      const profile = this.get(profileId);
+      if (!profile) {
+        throw new Error(`unknown layout "${profileId}"`);
+      }
+
+      for (const [name, value] of Object.entries(selectors)) {
+        const builtIn = profile.defaultSelectors[name];
+        if (builtIn === undefined) {
+          throw new Error(`${profileId}: unknown selector "${name}"`);
+        }
+        if (!this.matchesShape(builtIn, value) || !this.selectorList(value).every(selector => this.isValidSelector(selector))) {
+          throw new Error(`${profileId}.${name}`);
+        }
+      }
+    }
+  },
+
+  /**
+   * Whether an override has the built-in selector's shape: a string, a
+   * list of strings or a map of strings
+   */
+  matchesShape(builtIn, value) {
+    const shape = (selector) => typeof selector === 'string' ? 'string'
+      : Array.isArray(selector) ? 'list'
+        : selector !== null && typeof selector === 'object' ? 'map' : null;
+
+    return builtIn !== undefined && shape(builtIn) === shape(value) &&
+      this.selectorList(value).every(selector => typeof selector === 'string' && selector.trim() !== '');
+  },
+
+  selectorList(value) {
+    return typeof value === 'string' ? [value] : Object.values(value);
+  },
+
+  isValidSelector(selector) {
+    if (typeof document === 'undefined') {
+      return true;
+    }
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Picks the profile for the current page: URL match first, then DOM match
+   * Falls back to the first registered profile
+   */
+  detect() {
+    const url = window.location.href;
+
+    return this.profiles.find(profile => profile.matchesUrl(url)) ||
+      this.profiles.find(profile => profile.matchesDom()) ||
+      this.profiles[0];
+  },
+
+  get(id) {
+    return this.profiles.find(profile => profile.id === id) || null;
+  }
+};
+
+// Telegram Web A (web.telegram.org/a)
+TelegramProfiles.register({
+  id: 'A',
+  name: 'Telegram Web A',
+
+  matchesUrl(url) {
+    return /web\.telegram\.org\/a(\/|\?|#|$)/.test(url);
+  },
+
+  matchesDom() {
+    return document.querySelector('#Main .middle-column, .MiddleHeader') !== null;
+  },
+
+  selectors: {
+    dropZones: [
+      '.composer-wrapper',
+      '.input-message-container',
+      '.middle-column',
+      '.input-message-input'
+    ],
+    dropTarget: '.DropTarget',
+    chatContent: '.chat-content, .messages-container',
+    messageInput: '#editable-message-text, .middle-column .input-message-input[contenteditable="true"]',
+    attachmentInput: '.middle-column input[type="file"], #portals input[type="file"]',
+
+    previewModal: '.AttachmentModal',
+    previewCloseButton: '.modal-header-condensed .Button.round:first-child, .modal-header .modal-close',
+    previewMenuButton: '.AttachmentModal .DropdownMenu > .Button, .AttachmentModal .Button:has(.icon-more)',
+    previewMenuItems: {
+      asFileOn: '.MenuItem:has(.icon-document)',
+      asFileOff: '.MenuItem:has(.icon-photo)',
+      spoilerOn: '.MenuItem:has(.icon-spoiler)',
+      spoilerOff: '.MenuItem:has(.icon-unspoiler)'
+    },
+    previewDocument: '.AttachmentModal .File',
+    previewSpoiler: '.AttachmentModal .MediaSpoiler',
+    previewVideo: '.AttachmentModal video',
+    captionInput: '#caption-input-text, .input-message-input[contenteditable="true"], [contenteditable="true"]',
+    sendButton: '.modal-header-condensed .Button.primary, .AttachmentModal .Button.send, .AttachmentModal .modal-header .Button.primary',
+
+    chatListItem: '.chat-list .ListItem.Chat',
+    chatLink: 'a.ListItem-button, a[href^="#"]',
+    chatTitle: '.fullName, .title h3, h3',
+    chatAvatar: '.Avatar img, img.Avatar__media, img',
+    chatPinned: '.icon-pinned-chat, .pinned',
+    chatHeaderTitle: '.MiddleHeader .ChatInfo .fullName, .MiddleHeader .ChatInfo .title h3, .MiddleHeader .fullName',
+
+    outgoingMessage: '.MessageList .Message.own',
+    messageMedia: '.media-inner, .File',
+    messageCaption: '.text-content',
+    messageMeta: '.MessageMeta',
+    messageFileName: '.File .file-title',
+    messagePending: '.icon-message-pending, .message-upload-progress, .ProgressSpinner',
+    messageFailed: '.icon-message-failed'
+  },
+
+  getMessageId(element) {
+    return element.getAttribute('data-message-id') || element.id.replace(/^message-/, '') || null;
+  }
+});
+
+// Telegram Web K (web.telegram.org/k)
+TelegramProfiles.register({
+  id: 'K',
+  name: 'Telegram Web K',
+
+  matchesUrl(url) {
+    return /web\.telegram\.org\/k(\/|\?|#|$)/.test(url);
+  },
+
+  matchesDom() {
+    return document.querySelector('#column-center .chats-container, .chatlist-container') !== null;
+  },
+
+  selectors: {
+    dropZones: [
+      '#column-center .chat-input',
+      '#column-center .input-message-container',
+      '#column-center .bubbles',
+      '.input-message-input'
+    ],
+    dropTarget: '.drops-container .drop',
+    chatContent: '#column-center .bubbles-inner, #column-center .bubbles',
+    messageInput: '#column-center .input-message-input[contenteditable="true"]',
+    attachmentInput: '#column-center .chat-input input[type="file"], #column-center input[type="file"]',
+
+    previewModal: '.popup-new-media',
+    previewCloseButton: '.popup-header .popup-close, .popup-header .btn-icon:first-child',
+    previewMenuButton: '.popup-new-media .popup-header .btn-menu-toggle',
+    previewMenuItems: {
+      asFileOn: '.btn-menu-item.tgico-document, .btn-menu-item:has(.tgico-document)',
+      asFileOff: '.btn-menu-item.tgico-image, .btn-menu-item:has(.tgico-image)',
+      spoilerOn: '.btn-menu-item.tgico-mediaspoiler, .btn-menu-item:has(.tgico-mediaspoiler)',
+      spoilerOff: '.btn-menu-item.tgico-mediaspoileroff, .btn-menu-item:has(.tgico-mediaspoileroff)'
+    },
+    // Older K versions show a checkbox instead of the menu
+    compressCheckbox: '.popup-new-media .checkbox-field input[name="compress"]',
+    previewDocument: '.popup-new-media .document-container, .popup-new-media .document',
+    previewSpoiler: '.popup-new-media .media-spoiler-container',
+    previewVideo: '.popup-new-media video',
+    captionInput: '.popup-new-media .input-message-input[contenteditable="true"], .popup-new-media [contenteditable="true"]',
+    sendButton: '.popup-new-media .popup-header .btn-primary',
+
+    chatListItem: '.chatlist-chat',
+    chatLink: 'a.chatlist-chat, a[data-peer-id]',
+    chatTitle: '.peer-title',
+    chatAvatar: '.avatar-photo, img',
+    chatPinned: '.dialog-pinned, .tgico-chatspinned',
+    chatHeaderTitle: '#column-center .chat-info .peer-title, #column-center .top .peer-title',
+
+    outgoingMessage: '#column-center .bubbles-inner .bubble.is-out',
+    messageMedia: '.attachment .media-photo, .attachment .media-video, .album-item, .document-container',
+    messageCaption: '.message',
+    messageMeta: '.time, .time-inner',
+    messageFileName: '.document-name',
+    messagePending: '.is-sending, .preloader-container',
+    messageFailed: '.is-error'
+  },
+
+  getChatItemId(item) {
+    return item.getAttribute('data-peer-id');
+  },
+
+  getMessageId(element) {
+    return element.getAttribute('data-mid');
+  },
+
+  getMessageTimestamp(element) {
+    const seconds = Number(element.getAttribute('data-timestamp'));
+    return seconds ? seconds * 1000 : null;
+  }
+});
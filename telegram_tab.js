@@ -0,0 +1,115 @@
+/**
+ * Telegram Tab
+ * Finds (or opens) the Telegram Web tab and talks to its content script
+ * Used by the background service worker
+ */
+
+const TelegramTab = {
+  config: {
+    telegramUrl: 'https://web.telegram.org/a/',
+    telegramUrlPattern: 'https://web.telegram.org/*',
+
+    // Same files as the manifest declares for web.telegram.org
+    contentScripts: chrome.runtime.getManifest().content_scripts[0].js,
+
+    maxWaitTime: {
+      tabLoad: 30000,
+      contentScript: 10000
+    }
+  },
+
+  /**
+   * Finds the most recently used Telegram Web tab
+   * @returns {Promise<chrome.tabs.Tab|null>}
+   */
+  async find() {
+    const tabs = await chrome.tabs.query({ url: this.config.telegramUrlPattern });
+    return tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0] || null;
+  },
+
+  /**
+   * Finds an open Telegram Web tab (preferring the most recently used one)
+   * or opens a new one, and brings it to the front
+   * @returns {Promise<chrome.tabs.Tab>}
+   */
+  async findOrOpen() {
+    let tab = await this.find();
+
+    if (!tab) {
+      Logger.info('Telegram Tab', 'No Telegram tab open, opening one...');
+      tab = await chrome.tabs.create({ url: this.config.telegramUrl, active: true });
+    }
+
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+
+    return this.waitForComplete(tab.id);
+  },
+
+  /**
+   * Waits until a tab has finished loading
+   */
+  async waitForComplete(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete') {
+      return tab;
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        chrome.tabs.onUpdated.removeListener(listener);
+        reject(new Error('Telegram Web took too long to load'));
+      }, this.config.maxWaitTime.tabLoad);
+
+      const listener = (updatedTabId, changeInfo, updatedTab) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          clearTimeout(timer);
+          chrome.tabs.onUpdated.removeListener(listener);
+          resolve(updatedTab);
+        }
+      };
+
+      chrome.tabs.onUpdated.addListener(listener);
+    });
+  },
+
+  /**
+   * Makes sure the content script is running in the tab and answers pings
+   */
+  async ensureContentScript(tabId) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < this.config.maxWaitTime.contentScript) {
+      const pingResponse = await this.sendMessage(tabId, { action: 'ping' });
+      if (pingResponse && pingResponse.success) {
+        return;
+      }
+
+      try {
+        await chrome.scripting.executeScript({
+          target: { tabId },
+          files: this.config.contentScripts
+        });
+      } catch (error) {
+        Logger.warn('Telegram Tab', 'Content script injection failed:', error.message);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    throw new Error('Content script failed to load');
+  },
+
+  sendMessage(tabId, message) {
+    return new Promise((resolve) => {
+      chrome.tabs.sendMessage(tabId, message, (response) => {
+        if (chrome.runtime.lastError) {
+          Logger.warn('Telegram Tab', 'Message error:', chrome.runtime.lastError.message);
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+};
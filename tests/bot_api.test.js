@@ -0,0 +1,202 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, silentLogger } = require('./load');
+
+const MB = 1024 * 1024;
+
+/**
+ * BotApi with the real MediaTypes and CaptionFormat, and a fetch that
+ * records each request and answers with the next queued reply
+ */
+function createBotApi() {
+  const requests = [];
+  const replies = [];
+
+  const fetch = async (url, init) => {
+    requests.push({ url, ...init });
+    const reply = replies.shift() || { ok: true, result: { message_id: 1, date: 1700000000 } };
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return typeof reply === 'string'
+      ? new Response(reply, { status: 502 })
+      : new Response(JSON.stringify(reply), { status: reply.ok ? 200 : reply.error_code });
+  };
+
+  const { BotApi } = load(['media_types.js', 'caption_format.js', 'bot_api.js'], {
+    fetch,
+    FormData,
+    AbortSignal,
+    Logger: silentLogger,
+    Settings: {
+      defaults: { botApiBaseUrl: 'https://api.telegram.org' },
+      async get() { return settings; }
+    }
+  });
+
+  return { BotApi, requests, replies };
+}
+
+const settings = { botToken: '123:abc', botApiBaseUrl: 'https://api.telegram.org' };
+const localServer = { ...settings, botApiBaseUrl: 'http://localhost:8081/' };
+
+// checkSizes only looks at the name, type and size
+const fakeFile = (name, type, size) => ({ name, type, size });
+const file = (name, type) => new File(['data'], name, { type });
+
+describe('BotApi', () => {
+  let BotApi;
+  let requests;
+  let replies;
+
+  beforeEach(() => {
+    ({ BotApi, requests, replies } = createBotApi());
+  });
+
+  describe('describeFailure', () => {
+    const codeOf = (status, payload) => BotApi.describeFailure('sendPhoto', status, payload).code;
+    const failure = (error_code, description, parameters) => ({ ok: false, error_code, description, parameters });
+
+    it('reports a rejected token', () => {
+      assert.equal(codeOf(401, failure(401, 'Unauthorized')), 'BOT_UNAUTHORIZED');
+      assert.equal(codeOf(404, failure(404, 'Not Found')), 'BOT_UNAUTHORIZED');
+    });
+
+    it('reports chats the bot cannot post to', () => {
+      assert.equal(codeOf(403, failure(403, 'Forbidden: bot was kicked from the group chat')), 'BOT_NO_ACCESS');
+      assert.equal(codeOf(400, failure(400, 'Bad Request: chat not found')), 'BOT_NO_ACCESS');
+      assert.equal(codeOf(400, failure(400, 'Bad Request: not enough rights to send photos to the chat')), 'BOT_NO_ACCESS');
+    });
+
+    it('reports files that are too large', () => {
+      assert.equal(codeOf(413, failure(413, 'Request Entity Too Large')), 'BOT_FILE_TOO_LARGE');
+      assert.equal(codeOf(400, failure(400, 'Bad Request: file is too big')), 'BOT_FILE_TOO_LARGE');
+    });
+
+    it('passes on how long to wait when rate limited', () => {
+      const error = BotApi.describeFailure('sendPhoto', 429, failure(429, 'Too Many Requests: retry after 5', { retry_after: 5 }));
+
+      assert.equal(error.code, 'BOT_RATE_LIMITED');
+      assert.equal(error.retryAfter, 5000);
+    });
+
+    it('reports anything else as a failed request, with the status when there is no description', () => {
+      const error = BotApi.describeFailure('sendPhoto', 502, null);
+
+      assert.equal(error.code, 'BOT_REQUEST_FAILED');
+      assert.equal(error.message, 'sendPhoto failed: HTTP 502');
+      assert.equal(codeOf(400, failure(400, 'Bad Request: wrong file identifier')), 'BOT_REQUEST_FAILED');
+    });
+  });
+
+  describe('call', () => {
+    it('maps a failed reply through describeFailure', async () => {
+      replies.push({ ok: false, error_code: 401, description: 'Unauthorized' });
+
+      await assert.rejects(BotApi.getMe(settings), { code: 'BOT_UNAUTHORIZED' });
+      assert.equal(requests[0].url, 'https://api.telegram.org/bot123:abc/getMe');
+      assert.equal(requests[0].method, 'GET');
+    });
+
+    it('reports a reply that is not JSON by its status', async () => {
+      replies.push('<html>Bad Gateway</html>');
+
+      await assert.rejects(BotApi.getMe(settings), { code: 'BOT_REQUEST_FAILED', message: 'getMe failed: HTTP 502' });
+    });
+
+    it('reports a server it cannot reach', async () => {
+      replies.push(new TypeError('fetch failed'));
+
+      await assert.rejects(BotApi.getMe(settings), { code: 'BOT_REQUEST_FAILED', message: 'Could not reach the Bot API: fetch failed' });
+    });
+
+    it('asks for a token before calling', async () => {
+      await assert.rejects(BotApi.getMe({ ...settings, botToken: '' }), { code: 'BOT_NOT_CONFIGURED' });
+      assert.equal(requests.length, 0);
+    });
+  });
+
+  describe('checkSizes', () => {
+    const tooLarge = { code: 'BOT_FILE_TOO_LARGE' };
+
+    it('holds photos to 10 MB and other files to 50 MB on api.telegram.org', () => {
+      BotApi.checkSizes(settings, [fakeFile('a.jpg', 'image/jpeg', 10 * MB), fakeFile('b.pdf', 'application/pdf', 50 * MB)]);
+
+      assert.throws(() => BotApi.checkSizes(settings, [fakeFile('a.jpg', 'image/jpeg', 10 * MB + 1)]), {
+        ...tooLarge,
+        message: 'a.jpg is larger than the Bot API accepts (10 MB)'
+      });
+      assert.throws(() => BotApi.checkSizes(settings, [fakeFile('b.pdf', 'application/pdf', 50 * MB + 1)]), tooLarge);
+    });
+
+    it('holds photos sent as files to the file limit', () => {
+      const photo = fakeFile('a.jpg', 'image/jpeg', 20 * MB);
+
+      BotApi.checkSizes(settings, [photo], { asFile: true });
+      assert.throws(() => BotApi.checkSizes(settings, [photo]), tooLarge);
+    });
+
+    it('lets a local Bot API server take up to 2 GB of anything', () => {
+      BotApi.checkSizes(localServer, [fakeFile('a.jpg', 'image/jpeg', 2048 * MB), fakeFile('b.mp4', 'video/mp4', 100 * MB)]);
+
+      assert.throws(() => BotApi.checkSizes(localServer, [fakeFile('b.mp4', 'video/mp4', 2048 * MB + 1)]), tooLarge);
+    });
+  });
+
+  describe('sendBatch', () => {
+    it('sends an album through sendMediaGroup with the files attached by name', async () => {
+      const files = [file('a.jpg', 'image/jpeg'), file('b.mp4', 'video/mp4')];
+
+      await BotApi.sendBatch(settings, '-100123', files, 'media', '**Holiday**', { spoiler: true });
+
+      const [{ url, method, body }] = requests;
+      assert.equal(url, 'https://api.telegram.org/bot123:abc/sendMediaGroup');
+      assert.equal(method, 'POST');
+      assert.equal(body.get('chat_id'), '-100123');
+      assert.equal(body.get('file0').name, 'a.jpg');
+      assert.equal(body.get('file1').name, 'b.mp4');
+      assert.deepEqual(JSON.parse(body.get('media')), [
+        { type: 'photo', media: 'attach://file0', caption: '<b>Holiday</b>', parse_mode: 'HTML', has_spoiler: true },
+        { type: 'video', media: 'attach://file1', has_spoiler: true }
+      ]);
+    });
+
+    it('sends a document album without spoilers', async () => {
+      const files = [file('a.pdf', 'application/pdf'), file('b.pdf', 'application/pdf')];
+
+      await BotApi.sendBatch(settings, '42', files, 'document', '', { spoiler: true });
+
+      const media = JSON.parse(requests[0].body.get('media'));
+      assert.deepEqual(media, [
+        { type: 'document', media: 'attach://file0' },
+        { type: 'document', media: 'attach://file1' }
+      ]);
+    });
+
+    it('sends a single file with the method for its kind', async () => {
+      await BotApi.sendBatch(settings, '42', [file('a.jpg', 'image/jpeg')], 'media', 'Hi', {});
+      await BotApi.sendBatch(settings, '42', [file('a.gif', 'image/gif')], 'gif', '', {});
+      await BotApi.sendBatch(settings, '42', [file('a.jpg', 'image/jpeg')], 'media', '', { asFile: true });
+
+      assert.deepEqual(requests.map(request => request.url.split('/').pop()), ['sendPhoto', 'sendAnimation', 'sendDocument']);
+      assert.equal(requests[0].body.get('photo').name, 'a.jpg');
+      assert.equal(requests[0].body.get('caption'), 'Hi');
+      assert.equal(requests[2].body.get('document').name, 'a.jpg');
+    });
+  });
+
+  describe('send', () => {
+    it('returns the error code of a failed send', async () => {
+      replies.push({ ok: false, error_code: 403, description: 'Forbidden: bot is not a member of the channel chat' });
+
+      const response = await BotApi.send([file('a.jpg', 'image/jpeg')], {
+        caption: '',
+        chat: { id: 'bot:1', name: 'Channel', botChatId: '@channel' },
+        sendOptions: {}
+      });
+
+      assert.equal(response.success, false);
+      assert.equal(response.code, 'BOT_NO_ACCESS');
+    });
+  });
+});
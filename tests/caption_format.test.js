@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { CaptionFormat } = load(['caption_format.js']);
+
+describe('CaptionFormat', () => {
+  describe('toBotApiHtml', () => {
+    it('converts bold, italic, strike and code', () => {
+      assert.equal(
+        CaptionFormat.toBotApiHtml('**bold** __italic__ ~~gone~~ `x = 1`'),
+        '<b>bold</b> <i>italic</i> <s>gone</s> <code>x = 1</code>'
+      );
+    });
+
+    it('keeps markers inside code literally', () => {
+      assert.equal(CaptionFormat.toBotApiHtml('`**not bold**`'), '<code>**not bold**</code>');
+    });
+
+    it('escapes HTML', () => {
+      assert.equal(CaptionFormat.toBotApiHtml('<b>"a" & b</b>'), '&lt;b&gt;&quot;a&quot; &amp; b&lt;/b&gt;');
+    });
+
+    it('keeps line breaks as they are', () => {
+      assert.equal(CaptionFormat.toBotApiHtml('one\n**two**'), 'one\n<b>two</b>');
+    });
+
+    it('leaves unclosed markers alone', () => {
+      assert.equal(CaptionFormat.toBotApiHtml('**open and `code'), '**open and `code');
+    });
+  });
+
+  describe('toHtml', () => {
+    it('turns line breaks into <br>', () => {
+      assert.equal(CaptionFormat.toHtml('one\n__two__'), 'one<br><i>two</i>');
+    });
+  });
+
+  describe('toPlainText', () => {
+    it('strips the markers', () => {
+      assert.equal(CaptionFormat.toPlainText('**bold** and `**code**`'), 'bold and **code**');
+    });
+  });
+
+  describe('fillTemplate', () => {
+    it('fills known placeholders and keeps the others as typed', () => {
+      assert.equal(
+        CaptionFormat.fillTemplate('{filename} ({count}) {unknown}', { filename: 'a.jpg', count: 2 }),
+        'a.jpg (2) {unknown}'
+      );
+    });
+
+    it('fills values that are falsy but defined', () => {
+      assert.equal(CaptionFormat.fillTemplate('{count} files', { count: 0 }), '0 files');
+    });
+  });
+
+  describe('validate', () => {
+    it('counts the text without markers', () => {
+      const text = `**${'a'.repeat(CaptionFormat.maxLength)}**`;
+      const result = CaptionFormat.validate(text);
+      assert.equal(result.valid, true);
+      assert.equal(result.length, CaptionFormat.maxLength);
+    });
+
+    it('rejects captions over the limit', () => {
+      const result = CaptionFormat.validate('a'.repeat(CaptionFormat.maxLength + 1));
+      assert.equal(result.valid, false);
+      assert.equal(result.length, CaptionFormat.maxLength + 1);
+    });
+  });
+});
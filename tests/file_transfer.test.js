@@ -0,0 +1,194 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, silentLogger } = require('./load');
+
+/**
+ * Two connected chrome.runtime.Port stand-ins
+ * Messages are copied and delivered asynchronously, and disconnecting one
+ * end only fires onDisconnect on the other, as with real ports
+ */
+function portPair() {
+  const event = () => {
+    const listeners = new Set();
+    return {
+      listeners,
+      addListener: listener => listeners.add(listener),
+      removeListener: listener => listeners.delete(listener)
+    };
+  };
+  const ends = [0, 1].map(() => ({ connected: true, onMessage: event(), onDisconnect: event() }));
+
+  ends.forEach((end, index) => {
+    const other = ends[1 - index];
+    end.postMessage = (message) => {
+      if (!end.connected) {
+        throw new Error('Attempting to use a disconnected port object');
+      }
+      const copy = JSON.parse(JSON.stringify(message));
+      setTimeout(() => other.connected && other.onMessage.listeners.forEach(listener => listener(copy)));
+    };
+    end.disconnect = () => {
+      if (!end.connected) return;
+      end.connected = false;
+      setTimeout(() => {
+        other.connected = false;
+        other.onDisconnect.listeners.forEach(listener => listener());
+      });
+    };
+  });
+
+  return ends;
+}
+
+/**
+ * FileTransfer whose chrome.tabs.connect hands out the sending end of a
+ * fresh port pair; the tab's end is kept in .tab
+ */
+function createTransfer() {
+  const connection = {};
+  const chrome = {
+    runtime: {},
+    tabs: {
+      connect(tabId, { name }) {
+        const [sender, tab] = portPair();
+        Object.assign(connection, { tabId, name, tab });
+        return sender;
+      }
+    }
+  };
+
+  const { FileTransfer } = load(['file_transfer.js'], { chrome, btoa, atob, Logger: silentLogger });
+  // Small chunks so a few bytes make several of them
+  FileTransfer.chunkSize = 4;
+  FileTransfer.ackTimeout = 50;
+
+  return { FileTransfer, connection };
+}
+
+const files = [
+  { blob: new Blob(['hello world']), filename: 'a.txt', mimeType: 'text/plain' },
+  { blob: new Blob(['abc']), filename: 'b.txt', mimeType: 'text/plain' }
+];
+const data = { caption: 'Hi', chat: { id: '1', name: 'Team' }, sendOptions: {} };
+
+const textOf = file => Buffer.concat(file.parts.map(part => Buffer.from(part))).toString();
+
+describe('FileTransfer', () => {
+  let FileTransfer;
+  let connection;
+
+  beforeEach(() => {
+    ({ FileTransfer, connection } = createTransfer());
+  });
+
+  // Starts a transfer and has the tab end receive it with onUpload
+  const transfer = (onUpload, options = {}) => {
+    const sent = FileTransfer.send(7, files, data, options);
+    FileTransfer.receive(connection.tab, onUpload);
+    return sent;
+  };
+
+  it('reassembles the files in the tab and returns its response', async () => {
+    const progress = [];
+    let received = null;
+
+    const response = await transfer(async (tabFiles, tabData) => {
+      received = { files: Array.from(tabFiles, file => ({ ...file, text: textOf(file) })), data: tabData };
+      return { success: true, delivery: 'confirmed' };
+    }, { onProgress: event => progress.push(event.sentBytes) });
+
+    assert.equal(connection.tabId, 7);
+    assert.equal(connection.name, FileTransfer.portName);
+    assert.deepEqual(response, { success: true, delivery: 'confirmed' });
+    assert.deepEqual(received.files.map(file => [file.filename, file.mimeType, file.size, file.text]), [
+      ['a.txt', 'text/plain', 11, 'hello world'],
+      ['b.txt', 'text/plain', 3, 'abc']
+    ]);
+    assert.deepEqual(received.data, data);
+    // One step per acknowledged chunk: 4 + 4 + 3 bytes, then 3
+    assert.deepEqual(progress, [0, 4, 8, 11, 14]);
+  });
+
+  it('passes upload stages back to the sender', async () => {
+    const stages = [];
+
+    await transfer(async (tabFiles, tabData, { onStage }) => {
+      onStage({ stage: 'sent', batch: 1, batches: 2 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return { success: true };
+    }, { onStage: stage => stages.push({ ...stage }) });
+
+    assert.deepEqual(stages, [{ stage: 'sent', batch: 1, batches: 2 }]);
+  });
+
+  it('fails when the tab stops acknowledging chunks', async () => {
+    const sent = FileTransfer.send(7, files, data);
+    const tab = connection.tab;
+    let disconnected = false;
+    tab.onDisconnect.addListener(() => { disconnected = true; });
+
+    await assert.rejects(sent, /did not acknowledge the transfer within 0.05s/);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(disconnected, true);
+  });
+
+  it('fails when the tab closes the port', async () => {
+    const sent = FileTransfer.send(7, files, data);
+    connection.tab.disconnect();
+
+    await assert.rejects(sent, /Telegram tab closed the transfer/);
+  });
+
+  it('stops partway through the transfer when cancelled', async () => {
+    const controller = new AbortController();
+    let uploaded = false;
+
+    const sent = transfer(async () => {
+      uploaded = true;
+      return { success: true };
+    }, {
+      signal: controller.signal,
+      onProgress: ({ sentBytes }) => sentBytes === 8 && controller.abort()
+    });
+
+    await assert.rejects(sent, /Upload cancelled/);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(uploaded, false);
+    assert.equal(connection.tab.connected, false);
+  });
+
+  it('asks the tab to stop an upload cancelled partway and returns its response', async () => {
+    const controller = new AbortController();
+    let tabSignal = null;
+
+    const response = await transfer(async (tabFiles, tabData, { signal, onStage }) => {
+      tabSignal = signal;
+      onStage({ stage: 'preview', batch: 1, batches: 1 });
+      await new Promise(resolve => signal.addEventListener('abort', resolve));
+      return { success: false, cancelled: true, error: 'Upload cancelled' };
+    }, {
+      signal: controller.signal,
+      onStage: () => controller.abort()
+    });
+
+    assert.equal(tabSignal.aborted, true);
+    assert.deepEqual(response, { success: false, cancelled: true, error: 'Upload cancelled' });
+  });
+
+  it('refuses to upload files that did not fully arrive', async () => {
+    const [sender, tab] = portPair();
+    const results = [];
+    sender.onMessage.addListener(message => results.push(message));
+    FileTransfer.receive(tab, async () => ({ success: true }));
+
+    sender.postMessage({ type: 'file', index: 0, filename: 'a.txt', mimeType: 'text/plain', size: 11 });
+    sender.postMessage({ type: 'chunk', index: 0, data: btoa('hell') });
+    sender.postMessage({ type: 'upload', data });
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.deepEqual(results, [
+      { type: 'ack', index: 0, received: 4 },
+      { type: 'result', response: { success: false, error: 'Transfer of a.txt is incomplete' } }
+    ]);
+  });
+});
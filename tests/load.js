@@ -0,0 +1,79 @@
+/**
+ * Test helpers
+ * The extension's scripts are classic scripts sharing one global scope, so
+ * the tests run them in a vm context the same way, with stubs for the
+ * browser APIs and modules they use.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const root = path.join(__dirname, '..');
+
+/**
+ * Runs scripts in a new context, in the given order
+ * @param {string[]} files - Paths relative to the repository root
+ * @param {Object} [globals] - Stubs the scripts expect to find (chrome, Logger, ...)
+ * @returns {Object} The scripts' top-level constants and classes by name
+ *   Arrays and objects they return belong to the sandbox, so copy them out
+ *   (Array.from, spread) before comparing them with deepEqual
+ */
+function load(files, globals = {}) {
+  const context = vm.createContext({ console, setTimeout, clearTimeout, AbortController, Blob, File, ...globals });
+  const names = [];
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(root, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+    names.push(...Array.from(source.matchAll(/^(?:const|class) (\w+)/gm), match => match[1]));
+  }
+
+  // Top-level const and class bindings aren't properties of the context
+  return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+/**
+ * In-memory chrome.storage area
+ * Values are copied in and out, as the real storage does
+ * @returns {Object} The area, with its contents in .items
+ */
+function storageArea() {
+  const copy = value => JSON.parse(JSON.stringify(value));
+
+  return {
+    items: {},
+    QUOTA_BYTES_PER_ITEM: 8192,
+
+    async get(keys) {
+      const wanted = keys == null ? Object.keys(this.items) : [].concat(keys);
+      const result = {};
+      for (const key of wanted) {
+        if (key in this.items) {
+          result[key] = copy(this.items[key]);
+        }
+      }
+      return result;
+    },
+
+    async set(items) {
+      Object.assign(this.items, copy(items));
+    },
+
+    async remove(keys) {
+      for (const key of [].concat(keys)) {
+        delete this.items[key];
+      }
+    }
+  };
+}
+
+// Logger stand-in that keeps quiet
+const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {}
+};
+
+module.exports = { load, storageArea, silentLogger };
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { MediaTypes } = load(['media_types.js']);
+
+// Files only need their type here; the name shows where each one ends up
+const files = (...types) => types.map((type, index) => ({ name: `${index}`, type }));
+const names = batches => Array.from(batches, batch => batch.map(file => file.name).join(','));
+
+describe('MediaTypes', () => {
+  describe('kindOf', () => {
+    it('tells images, GIFs, videos and documents apart', () => {
+      assert.equal(MediaTypes.kindOf('image/jpeg'), 'image');
+      assert.equal(MediaTypes.kindOf('image/gif'), 'gif');
+      assert.equal(MediaTypes.kindOf('video/mp4'), 'video');
+      assert.equal(MediaTypes.kindOf('application/pdf'), 'document');
+      assert.equal(MediaTypes.kindOf('image/svg+xml'), 'document');
+      assert.equal(MediaTypes.kindOf(), 'document');
+    });
+  });
+
+  describe('albumGroup', () => {
+    it('lets photos and videos share albums and keeps documents apart', () => {
+      assert.equal(MediaTypes.albumGroup('image'), 'media');
+      assert.equal(MediaTypes.albumGroup('video'), 'media');
+      assert.equal(MediaTypes.albumGroup('document'), 'document');
+    });
+
+    it('sends GIFs one by one', () => {
+      assert.equal(MediaTypes.albumGroup('gif'), null);
+    });
+  });
+  describe('splitIntoBatches', () => {
+    it('puts photos and videos in one album', () => {
+      const batches = MediaTypes.splitIntoBatches(files('image/jpeg', 'video/mp4', 'image/png'), 10);
+      assert.deepEqual(names(batches), ['0,1,2']);
+    });
+
+    it('starts a new album when it is full', () => {
+      const batches = MediaTypes.splitIntoBatches(files(...new Array(12).fill('image/jpeg')), 10);
+      assert.deepEqual(names(batches), ['0,1,2,3,4,5,6,7,8,9', '10,11']);
+    });
+
+    it('groups documents separately, keeping the order', () => {
+      const batches = MediaTypes.splitIntoBatches(
+        files('image/jpeg', 'application/pdf', 'text/plain', 'image/png'),
+        10
+      );
+      assert.deepEqual(names(batches), ['0', '1,2', '3']);
+    });
+
+    it('sends each GIF on its own', () => {
+      const batches = MediaTypes.splitIntoBatches(files('image/gif', 'image/gif', 'image/jpeg'), 10);
+      assert.deepEqual(names(batches), ['0', '1', '2']);
+    });
+
+    it('returns no batches for no files', () => {
+      assert.equal(MediaTypes.splitIntoBatches([], 10).length, 0);
+    });
+  });
+
+  describe('batchKind', () => {
+    it('names how a batch is sent', () => {
+      assert.equal(MediaTypes.batchKind(files('image/jpeg', 'video/mp4')), 'media');
+      assert.equal(MediaTypes.batchKind(files('application/pdf')), 'document');
+      assert.equal(MediaTypes.batchKind(files('image/gif')), 'gif');
+    });
+  });
+});
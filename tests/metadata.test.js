@@ -0,0 +1,187 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, silentLogger } = require('./load');
+
+const { ImageMetadata } = load(['metadata.js'], { Logger: silentLogger });
+
+// Builders for small images holding nothing but the structures under test
+
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+const u16 = value => [value >> 8, value & 0xff];
+const u32 = value => [value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+const u32le = value => u32(value).reverse();
+
+/**
+ * One big-endian IFD placed at offset in the TIFF block, followed by the
+ * values that don't fit in their entries
+ * @param {Array<{tag: number, type: string, value: *}>} entries
+ */
+function ifd(entries, offset) {
+  const types = { ascii: 2, short: 3, long: 4, rational: 5 };
+  const encode = {
+    ascii: value => [...ascii(value), 0],
+    short: value => u16(value),
+    long: value => u32(value),
+    rational: value => value.flatMap(([numerator, denominator]) => [...u32(numerator), ...u32(denominator)])
+  };
+  const count = ({ type, value }) => (type === 'ascii' ? value.length + 1 : type === 'rational' ? value.length : 1);
+
+  const table = [...u16(entries.length)];
+  const values = [];
+  const valuesAt = offset + 2 + entries.length * 12 + 4;
+
+  for (const entry of entries) {
+    const bytes = encode[entry.type](entry.value);
+    table.push(...u16(entry.tag), ...u16(types[entry.type]), ...u32(count(entry)));
+    if (bytes.length <= 4) {
+      table.push(...bytes, ...new Array(4 - bytes.length).fill(0));
+    } else {
+      table.push(...u32(valuesAt + values.length));
+      values.push(...bytes);
+    }
+  }
+
+  return [...table, ...u32(0), ...values];
+}
+
+/**
+ * EXIF block with camera, orientation and a GPS position in Paris
+ */
+function exif({ orientation }) {
+  const gps = [
+    { tag: 0x0001, type: 'ascii', value: 'N' },
+    { tag: 0x0002, type: 'rational', value: [[48, 1], [51, 1], [3000, 100]] },
+    { tag: 0x0003, type: 'ascii', value: 'E' },
+    { tag: 0x0004, type: 'rational', value: [[2, 1], [17, 1], [2400, 100]] }
+  ];
+  const ifd0 = gpsAt => ifd([
+    { tag: 0x010f, type: 'ascii', value: 'Canon' },
+    { tag: 0x0110, type: 'ascii', value: 'EOS 5D' },
+    { tag: 0x0112, type: 'short', value: orientation },
+    { tag: 0x8825, type: 'long', value: gpsAt }
+  ], 8);
+
+  const gpsAt = 8 + ifd0(0).length;
+  return [...ascii('MM'), ...u16(42), ...u32(8), ...ifd0(gpsAt), ...ifd(gps, gpsAt)];
+}
+
+const jpegSegment = (marker, payload) => [0xff, marker, ...u16(payload.length + 2), ...payload];
+const jpegScan = [0xff, 0xda, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3f, 0x00, 0x12, 0x34, 0x56, 0xff, 0xd9];
+
+function jpeg({ orientation = 6 } = {}) {
+  return new Uint8Array([
+    0xff, 0xd8,
+    ...jpegSegment(0xe0, [...ascii('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]),
+    ...jpegSegment(0xe1, [...ascii('Exif\0\0'), ...exif({ orientation })]),
+    ...jpegSegment(0xe1, ascii('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>')),
+    ...jpegSegment(0xe2, ascii('ICC_PROFILE\0profile')),
+    ...jpegSegment(0xfe, ascii('Holiday')),
+    ...jpegSegment(0xdb, new Array(65).fill(1)),
+    ...jpegScan
+  ]);
+}
+
+// CRCs are left at 0; nothing here checks them
+const pngChunk = (type, data) => [...u32(data.length), ...ascii(type), ...data, 0, 0, 0, 0];
+
+function png() {
+  return new Uint8Array([
+    0x89, ...ascii('PNG\r\n'), 0x1a, 0x0a,
+    ...pngChunk('IHDR', [...u32(1), ...u32(1), 8, 2, 0, 0, 0]),
+    ...pngChunk('eXIf', exif({ orientation: 1 })),
+    ...pngChunk('tEXt', ascii('Author\0Someone')),
+    ...pngChunk('tIME', [...u16(2024), 5, 17, 10, 30, 0]),
+    ...pngChunk('IDAT', [1, 2, 3]),
+    ...pngChunk('IEND', [])
+  ]);
+}
+
+const webpChunk = (type, data) => [...ascii(type), ...u32le(data.length), ...data, ...(data.length % 2 ? [0] : [])];
+
+function webp() {
+  const chunks = [
+    ...webpChunk('VP8X', [0x08 | 0x04, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    ...webpChunk('VP8 ', [1, 2, 3]),
+    ...webpChunk('EXIF', exif({ orientation: 1 })),
+    ...webpChunk('XMP ', ascii('<x:xmpmeta/>'))
+  ];
+  return new Uint8Array([...ascii('RIFF'), ...u32le(4 + chunks.length), ...ascii('WEBP'), ...chunks]);
+}
+
+const file = (bytes, type) => new File([bytes], 'photo', { type, lastModified: 1000 });
+const bytesOf = async blob => new Uint8Array(await blob.arrayBuffer());
+const contains = (bytes, text) => Buffer.from(bytes).includes(text);
+
+describe('ImageMetadata', () => {
+  describe('read', () => {
+    it('reports the camera, position, orientation and other metadata of a JPEG', async () => {
+      const report = await ImageMetadata.read(file(jpeg(), 'image/jpeg'));
+
+      assert.equal(report.hasMetadata, true);
+      assert.equal(report.device.make, 'Canon');
+      assert.equal(report.device.model, 'EOS 5D');
+      assert.equal(report.orientation, 6);
+      assert.ok(Math.abs(report.location.latitude - 48.8583) < 0.001);
+      assert.ok(Math.abs(report.location.longitude - 2.29) < 0.001);
+      assert.deepEqual([...report.other], ['XMP', 'Comment']);
+    });
+
+    it('reports EXIF, text and time chunks of a PNG', async () => {
+      const report = await ImageMetadata.read(file(png(), 'image/png'));
+
+      assert.equal(report.device.make, 'Canon');
+      assert.equal(report.timestamps.modified, '2024-05-17 10:30:00');
+      assert.deepEqual([...report.other], ['Author']);
+    });
+
+    it('returns null for formats it does not read', async () => {
+      assert.equal(await ImageMetadata.read(file(new Uint8Array([1]), 'image/gif')), null);
+    });
+  });
+
+  describe('strip', () => {
+    it('removes EXIF, XMP and comments from a JPEG but keeps its orientation', async () => {
+      const stripped = await ImageMetadata.strip(file(jpeg(), 'image/jpeg'));
+      const bytes = await bytesOf(stripped);
+      const report = await ImageMetadata.read(stripped);
+
+      assert.equal(stripped.name, 'photo');
+      assert.equal(stripped.type, 'image/jpeg');
+      assert.equal(report.hasMetadata, false);
+      assert.equal(report.orientation, 6);
+      assert.equal(contains(bytes, 'Canon'), false);
+      assert.equal(contains(bytes, 'Holiday'), false);
+      assert.equal(contains(bytes, 'ICC_PROFILE'), true);
+      // JFIF header first, then the orientation
+      assert.deepEqual([...bytes.subarray(2, 4)], [0xff, 0xe0]);
+      assert.deepEqual([...bytes.subarray(20, 22)], [0xff, 0xe1]);
+      assert.deepEqual([...bytes.subarray(bytes.length - jpegScan.length)], jpegScan);
+    });
+
+    it('adds no orientation to a JPEG that is the right way up', async () => {
+      const bytes = await bytesOf(await ImageMetadata.strip(file(jpeg({ orientation: 1 }), 'image/jpeg')));
+      assert.equal(contains(bytes, 'Exif'), false);
+    });
+
+    it('removes EXIF, text and time chunks from a PNG', async () => {
+      const bytes = await bytesOf(await ImageMetadata.strip(file(png(), 'image/png')));
+      const types = Array.from(ImageMetadata.pngChunks(bytes), chunk => chunk.type);
+
+      assert.deepEqual(types, ['IHDR', 'IDAT', 'IEND']);
+    });
+
+    it('removes EXIF and XMP from a WebP and clears their flags', async () => {
+      const bytes = await bytesOf(await ImageMetadata.strip(file(webp(), 'image/webp')));
+      const chunks = ImageMetadata.webpChunks(bytes);
+
+      assert.deepEqual(Array.from(chunks, chunk => chunk.type), ['VP8X', 'VP8 ']);
+      assert.equal(bytes[chunks[0].start + 8] & (0x08 | 0x04), 0);
+      assert.equal(new DataView(bytes.buffer).getUint32(4, true), bytes.length - 8);
+    });
+
+    it('returns other formats unchanged', async () => {
+      const gif = file(new Uint8Array([1, 2, 3]), 'image/gif');
+      assert.equal(await ImageMetadata.strip(gif), gif);
+    });
+  });
+});
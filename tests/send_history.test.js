@@ -0,0 +1,167 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, storageArea, silentLogger } = require('./load');
+
+const MB = 1024 * 1024;
+
+/**
+ * SendHistory with stubbed storage, files and settings
+ * Thumbnails need a canvas, so images are kept out of the jobs here
+ */
+function createHistory() {
+  const local = storageArea();
+  const files = new Map();
+  const settings = { historyThumbnailBudget: MB, historyFileBudget: 200 * MB };
+  const enqueued = [];
+  let nextId = 1;
+
+  const { SendHistory } = load(['media_types.js', 'send_history.js'], {
+    chrome: { storage: { local } },
+    Logger: silentLogger,
+    Settings: { async get() { return { ...settings }; } },
+    FileStore: {
+      async put(blob) {
+        const id = `file-${Date.now()}-${nextId++}`;
+        files.set(id, blob);
+        return id;
+      },
+      async get(id) { return files.get(id) || null; },
+      async delete(id) { files.delete(id); }
+    },
+    UploadQueue: { async enqueue(request) { enqueued.push(request); return { id: 'job-new' }; } }
+  });
+
+  return { SendHistory, files, settings, enqueued };
+}
+
+/**
+ * A finished job whose files are in the stubbed FileStore
+ * @param {number[]} sizes - Bytes of each file
+ */
+function finishedJob(files, sizes) {
+  const jobFiles = sizes.map((size, index) => {
+    const fileId = `queued-${files.size}-${index}`;
+    files.set(fileId, new Blob(['x']));
+    return { fileId, filename: `report-${index}.pdf`, mimeType: 'application/pdf', size };
+  });
+
+  return { id: `job-${files.size}`, files: jobFiles, caption: '', chat: null, sendOptions: { asFile: true } };
+}
+
+// History entry holding only what trim() looks at
+const entry = (fileSizes, thumbnail = null) => ({
+  thumbnail,
+  files: fileSizes.map((size, index) => ({ fileId: `file-${index}-${size}`, size }))
+});
+
+describe('SendHistory', () => {
+  let SendHistory;
+  let files;
+  let settings;
+  let enqueued;
+
+  beforeEach(() => {
+    ({ SendHistory, files, settings, enqueued } = createHistory());
+  });
+
+  describe('trim', () => {
+    const budgets = { historyThumbnailBudget: 10, historyFileBudget: 100 };
+
+    it('keeps at most maxEntries and returns the rest for deletion', () => {
+      const entries = Array.from({ length: SendHistory.config.maxEntries + 2 }, () => entry([]));
+
+      const dropped = SendHistory.trim(entries, budgets);
+      assert.equal(entries.length, SendHistory.config.maxEntries);
+      assert.equal(dropped.length, 2);
+    });
+
+    it('takes thumbnails from the oldest entries first', () => {
+      const entries = [entry([], 'aaaaaa'), entry([], 'bbbb'), entry([], 'cc')];
+
+      SendHistory.trim(entries, budgets);
+      assert.deepEqual(entries.map(item => item.thumbnail), ['aaaaaa', 'bbbb', null]);
+    });
+
+    it('takes files from the oldest entries first', () => {
+      const entries = [entry([40]), entry([30, 20]), entry([50])];
+
+      const dropped = SendHistory.trim(entries, budgets);
+      assert.deepEqual(entries.map(item => item.files.every(file => file.fileId)), [true, true, false]);
+      assert.deepEqual(Array.from(dropped[0].files, file => file.fileId), ['file-0-50']);
+    });
+
+    it('drops every file copy when the file budget is off', () => {
+      const entries = [entry([1]), entry([2])];
+
+      const dropped = SendHistory.trim(entries, { ...budgets, historyFileBudget: 0 });
+      assert.equal(entries.some(item => item.files.some(file => file.fileId)), false);
+      assert.equal(dropped.length, 2);
+    });
+  });
+
+  describe('record', () => {
+    it('copies the files of a send within the file budget', async () => {
+      const recorded = await SendHistory.record(finishedJob(files, [MB]), { result: { delivery: 'confirmed' }, duration: 10 });
+
+      assert.equal(recorded.outcome, 'confirmed');
+      assert.ok(files.has(recorded.files[0].fileId));
+    });
+
+    it('keeps no copies of a send larger than the file budget', async () => {
+      const recorded = await SendHistory.record(finishedJob(files, [150 * MB, 60 * MB]), { result: { delivery: 'confirmed' }, duration: 10 });
+
+      assert.deepEqual(Array.from(recorded.files, file => file.fileId), [null, null]);
+    });
+
+    it('keeps no copies when the file budget is off', async () => {
+      settings.historyFileBudget = 0;
+      const recorded = await SendHistory.record(finishedJob(files, [MB]), { error: 'Timed out', duration: 10 });
+
+      assert.equal(recorded.outcome, 'failed');
+      assert.equal(recorded.files[0].fileId, null);
+    });
+
+    it('deletes the oldest copies once the budget is used up', async () => {
+      const first = await SendHistory.record(finishedJob(files, [120 * MB]), { result: { delivery: 'confirmed' }, duration: 10 });
+      const second = await SendHistory.record(finishedJob(files, [100 * MB]), { result: { delivery: 'confirmed' }, duration: 10 });
+
+      assert.equal(files.has(first.files[0].fileId), false);
+      assert.equal(files.has(second.files[0].fileId), true);
+      const [newest, oldest] = await SendHistory.load();
+      assert.equal(newest.files[0].fileId, second.files[0].fileId);
+      assert.equal(oldest.files[0].fileId, null);
+    });
+  });
+
+  describe('applyBudget', () => {
+    it('deletes the copies when the file budget is turned off', async () => {
+      const recorded = await SendHistory.record(finishedJob(files, [MB]), { result: { delivery: 'confirmed' }, duration: 10 });
+
+      settings.historyFileBudget = 0;
+      await SendHistory.applyBudget();
+
+      assert.equal(files.has(recorded.files[0].fileId), false);
+      assert.equal((await SendHistory.load())[0].files[0].fileId, null);
+    });
+  });
+
+  describe('resend', () => {
+    it('queues copies of the kept files', async () => {
+      const recorded = await SendHistory.record(finishedJob(files, [MB]), { result: { delivery: 'confirmed' }, duration: 10 });
+
+      await SendHistory.resend(recorded.id, { chat: { id: '42', name: 'Team' } });
+      const [request] = enqueued;
+      assert.equal(request.chat.id, '42');
+      assert.notEqual(request.files[0].fileId, recorded.files[0].fileId);
+      assert.ok(files.has(request.files[0].fileId));
+    });
+
+    it('refuses an entry whose files are gone', async () => {
+      settings.historyFileBudget = 0;
+      const recorded = await SendHistory.record(finishedJob(files, [MB]), { result: { delivery: 'confirmed' }, duration: 10 });
+
+      await assert.rejects(SendHistory.resend(recorded.id, { chat: null }), /no longer kept for resending/);
+      assert.equal(enqueued.length, 0);
+    });
+  });
+});
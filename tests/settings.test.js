@@ -0,0 +1,193 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, storageArea, silentLogger } = require('./load');
+
+/**
+ * Settings with empty storage, and the layout profiles that selector
+ * overrides are checked against
+ */
+function createSettings() {
+  const sync = storageArea();
+  const local = storageArea();
+
+  const { Settings } = load(['settings.js', 'telegram_profiles.js'], {
+    chrome: { storage: { sync, local, onChanged: { addListener() {} } } },
+    Logger: silentLogger
+  });
+
+  return { Settings, sync, local };
+}
+
+const MB = 1024 * 1024;
+
+describe('Settings', () => {
+  let Settings;
+  let sync;
+  let local;
+
+  beforeEach(() => {
+    ({ Settings, sync, local } = createSettings());
+  });
+
+  // Setting paths of the problems found
+  const problems = changes => Array.from(Settings.validate(changes), problem => problem.setting);
+
+  describe('validate', () => {
+    it('accepts the defaults', () => {
+      assert.deepEqual(problems({ ...Settings.defaults, ...Settings.secretDefaults }), []);
+    });
+
+    it('rejects unknown settings', () => {
+      assert.deepEqual(problems({ theme: 'dark' }), ['theme']);
+    });
+
+    it('only accepts the listed choices', () => {
+      assert.deepEqual(problems({ logLevel: 'debug', defaultSendMode: 'photo' }), []);
+      assert.deepEqual(problems({ logLevel: 'verbose' }), ['logLevel']);
+      assert.deepEqual(problems({ defaultSendMode: 'video' }), ['defaultSendMode']);
+    });
+
+    it('requires timeouts above 0 for known steps', () => {
+      assert.deepEqual(problems({ timeouts: { preview: 10000 } }), []);
+      assert.deepEqual(problems({ timeouts: { preview: 0, sendButton: -5, caption: '2000' } }), [
+        'timeouts.preview', 'timeouts.sendButton', 'timeouts.caption'
+      ]);
+      assert.deepEqual(problems({ timeouts: { teleport: 1000 } }), ['timeouts.teleport']);
+      assert.deepEqual(problems({ timeouts: [] }), ['timeouts']);
+    });
+
+    it('keeps the file size limit between 1 and 2048 MB', () => {
+      assert.deepEqual(problems({ maxFileSize: MB }), []);
+      assert.deepEqual(problems({ maxFileSize: 2048 * MB }), []);
+      assert.deepEqual(problems({ maxFileSize: MB - 1 }), ['maxFileSize']);
+      assert.deepEqual(problems({ maxFileSize: 2048 * MB + 1 }), ['maxFileSize']);
+      assert.deepEqual(problems({ maxFileSize: NaN }), ['maxFileSize']);
+    });
+
+    it('needs an ID and a name for each bot chat', () => {
+      const chats = [
+        { chatId: '-1001234567890', name: 'Releases' },
+        { chatId: '@channel_name', name: 'Channel' },
+        { chatId: 'not an id', name: 'Broken' },
+        { chatId: '123', name: '  ' },
+        'chat'
+      ];
+      assert.deepEqual(problems({ botChats: chats }), ['botChats.2', 'botChats.3', 'botChats.4']);
+      assert.deepEqual(problems({ botChats: {} }), ['botChats']);
+    });
+
+    it('checks selector overrides against the layout profiles', () => {
+      const check = overrides => Settings.validate({ selectorOverrides: overrides });
+
+      assert.equal(check({ K: { sendButton: '.popup-new-media .btn-primary' } }).length, 0);
+      assert.match(check({ Z: {} })[0].message, /unknown layout "Z"/);
+      assert.match(check({ K: { launchButton: '.btn' } })[0].message, /unknown selector "launchButton"/);
+      assert.match(check({ K: { sendButton: ['.btn'] } })[0].message, /K\.sendButton/);
+      assert.match(check({ K: { sendButton: ' ' } })[0].message, /K\.sendButton/);
+      assert.match(check({ K: '.btn' })[0].message, /K: expected an object/);
+    });
+  });
+
+  describe('set', () => {
+    it('stores each synced setting as its own item and the token locally', async () => {
+      const settings = await Settings.set({ logLevel: 'debug', botToken: '123:abc' });
+
+      assert.equal(settings.logLevel, 'debug');
+      assert.equal(settings.botToken, '123:abc');
+      assert.deepEqual(Object.keys(sync.items), ['settings.logLevel']);
+      assert.equal(local.items.secrets.botToken, '123:abc');
+    });
+
+    it('rejects an invalid value and stores nothing', async () => {
+      await assert.rejects(Settings.set({ logLevel: 'debug', broadcastPause: -1 }), error => {
+        assert.match(error.message, /broadcastPause/);
+        assert.deepEqual(Array.from(error.problems, problem => problem.setting), ['broadcastPause']);
+        return true;
+      });
+      assert.deepEqual(sync.items, {});
+    });
+
+    it('keeps both of two changes made at once', async () => {
+      await Promise.all([Settings.set({ broadcastPause: 9 }), Settings.set({ captionTemplate: '{filename}' })]);
+
+      const settings = await Settings.get();
+      assert.equal(settings.broadcastPause, 9);
+      assert.equal(settings.captionTemplate, '{filename}');
+    });
+
+    it('rejects a value too large to sync', async () => {
+      await assert.rejects(Settings.set({ captionTemplate: 'a'.repeat(9000) }), /captionTemplate is too large to sync/);
+    });
+
+    it('moves settings stored as one item into their own items', async () => {
+      sync.items.settings = { logLevel: 'error', broadcastPause: 3 };
+
+      assert.equal((await Settings.get()).logLevel, 'error');
+      await Settings.set({ broadcastPause: 7 });
+
+      assert.equal(sync.items.settings, undefined);
+      assert.equal(sync.items['settings.logLevel'], 'error');
+      assert.equal(sync.items['settings.broadcastPause'], 7);
+    });
+  });
+
+  describe('reset', () => {
+    it('restores the defaults but keeps the token', async () => {
+      await Settings.set({ broadcastPause: 9, botToken: '123:abc' });
+      const settings = await Settings.reset();
+
+      assert.equal(settings.broadcastPause, Settings.defaults.broadcastPause);
+      assert.equal(settings.botToken, '123:abc');
+    });
+  });
+
+  describe('import', () => {
+    it('stores the known settings and ignores the rest', async () => {
+      const settings = await Settings.import(JSON.stringify({
+        logLevel: 'info',
+        timeouts: { preview: 8000 },
+        theme: 'dark'
+      }));
+
+      assert.equal(settings.logLevel, 'info');
+      assert.equal(settings.timeouts.preview, 8000);
+      // Timeouts missing from the file keep their defaults
+      assert.equal(settings.timeouts.sendButton, Settings.defaults.timeouts.sendButton);
+      assert.equal(sync.items.theme, undefined);
+      assert.equal(sync.items['settings.theme'], undefined);
+    });
+
+    it('changes nothing when a value is invalid', async () => {
+      const json = JSON.stringify({ logLevel: 'info', maxFileSize: 4096 * MB });
+
+      await assert.rejects(Settings.import(json), /Invalid value for maxFileSize/);
+      assert.deepEqual(sync.items, {});
+    });
+
+    it('checks selector overrides and bot chats', async () => {
+      await assert.rejects(Settings.import(JSON.stringify({ selectorOverrides: { K: { sendButton: 42 } } })), /K\.sendButton/);
+      await assert.rejects(Settings.import(JSON.stringify({ botChats: [{ chatId: 'x' }] })), /botChats\.0/);
+    });
+
+    it('rejects files that are not settings', async () => {
+      await assert.rejects(Settings.import('[1, 2]'), /Not a settings file/);
+      await assert.rejects(Settings.import('{'), { name: 'SyntaxError' });
+    });
+
+    it('never imports the bot token', async () => {
+      await Settings.set({ botToken: '123:abc' });
+      await Settings.import(JSON.stringify({ botToken: '999:other', logLevel: 'error' }));
+
+      assert.equal((await Settings.get()).botToken, '123:abc');
+    });
+
+    it('reads what export wrote', async () => {
+      await Settings.set({ broadcastPause: 12, botToken: '123:abc' });
+      const exported = await Settings.export();
+      assert.equal(JSON.parse(exported).botToken, undefined);
+
+      const { Settings: other } = createSettings();
+      assert.equal((await other.import(exported)).broadcastPause, 12);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { load } = require('./load');
+
+// Only what decode() reads back
+class ImageData {
+  constructor(data, width, height) {
+    Object.assign(this, { data, width, height });
+  }
+}
+
+const { TiffDecoder } = load(['tiff_decoder.js'], { ImageData, DecompressionStream, Response });
+
+// Builders for small TIFFs: the stored strips or tiles first, then one IFD
+
+/**
+ * @param {Object} image
+ * @param {Array<number[]>} image.blocks - Strips top to bottom, or tiles row by row, as stored
+ * @param {{width: number, height: number}} [image.tile] - Tile size; strips when left out
+ * @param {boolean} [image.little] - Intel (II) byte order rather than Motorola (MM)
+ * @returns {ArrayBuffer}
+ */
+function tiff({ width, height, bits = 8, samples = 1, photometric = 1, compression = 1, predictor = 1, colorMap, tile, blocks, little = true }) {
+  const u16 = value => (little ? [value & 0xff, value >> 8] : [value >> 8, value & 0xff]);
+  const u32 = value => {
+    const bytes = [value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+    return little ? bytes.reverse() : bytes;
+  };
+
+  const offsets = [];
+  let end = 8;
+  for (const block of blocks) {
+    offsets.push(end);
+    end += block.length;
+  }
+  const padding = end % 2;
+  const ifdAt = end + padding;
+  const byteCounts = blocks.map(block => block.length);
+
+  // [tag, type (3 = short, 4 = long), values]
+  const fields = [
+    [256, 4, [width]],
+    [257, 4, [height]],
+    [258, 3, new Array(samples).fill(bits)],
+    [259, 3, [compression]],
+    [262, 3, [photometric]],
+    [277, 3, [samples]],
+    [317, 3, [predictor]],
+    ...(colorMap ? [[320, 3, colorMap]] : []),
+    ...(tile
+      ? [[322, 3, [tile.width]], [323, 3, [tile.height]], [324, 4, offsets], [325, 4, byteCounts]]
+      : [[273, 4, offsets], [278, 4, [Math.ceil(height / blocks.length)]], [279, 4, byteCounts]])
+  ].sort((a, b) => a[0] - b[0]);
+
+  const table = [...u16(fields.length)];
+  const values = [];
+  const valuesAt = ifdAt + 2 + fields.length * 12 + 4;
+
+  for (const [tag, type, list] of fields) {
+    const bytes = list.flatMap(type === 3 ? u16 : u32);
+    table.push(...u16(tag), ...u16(type), ...u32(list.length));
+    if (bytes.length <= 4) {
+      table.push(...bytes, ...new Array(4 - bytes.length).fill(0));
+    } else {
+      table.push(...u32(valuesAt + values.length));
+      values.push(...bytes);
+    }
+  }
+
+  return new Uint8Array([
+    ...(little ? [0x49, 0x49] : [0x4d, 0x4d]), ...u16(42), ...u32(ifdAt),
+    ...blocks.flat(), ...new Array(padding).fill(0),
+    ...table, ...u32(0), ...values
+  ]).buffer;
+}
+
+/**
+ * TIFF LZW as libtiff writes it: MSB-first codes starting at 9 bits, one
+ * bit wider once the next table entry no longer fits. The reader adds each
+ * entry a code later than the writer, so it has to widen one entry early.
+ * Short inputs only, as it never writes a clear code after the first
+ * @returns {{bytes: number[], codes: number}}
+ */
+function lzw(input) {
+  const bytes = [];
+  const table = new Map();
+  let nextCode = 258;
+  let width = 9;
+  let buffer = 0;
+  let bufferBits = 0;
+  let codes = 0;
+
+  const write = (code) => {
+    buffer = (buffer << width) | code;
+    bufferBits += width;
+    while (bufferBits >= 8) {
+      bytes.push((buffer >> (bufferBits - 8)) & 0xff);
+      bufferBits -= 8;
+    }
+    buffer &= (1 << bufferBits) - 1;
+    codes++;
+  };
+  const codeOf = sequence => (sequence.length === 1 ? sequence.charCodeAt(0) : table.get(sequence));
+
+  write(256);
+  let sequence = '';
+  for (const byte of input) {
+    const next = sequence + String.fromCharCode(byte);
+    if (next.length === 1 || table.has(next)) {
+      sequence = next;
+      continue;
+    }
+    write(codeOf(sequence));
+    table.set(next, nextCode++);
+    if (nextCode === 1 << width) {
+      width++;
+    }
+    sequence = String.fromCharCode(byte);
+  }
+  write(codeOf(sequence));
+  write(257);
+
+  if (bufferBits > 0) {
+    bytes.push((buffer << (8 - bufferBits)) & 0xff);
+  }
+  return { bytes, codes };
+}
+
+// Decoded pixels as [red, green, blue, alpha]
+const pixels = image => Array.from({ length: image.width * image.height }, (_, index) =>
+  Array.from(image.data.subarray(index * 4, index * 4 + 4)));
+const greys = image => pixels(image).map(([red]) => red);
+
+describe('TiffDecoder', () => {
+  describe('compression', () => {
+    it('reads uncompressed RGB strips', async () => {
+      const image = await TiffDecoder.decode(tiff({
+        width: 2,
+        height: 2,
+        samples: 3,
+        photometric: 2,
+        blocks: [[255, 0, 0, 0, 255, 0], [0, 0, 255, 10, 20, 30]]
+      }));
+
+      assert.equal(image.width, 2);
+      assert.deepEqual(pixels(image), [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255], [10, 20, 30, 255]]);
+    });
+
+    it('reads LZW once its codes have grown past 9 bits', async () => {
+      const input = Array.from({ length: 2000 }, (_, index) => (index * index) % 251);
+      const { bytes, codes } = lzw(input);
+      // Far enough for the table to reach 511 entries and the 10-bit codes to follow
+      assert.ok(codes > 600);
+
+      const image = await TiffDecoder.decode(tiff({ width: 50, height: 40, compression: 5, blocks: [bytes] }));
+      assert.deepEqual(greys(image), input);
+    });
+
+    it('reads PackBits and skips its -128 no-op', async () => {
+      const stored = [
+        0x02, 10, 20, 30, // 3 literal bytes
+        0x80, // no-op
+        0xfe, 40, // 40 three times
+        0x80,
+        0x00, 50
+      ];
+
+      const image = await TiffDecoder.decode(tiff({ width: 7, height: 1, compression: 32773, blocks: [stored] }));
+      assert.deepEqual(greys(image), [10, 20, 30, 40, 40, 40, 50]);
+    });
+
+    it('reads Deflate', async () => {
+      const input = [0, 64, 128, 192, 255, 1];
+      const stored = Array.from(zlib.deflateSync(Buffer.from(input)));
+
+      const image = await TiffDecoder.decode(tiff({ width: 3, height: 2, compression: 8, blocks: [stored] }));
+      assert.deepEqual(greys(image), input);
+    });
+
+    it('rejects compressions it does not support', async () => {
+      await assert.rejects(TiffDecoder.decode(tiff({ width: 1, height: 1, compression: 7, blocks: [[0]] })), /Unsupported TIFF compression 7/);
+    });
+  });
+
+  describe('predictor', () => {
+    // 16-bit greys 65280, 4096, 32768 stored as differences from the sample to their left
+    const differences = [65280, (4096 - 65280) & 0xffff, 32768 - 4096];
+
+    for (const little of [true, false]) {
+      it(`adds up 16-bit differences in ${little ? 'Intel' : 'Motorola'} byte order`, async () => {
+        const stored = differences.flatMap(value => (little ? [value & 0xff, value >> 8] : [value >> 8, value & 0xff]));
+
+        const image = await TiffDecoder.decode(tiff({ width: 3, height: 1, bits: 16, predictor: 2, little, blocks: [stored] }));
+        assert.deepEqual(greys(image), [254, 16, 128]);
+      });
+    }
+
+    it('adds up 8-bit differences per sample', async () => {
+      const image = await TiffDecoder.decode(tiff({
+        width: 2,
+        height: 1,
+        samples: 3,
+        photometric: 2,
+        predictor: 2,
+        blocks: [[100, 50, 200, 10, 256 - 20, 55]]
+      }));
+
+      assert.deepEqual(pixels(image), [[100, 50, 200, 255], [110, 30, 255, 255]]);
+    });
+  });
+
+  describe('colour models', () => {
+    it('reads 1-bit WhiteIsZero', async () => {
+      const image = await TiffDecoder.decode(tiff({ width: 3, height: 1, bits: 1, photometric: 0, blocks: [[0b10100000]] }));
+      assert.deepEqual(greys(image), [0, 255, 0]);
+    });
+
+    it('looks up palette indexes in the colour map', async () => {
+      // Four 16-bit entries per channel: all reds, then greens, then blues
+      const colorMap = [
+        0x0000, 0xffff, 0x0000, 0x8000,
+        0x0000, 0x0000, 0xffff, 0x8000,
+        0x0000, 0x0000, 0x0000, 0xffff
+      ];
+
+      const image = await TiffDecoder.decode(tiff({ width: 4, height: 1, bits: 2, photometric: 3, colorMap, blocks: [[0b00011011]] }));
+      assert.deepEqual(pixels(image), [[0, 0, 0, 255], [255, 0, 0, 255], [0, 255, 0, 255], [128, 128, 255, 255]]);
+    });
+
+    it('refuses a palette image without a colour map', async () => {
+      await assert.rejects(TiffDecoder.decode(tiff({ width: 1, height: 1, photometric: 3, blocks: [[0]] })), /no colour map/);
+    });
+
+    it('converts CMYK to RGB', async () => {
+      const image = await TiffDecoder.decode(tiff({
+        width: 3,
+        height: 1,
+        samples: 4,
+        photometric: 5,
+        blocks: [[0, 0, 0, 0, 255, 0, 255, 0, 0, 0, 0, 255]]
+      }));
+
+      assert.deepEqual(pixels(image), [[255, 255, 255, 255], [0, 255, 0, 255], [0, 0, 0, 255]]);
+    });
+
+    it('keeps the alpha of RGBA', async () => {
+      const image = await TiffDecoder.decode(tiff({ width: 1, height: 1, samples: 4, photometric: 2, blocks: [[1, 2, 3, 4]] }));
+      assert.deepEqual(pixels(image), [[1, 2, 3, 4]]);
+    });
+  });
+
+  describe('tiles', () => {
+    it('crops the tiles that run past the right and bottom edges', async () => {
+      // 3x3 image in 2x2 tiles; 99 marks padding outside the image
+      const image = await TiffDecoder.decode(tiff({
+        width: 3,
+        height: 3,
+        tile: { width: 2, height: 2 },
+        blocks: [
+          [1, 2, 4, 5],
+          [3, 99, 6, 99],
+          [7, 8, 99, 99],
+          [9, 99, 99, 99]
+        ]
+      }));
+
+      assert.deepEqual(greys(image), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    });
+  });
+
+  it('rejects files that are not TIFFs', async () => {
+    await assert.rejects(TiffDecoder.decode(new Uint8Array([0x49, 0x49, 0, 0, 0, 0, 0, 0]).buffer), /Not a TIFF file/);
+  });
+});
@@ -0,0 +1,238 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, storageArea, silentLogger } = require('./load');
+
+/**
+ * A fresh queue with stubbed storage, files and history
+ * process() is turned off so jobs stay where the test puts them
+ */
+function createQueue() {
+  const local = storageArea();
+  const files = new Map();
+
+  const { UploadQueue } = load(['upload_queue.js'], {
+    chrome: {
+      storage: { local },
+      alarms: { async clear() {}, create() {} }
+    },
+    Logger: silentLogger,
+    Settings: { async get() { return { autoClearDelay: 0, broadcastPause: 0 }; } },
+    SendHistory: { async load() { return []; }, async record() {} },
+    FileStore: {
+      async get(id) { return files.get(id) || null; },
+      async delete(id) { files.delete(id); },
+      async keys() { return [...files.keys()]; }
+    }
+  });
+
+  UploadQueue.process = async () => {};
+  return { UploadQueue, local, files };
+}
+
+const request = {
+  files: [{ fileId: 'file-1-a', filename: 'a.jpg', mimeType: 'image/jpeg', size: 3 }]
+};
+
+describe('UploadQueue', () => {
+  let UploadQueue;
+  let local;
+  let files;
+
+  beforeEach(() => {
+    ({ UploadQueue, local, files } = createQueue());
+  });
+
+  const stateOf = async (jobId) => (await UploadQueue.load()).find(job => job.id === jobId).state;
+
+  describe('enqueue', () => {
+    it('queues a job', async () => {
+      const job = await UploadQueue.enqueue(request);
+      assert.equal(job.state, 'queued');
+      assert.equal(await stateOf(job.id), 'queued');
+    });
+
+    it('schedules a job with a send time in the future', async () => {
+      const job = await UploadQueue.enqueue({ ...request, scheduledAt: Date.now() + 60000 });
+      assert.equal(job.state, 'scheduled');
+    });
+  });
+
+  describe('cancel', () => {
+    for (const state of ['scheduled', 'queued', 'uploading']) {
+      it(`cancels a ${state} job`, async () => {
+        const job = await UploadQueue.enqueue(request);
+        await UploadQueue.update(job.id, { state });
+
+        await UploadQueue.cancel(job.id);
+        assert.equal(await stateOf(job.id), 'cancelled');
+      });
+    }
+
+    for (const state of ['sent', 'failed', 'cancelled']) {
+      it(`refuses a ${state} job`, async () => {
+        const job = await UploadQueue.enqueue(request);
+        await UploadQueue.update(job.id, { state });
+
+        await assert.rejects(UploadQueue.cancel(job.id), { message: `Upload is already ${state}` });
+        assert.equal(await stateOf(job.id), state);
+      });
+    }
+
+    it('refuses a job that is gone', async () => {
+      await assert.rejects(UploadQueue.cancel('job-missing'), { message: 'Upload not found' });
+    });
+
+    it('aborts the upload in progress', async () => {
+      const job = await UploadQueue.enqueue(request);
+      await UploadQueue.update(job.id, { state: 'uploading' });
+      const controller = new AbortController();
+      UploadQueue.active = { jobId: job.id, controller };
+
+      await UploadQueue.cancel(job.id);
+      assert.equal(controller.signal.aborted, true);
+    });
+
+    it('lets only one of two cancels through', async () => {
+      const job = await UploadQueue.enqueue(request);
+      const results = await Promise.allSettled([UploadQueue.cancel(job.id), UploadQueue.cancel(job.id)]);
+
+      assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    });
+  });
+
+  describe('retry', () => {
+    for (const state of ['failed', 'cancelled']) {
+      it(`queues a ${state} job again with fresh attempts`, async () => {
+        const job = await UploadQueue.enqueue(request);
+        await UploadQueue.update(job.id, { state, attempts: 3, error: 'Timed out', errorCode: 'PREVIEW_TIMEOUT' });
+
+        const retried = await UploadQueue.retry(job.id);
+        assert.equal(retried.state, 'queued');
+        assert.equal(retried.attempts, 0);
+        assert.equal(retried.error, null);
+        assert.equal(retried.errorCode, null);
+      });
+    }
+
+    for (const state of ['scheduled', 'queued', 'uploading', 'sent']) {
+      it(`refuses a ${state} job`, async () => {
+        const job = await UploadQueue.enqueue(request);
+        await UploadQueue.update(job.id, { state });
+
+        await assert.rejects(UploadQueue.retry(job.id), { message: `Upload is already ${state}` });
+        assert.equal(await stateOf(job.id), state);
+      });
+    }
+  });
+
+  describe('runJob', () => {
+    it('marks a delivered job as sent and deletes its files', async () => {
+      files.set('file-1-a', new Blob(['abc']));
+      const job = await UploadQueue.enqueue(request);
+      UploadQueue.deliver = async () => ({ success: true, delivery: 'confirmed' });
+
+      await UploadQueue.runJob(job);
+
+      const [stored] = await UploadQueue.load();
+      assert.equal(stored.state, 'sent');
+      assert.equal(stored.attempts, 1);
+      assert.equal(files.size, 0);
+    });
+
+    it('keeps the code of a send Telegram did not confirm', async () => {
+      const job = await UploadQueue.enqueue(request);
+      UploadQueue.deliver = async () => ({ success: true, delivery: 'unconfirmed', code: 'UNCONFIRMED' });
+
+      await UploadQueue.runJob(job);
+
+      const [stored] = await UploadQueue.load();
+      assert.equal(stored.state, 'sent');
+      assert.equal(stored.errorCode, 'UNCONFIRMED');
+    });
+
+    it('queues a failed attempt again with a backoff', async () => {
+      const job = await UploadQueue.enqueue(request);
+      UploadQueue.deliver = async () => {
+        throw Object.assign(new Error('Preview did not open'), { code: 'PREVIEW_TIMEOUT' });
+      };
+
+      const before = Date.now();
+      await UploadQueue.runJob(job);
+
+      const [stored] = await UploadQueue.load();
+      assert.equal(stored.state, 'queued');
+      assert.equal(stored.errorCode, 'PREVIEW_TIMEOUT');
+      assert.ok(stored.nextAttemptAt >= before + UploadQueue.config.backoff.base);
+    });
+
+    it('fails a job whose last attempt failed', async () => {
+      const job = await UploadQueue.enqueue(request);
+      await UploadQueue.update(job.id, { attempts: job.maxAttempts - 1 });
+      UploadQueue.deliver = async () => {
+        throw new Error('Preview did not open');
+      };
+
+      await UploadQueue.runJob((await UploadQueue.load())[0]);
+      assert.equal(await stateOf(job.id), 'failed');
+    });
+
+    it('fails a job right away on an error another attempt cannot fix', async () => {
+      const job = await UploadQueue.enqueue(request);
+      UploadQueue.deliver = async () => {
+        throw Object.assign(new Error('Too large'), { code: 'FILE_TOO_LARGE', retryable: false });
+      };
+
+      await UploadQueue.runJob(job);
+      assert.equal(await stateOf(job.id), 'failed');
+    });
+
+    it('keeps a job cancelled during delivery cancelled', async () => {
+      const job = await UploadQueue.enqueue(request);
+      UploadQueue.deliver = async () => {
+        await UploadQueue.cancel(job.id);
+        throw Object.assign(new Error('Cancelled'), { cancelled: true });
+      };
+
+      await UploadQueue.runJob(job);
+      assert.equal(await stateOf(job.id), 'cancelled');
+    });
+  });
+
+  describe('recover', () => {
+    it('queues interrupted uploads again', async () => {
+      const job = await UploadQueue.enqueue(request);
+      await UploadQueue.update(job.id, { state: 'uploading' });
+
+      await UploadQueue.recover();
+      assert.equal(await stateOf(job.id), 'queued');
+    });
+
+    it('deletes old files nothing refers to', async () => {
+      const orphan = `file-${Date.now() - UploadQueue.config.orphanAge - 1000}-orphan`;
+      const recent = `file-${Date.now()}-recent`;
+      files.set('file-1-a', new Blob(['queued']));
+      files.set(orphan, new Blob(['orphan']));
+      files.set(recent, new Blob(['still being queued']));
+      await UploadQueue.enqueue(request);
+
+      await UploadQueue.recover();
+      assert.deepEqual([...files.keys()].sort(), ['file-1-a', recent].sort());
+    });
+  });
+
+  it('keeps only the most recent finished jobs', async () => {
+    const jobs = [];
+    for (let i = 0; i < UploadQueue.config.keepFinished + 2; i++) {
+      jobs.push(await UploadQueue.enqueue(request));
+      await UploadQueue.update(jobs[i].id, { state: 'sent' });
+    }
+
+    await UploadQueue.pruneFinished();
+    assert.equal((await UploadQueue.load()).length, UploadQueue.config.keepFinished);
+  });
+
+  it('keeps the job list in chrome.storage.local', async () => {
+    const job = await UploadQueue.enqueue(request);
+    assert.equal(local.items[UploadQueue.config.storageKey][0].id, job.id);
+  });
+});
@@ -0,0 +1,386 @@
+/**
+ * TIFF decoder for the popup
+ * Chrome can't decode TIFF, so the first page is decoded here into
+ * ImageData for the image converter. Covers what scanners, screenshots
+ * and cameras usually write: strips or tiles; no compression, LZW,
+ * PackBits or Deflate; bilevel, greyscale, palette, RGB(A) and CMYK at 1-16
+ * bits per sample. JPEG-in-TIFF and CCITT fax compression are not supported.
+ */
+
+const TiffDecoder = {
+  tags: {
+    width: 256,
+    height: 257,
+    bitsPerSample: 258,
+    compression: 259,
+    photometric: 262,
+    stripOffsets: 273,
+    samplesPerPixel: 277,
+    rowsPerStrip: 278,
+    stripByteCounts: 279,
+    planarConfiguration: 284,
+    predictor: 317,
+    colorMap: 320,
+    tileWidth: 322,
+    tileLength: 323,
+    tileOffsets: 324,
+    tileByteCounts: 325
+  },
+
+  compressions: {
+    1: 'none',
+    5: 'lzw',
+    8: 'deflate',
+    32946: 'deflate',
+    32773: 'packBits'
+  },
+
+  // Upper bound on decoded pixels, to stay clear of the popup's memory limit
+  maxPixels: 100 * 1000 * 1000,
+
+  /**
+   * @param {ArrayBuffer} buffer - The whole TIFF file
+   * @returns {Promise<ImageData>} First page as RGBA
+   */
+  async decode(buffer) {
+    const view = new DataView(buffer);
+    const little = view.getUint16(0) === 0x4949;
+
+    if (view.getUint16(2, little) !== 42) {
+      throw new Error('Not a TIFF file');
+    }
+
+    const ifd = this.readIfd(view, view.getUint32(4, little), little);
+    const image = this.describe(ifd);
+
+    const rgba = new Uint8ClampedArray(image.width * image.height * 4);
+    const bytes = new Uint8Array(buffer);
+
+    for (const block of this.blocks(image, ifd)) {
+      const compressed = bytes.subarray(block.offset, block.offset + block.byteCount);
+      const data = await this.decompress(compressed, image.compression, block.rowBytes * block.height);
+
+      if (image.predictor === 2) {
+        this.undoPredictor(data, block, image, little);
+      }
+
+      this.toRgba(data, block, image, rgba, little);
+    }
+
+    return new ImageData(rgba, image.width, image.height);
+  },
+
+  /**
+   * Reads the tags of one IFD into {tag: number|number[]}
+   */
+  readIfd(view, offset, little) {
+    const sizes = { 1: 1, 3: 2, 4: 4, 16: 8 };
+    const values = {};
+    const count = view.getUint16(offset, little);
+
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const length = view.getUint32(entry + 4, little);
+      const size = sizes[type];
+
+      // Only the integer types carry the tags we need
+      if (!size) {
+        continue;
+      }
+
+      const at = size * length <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+      const read = (index) => {
+        switch (type) {
+          case 1: return view.getUint8(at + index);
+          case 3: return view.getUint16(at + index * 2, little);
+          case 16: return Number(view.getBigUint64(at + index * 8, little));
+          default: return view.getUint32(at + index * 4, little);
+        }
+      };
+
+      values[tag] = length === 1 ? read(0) : Array.from({ length }, (_, index) => read(index));
+    }
+
+    return values;
+  },
+
+  /**
+   * Image layout from the IFD, validated against what decode() supports
+   */
+  describe(ifd) {
+    const list = (value) => Array.isArray(value) ? value : [value];
+    const image = {
+      width: ifd[this.tags.width],
+      height: ifd[this.tags.height],
+      bitsPerSample: list(ifd[this.tags.bitsPerSample] || 1)[0],
+      samplesPerPixel: ifd[this.tags.samplesPerPixel] || 1,
+      compression: this.compressions[ifd[this.tags.compression] || 1],
+      photometric: ifd[this.tags.photometric] ?? 1,
+      predictor: ifd[this.tags.predictor] || 1,
+      colorMap: ifd[this.tags.colorMap] || null
+    };
+
+    if (!image.width || !image.height) {
+      throw new Error('TIFF has no image size');
+    }
+    if (image.width * image.height > this.maxPixels) {
+      throw new Error('TIFF is too large to convert');
+    }
+    if (!image.compression) {
+      throw new Error(`Unsupported TIFF compression ${ifd[this.tags.compression]}`);
+    }
+    if (![1, 2, 4, 8, 16].includes(image.bitsPerSample)) {
+      throw new Error(`Unsupported TIFF bit depth ${image.bitsPerSample}`);
+    }
+    if (![0, 1, 2, 3, 5].includes(image.photometric)) {
+      throw new Error(`Unsupported TIFF colour model ${image.photometric}`);
+    }
+    if ((ifd[this.tags.planarConfiguration] || 1) !== 1) {
+      throw new Error('Planar TIFF is not supported');
+    }
+    if (image.photometric === 3 && !image.colorMap) {
+      throw new Error('Palette TIFF has no colour map');
+    }
+
+    return image;
+  },
+
+  /**
+   * Strips or tiles with their position and stored bytes
+   * @returns {Array<{x: number, y: number, width: number, height: number, rowBytes: number,
+   *   offset: number, byteCount: number}>}
+   */
+  blocks(image, ifd) {
+    const list = (value) => Array.isArray(value) ? value : [value];
+    const tiled = ifd[this.tags.tileOffsets] !== undefined;
+
+    const blockWidth = tiled ? ifd[this.tags.tileWidth] : image.width;
+    const blockHeight = tiled ? ifd[this.tags.tileLength] : Math.min(ifd[this.tags.rowsPerStrip] || image.height, image.height);
+    const offsets = list(ifd[tiled ? this.tags.tileOffsets : this.tags.stripOffsets]);
+    const byteCounts = list(ifd[tiled ? this.tags.tileByteCounts : this.tags.stripByteCounts]);
+    const across = Math.ceil(image.width / blockWidth);
+    const rowBytes = Math.ceil(blockWidth * image.samplesPerPixel * image.bitsPerSample / 8);
+
+    return offsets.map((offset, index) => ({
+      x: (index % across) * blockWidth,
+      y: Math.floor(index / across) * blockHeight,
+      width: blockWidth,
+      height: blockHeight,
+      rowBytes,
+      offset,
+      byteCount: byteCounts[index]
+    }));
+  },
+
+  /**
+   * @param {Uint8Array} input - Stored bytes of one strip or tile
+   * @param {string} compression - One of this.compressions
+   * @param {number} size - Expected decompressed size
+   * @returns {Promise<Uint8Array>}
+   */
+  async decompress(input, compression, size) {
+    switch (compression) {
+      case 'lzw':
+        return this.lzw(input, size);
+      case 'packBits':
+        return this.packBits(input, size);
+      case 'deflate': {
+        const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+      }
+      default:
+        return input;
+    }
+  },
+
+  /**
+   * TIFF flavour of LZW: MSB-first codes, 256 = clear, 257 = end, and the
+   * code width grows one code early
+   */
+  lzw(input, size) {
+    const output = new Uint8Array(size);
+    let written = 0;
+    let bitPosition = 0;
+    let codeWidth = 9;
+    let table = [];
+    let previous = null;
+
+    const reset = () => {
+      table = [];
+      for (let i = 0; i < 256; i++) {
+        table.push(Uint8Array.of(i));
+      }
+      table.push(null, null);
+      codeWidth = 9;
+      previous = null;
+    };
+
+    const readCode = () => {
+      const index = bitPosition >>> 3;
+      if (index >= input.length) {
+        return 257;
+      }
+      const window = (input[index] << 16) | ((input[index + 1] || 0) << 8) | (input[index + 2] || 0);
+      const code = (window >>> (24 - (bitPosition & 7) - codeWidth)) & ((1 << codeWidth) - 1);
+      bitPosition += codeWidth;
+      return code;
+    };
+
+    const append = (sequence, byte) => {
+      const next = new Uint8Array(sequence.length + 1);
+      next.set(sequence);
+      next[sequence.length] = byte;
+      return next;
+    };
+
+    reset();
+
+    while (written < size) {
+      const code = readCode();
+
+      if (code === 257) {
+        break;
+      }
+      if (code === 256) {
+        reset();
+        continue;
+      }
+
+      let sequence;
+      if (code < table.length && table[code]) {
+        sequence = table[code];
+      } else if (previous) {
+        sequence = append(previous, previous[0]);
+      } else {
+        throw new Error('Corrupt LZW data in TIFF');
+      }
+
+      output.set(sequence.subarray(0, size - written), written);
+      written += sequence.length;
+
+      if (previous) {
+        table.push(append(previous, sequence[0]));
+      }
+      previous = sequence;
+
+      if (table.length + 1 >= (1 << codeWidth) && codeWidth < 12) {
+        codeWidth++;
+      }
+    }
+
+    return output;
+  },
+
+  packBits(input, size) {
+    const output = new Uint8Array(size);
+    let read = 0;
+    let written = 0;
+
+    while (read < input.length && written < size) {
+      const header = (input[read++] << 24) >> 24;
+
+      if (header >= 0) {
+        output.set(input.subarray(read, read + header + 1).subarray(0, size - written), written);
+        read += header + 1;
+        written += header + 1;
+      } else if (header !== -128) {
+        output.fill(input[read++], written, Math.min(written + 1 - header, size));
+        written += 1 - header;
+      }
+    }
+
+    return output;
+  },
+
+  /**
+   * Undoes horizontal differencing (predictor 2) in place, row by row
+   */
+  undoPredictor(data, block, image, little) {
+    const samples = image.samplesPerPixel;
+
+    for (let y = 0; y < block.height; y++) {
+      const row = y * block.rowBytes;
+
+      if (image.bitsPerSample === 8) {
+        for (let i = samples; i < block.width * samples; i++) {
+          data[row + i] = data[row + i] + data[row + i - samples];
+        }
+      } else if (image.bitsPerSample === 16) {
+        const view = new DataView(data.buffer, data.byteOffset + row, block.rowBytes);
+        for (let i = samples; i < block.width * samples; i++) {
+          view.setUint16(i * 2, view.getUint16(i * 2, little) + view.getUint16((i - samples) * 2, little), little);
+        }
+      }
+    }
+  },
+
+  /**
+   * Writes one decoded block into the RGBA output, converting the colour model
+   */
+  toRgba(data, block, image, rgba, little) {
+    const { bitsPerSample: bits, samplesPerPixel: samples, photometric } = image;
+    const maxValue = (1 << bits) - 1;
+    const paletteSize = 1 << bits;
+
+    // Sample as stored (palette index) or scaled to 0-255
+    const raw = (row, index) => {
+      if (bits === 8) {
+        return data[row + index];
+      }
+      if (bits === 16) {
+        const at = row + index * 2;
+        return little ? data[at] | (data[at + 1] << 8) : (data[at] << 8) | data[at + 1];
+      }
+      const bit = index * bits;
+      return (data[row + (bit >> 3)] >> (8 - bits - (bit & 7))) & maxValue;
+    };
+    const scaled = (row, index) => Math.round(raw(row, index) * 255 / maxValue);
+
+    for (let y = 0; y < block.height && block.y + y < image.height; y++) {
+      const row = y * block.rowBytes;
+
+      for (let x = 0; x < block.width && block.x + x < image.width; x++) {
+        const sample = x * samples;
+        const out = ((block.y + y) * image.width + block.x + x) * 4;
+        let red, green, blue;
+        let alpha = 255;
+
+        switch (photometric) {
+          case 0:
+          case 1: {
+            const grey = scaled(row, sample);
+            red = green = blue = photometric === 0 ? 255 - grey : grey;
+            if (samples > 1) alpha = scaled(row, sample + 1);
+            break;
+          }
+          case 3: {
+            const index = raw(row, sample);
+            red = image.colorMap[index] >> 8;
+            green = image.colorMap[paletteSize + index] >> 8;
+            blue = image.colorMap[paletteSize * 2 + index] >> 8;
+            break;
+          }
+          case 5: {
+            const black = 255 - scaled(row, sample + 3);
+            red = (255 - scaled(row, sample)) * black / 255;
+            green = (255 - scaled(row, sample + 1)) * black / 255;
+            blue = (255 - scaled(row, sample + 2)) * black / 255;
+            break;
+          }
+          default:
+            red = scaled(row, sample);
+            green = scaled(row, sample + 1);
+            blue = scaled(row, sample + 2);
+            if (samples > 3) alpha = scaled(row, sample + 3);
+        }
+
+        rgba[out] = red;
+        rgba[out + 1] = green;
+        rgba[out + 2] = blue;
+        rgba[out + 3] = alpha;
+      }
+    }
+  }
+};
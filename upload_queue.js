@@ -0,0 +1,711 @@
+/**
+ * Upload Queue
+ * Persistent job queue run by the background service worker, so a send
+ * survives the popup closing. Jobs live in chrome.storage.local (the popup
+ * renders them from there); their files live in FileStore. Finished
+ * sends are recorded in SendHistory.
+ *
+ * Job states: (scheduled ->) queued -> uploading -> sent | failed (| cancelled)
+ * Scheduled jobs wait for their scheduledAt time (woken by chrome.alarms)
+ * and can be edited until then. Failed attempts go back to queued with
+ * exponential backoff until maxAttempts is reached.
+ *
+ * A broadcast job (job.chats) goes to several chats in turn; job.broadcast
+ * keeps each chat's latest result, and later attempts only go to the
+ * chats that haven't had it yet.
+ */
+
+const UploadQueue = {
+  config: {
+    storageKey: 'uploadQueue',
+    alarmName: 'upload-queue',
+    maxAttempts: 3,
+    backoff: {
+      base: 2000,
+      max: 60000
+    },
+    // Finished jobs kept around for the popup view
+    keepFinished: 20,
+    // Stored files nothing refers to are deleted once this old; younger
+    // ones may belong to a job the popup is still queueing
+    orphanAge: 60 * 60 * 1000,
+    // Minimum time between stored progress updates
+    progressInterval: 500,
+    // Longest wait covered by a timer; later wake-ups are left to the alarm
+    timerLimit: 5 * 60 * 1000,
+    // Error codes (see TelegramUploader.errorCodes) that another attempt can't fix:
+    // the file stays too large, and a message Telegram marked as failed may
+    // still be retried from the chat, so resending could duplicate it.
+    // Bot API setup problems (see BotApi.errorCodes) need the options fixed first.
+    permanentErrors: [
+      'FILE_TOO_LARGE', 'DELIVERY_FAILED',
+      'BOT_NOT_CONFIGURED', 'BOT_UNAUTHORIZED', 'BOT_NO_ACCESS', 'BOT_FILE_TOO_LARGE'
+    ]
+  },
+
+  states: {
+    SCHEDULED: 'scheduled',
+    QUEUED: 'queued',
+    UPLOADING: 'uploading',
+    SENT: 'sent',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+  },
+
+  processing: false,
+  retryTimer: null,
+  // Job being delivered: {jobId, controller}
+  active: null,
+  lock: Promise.resolve(),
+  listeners: [],
+
+  /**
+   * Registers a callback run with every job after it changes
+   * @param {Function} listener - (job) => void
+   */
+  onJobUpdated(listener) {
+    this.listeners.push(listener);
+  },
+
+  async load() {
+    const stored = await chrome.storage.local.get(this.config.storageKey);
+    return stored[this.config.storageKey] || [];
+  },
+
+  async save(jobs) {
+    await chrome.storage.local.set({ [this.config.storageKey]: jobs });
+  },
+
+  /**
+   * Runs a read-modify-write on the job list, one at a time
+   * @param {Function} mutate - (jobs) => result; may modify jobs in place
+   */
+  transact(mutate) {
+    const run = this.lock.then(async () => {
+      const jobs = await this.load();
+      const result = await mutate(jobs);
+      await this.save(jobs);
+      return result;
+    });
+
+    // Keep the chain alive after a failed transaction
+    this.lock = run.catch(() => {});
+    return run;
+  },
+
+  /**
+   * Applies changes to one job and notifies listeners
+   * @returns {Promise<Object|null>} The updated job
+   */
+  async update(jobId, changes) {
+    const job = await this.transact(jobs => {
+      const target = jobs.find(item => item.id === jobId);
+      if (target) {
+        Object.assign(target, changes, { updatedAt: Date.now() });
+      }
+      return target ? { ...target } : null;
+    });
+
+    if (job) {
+      this.listeners.forEach(listener => listener(job));
+    }
+
+    return job;
+  },
+
+  /**
+   * Like update(), for a job in one of the given states only; the state is
+   * checked in the same transaction, so an outdated popup can't act on a
+   * job that has moved on
+   * @param {string} jobId
+   * @param {string[]} from - States the job may be in
+   * @param {Object} changes
+   * @returns {Promise<Object>} The updated job
+   * @throws {Error} When the job is gone or in another state
+   */
+  async transition(jobId, from, changes) {
+    const job = await this.transact(jobs => {
+      const target = jobs.find(item => item.id === jobId);
+      if (!target) {
+        throw new Error('Upload not found');
+      }
+      if (!from.includes(target.state)) {
+        throw new Error(`Upload is already ${target.state}`);
+      }
+      Object.assign(target, changes, { updatedAt: Date.now() });
+      return { ...target };
+    });
+
+    this.listeners.forEach(listener => listener(job));
+    return job;
+  },
+
+  /**
+   * Adds a job to the end of the queue and starts processing
+   * @param {Object} request
+   * @param {Array<{fileId: string, filename: string, mimeType: string, size: number}>} request.files
+   * @param {string} [request.caption]
+   * @param {{id: string, name: string}|null} [request.chat]
+   * @param {Array<{id: string, name: string}>|null} [request.chats] - Broadcast to these chats instead
+   * @param {{asFile: boolean, spoiler: boolean}} [request.sendOptions] - Send as file, hide with spoiler
+   * @param {string} [request.source] - Where the job came from (popup, contextMenu, capture)
+   * @param {number} [request.scheduledAt] - Send time in ms; the job waits until then
+   * @returns {Promise<Object>} The new job
+   */
+  async enqueue(request) {
+    const scheduled = request.scheduledAt > Date.now();
+    const job = {
+      id: `job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      state: scheduled ? this.states.SCHEDULED : this.states.QUEUED,
+      scheduledAt: scheduled ? request.scheduledAt : null,
+      files: request.files,
+      caption: request.caption || '',
+      chat: request.chat || null,
+      chats: request.chats?.length > 0 ? request.chats : null,
+      broadcast: null,
+      sendOptions: request.sendOptions || { asFile: false, spoiler: false },
+      source: request.source || 'popup',
+      attempts: 0,
+      maxAttempts: this.config.maxAttempts,
+      nextAttemptAt: 0,
+      error: null,
+      errorCode: null,
+      result: null,
+      progress: null,
+      stage: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    await this.transact(jobs => {
+      jobs.push(job);
+    });
+
+    Logger.info('Upload Queue', scheduled
+      ? `Job ${job.id} scheduled for ${new Date(job.scheduledAt).toISOString()} (${job.files.length} file(s))`
+      : `Job ${job.id} queued (${job.files.length} file(s))`);
+    this.listeners.forEach(listener => listener(job));
+    this.process();
+
+    return job;
+  },
+
+  /**
+   * Changes the send time or caption of a job that is still scheduled
+   * @param {string} jobId
+   * @param {{scheduledAt?: number, caption?: string}} changes
+   * @returns {Promise<Object>} The updated job
+   */
+  async reschedule(jobId, changes) {
+    const edits = {};
+    if (changes.scheduledAt !== undefined) {
+      edits.scheduledAt = changes.scheduledAt;
+    }
+    if (changes.caption !== undefined) {
+      edits.caption = changes.caption;
+    }
+
+    const job = await this.transact(jobs => {
+      const target = jobs.find(item => item.id === jobId);
+      if (!target || target.state !== this.states.SCHEDULED) {
+        throw new Error('Only scheduled uploads can be edited');
+      }
+      Object.assign(target, edits, { updatedAt: Date.now() });
+      return { ...target };
+    });
+
+    Logger.info('Upload Queue', `Job ${jobId} rescheduled for ${new Date(job.scheduledAt).toISOString()}`);
+    this.listeners.forEach(listener => listener(job));
+    this.process();
+
+    return job;
+  },
+
+  /**
+   * Sends a scheduled job right away
+   */
+  sendNow(jobId) {
+    return this.reschedule(jobId, { scheduledAt: Date.now() });
+  },
+
+  /**
+   * Cancels a scheduled, queued or uploading job; an upload in progress is stopped
+   * and its preview closed in the Telegram tab
+   * Its files are kept until the job is removed, so it can be retried
+   */
+  async cancel(jobId) {
+    const job = await this.transition(
+      jobId,
+      [this.states.SCHEDULED, this.states.QUEUED, this.states.UPLOADING],
+      { state: this.states.CANCELLED, error: null, errorCode: null, stage: null }
+    );
+
+    if (this.active && this.active.jobId === jobId) {
+      this.active.controller.abort();
+    }
+
+    Logger.info('Upload Queue', `Job ${jobId} cancelled`);
+    return job;
+  },
+
+  /**
+   * Puts a failed or cancelled job back in the queue with fresh attempts
+   */
+  async retry(jobId) {
+    const job = await this.transition(jobId, [this.states.FAILED, this.states.CANCELLED], {
+      state: this.states.QUEUED,
+      attempts: 0,
+      nextAttemptAt: 0,
+      error: null,
+      errorCode: null
+    });
+
+    Logger.info('Upload Queue', `Job ${jobId} queued for retry`);
+    this.process();
+    return job;
+  },
+
+  /**
+   * Removes a job from the list
+   */
+  async remove(jobId) {
+    const job = await this.transact(jobs => {
+      const index = jobs.findIndex(item => item.id === jobId);
+      return index === -1 ? null : jobs.splice(index, 1)[0];
+    });
+
+    if (job) {
+      await this.deleteFiles(job);
+    }
+    return job;
+  },
+
+  /**
+   * Removes all sent, failed and cancelled jobs
+   */
+  async clearFinished() {
+    const removed = await this.transact(jobs => {
+      const finished = jobs.filter(job => this.isFinished(job));
+      const remaining = jobs.filter(job => !this.isFinished(job));
+      jobs.splice(0, jobs.length, ...remaining);
+      return finished;
+    });
+
+    for (const job of removed) {
+      await this.deleteFiles(job);
+    }
+  },
+
+  isFinished(job) {
+    return [this.states.SENT, this.states.FAILED, this.states.CANCELLED].includes(job.state);
+  },
+
+  /**
+   * Recovers from the service worker being stopped mid-upload:
+   * interrupted jobs go back to the queue
+   */
+  async recover() {
+    await this.transact(jobs => {
+      jobs
+        .filter(job => job.state === this.states.UPLOADING)
+        .forEach(job => {
+          job.state = this.states.QUEUED;
+          job.nextAttemptAt = 0;
+          job.updatedAt = Date.now();
+        });
+    });
+
+    // Sent jobs whose auto-clear timer died with the worker
+    await this.pruneFinished();
+    await this.deleteOrphanedFiles();
+    this.process();
+  },
+
+  /**
+   * Deletes stored files that no job and no history entry refers to: the
+   * popup stores a send's files before queueing it, and closing it (or a
+   * failed store) in between leaves them behind
+   */
+  async deleteOrphanedFiles() {
+    try {
+      const [jobs, entries, fileIds] = await Promise.all([this.load(), SendHistory.load(), FileStore.keys()]);
+      const referenced = new Set([...jobs, ...entries].flatMap(item => item.files.map(file => file.fileId)));
+      const cutoff = Date.now() - this.config.orphanAge;
+
+      // Ids start with their creation time (see FileStore.put)
+      const orphans = fileIds.filter(id => !referenced.has(id) && Number(id.split('-')[1]) < cutoff);
+      for (const id of orphans) {
+        await FileStore.delete(id);
+      }
+
+      if (orphans.length > 0) {
+        Logger.info('Upload Queue', `Deleted ${orphans.length} orphaned file(s)`);
+      }
+    } catch (error) {
+      Logger.warn('Upload Queue', 'Could not delete orphaned files:', error.message);
+    }
+  },
+
+  /**
+   * Runs due jobs one at a time (there is only one Telegram tab to drive)
+   */
+  async process() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+
+    try {
+      await this.releaseScheduled();
+
+      let job;
+      while ((job = await this.nextDueJob()) !== null) {
+        await this.runJob(job);
+      }
+    } finally {
+      this.processing = false;
+      await this.scheduleRetry();
+    }
+  },
+
+  /**
+   * Moves scheduled jobs whose time has come into the queue
+   */
+  async releaseScheduled() {
+    const released = await this.transact(jobs => {
+      const now = Date.now();
+      const due = jobs.filter(job => job.state === this.states.SCHEDULED && job.scheduledAt <= now);
+      due.forEach(job => {
+        job.state = this.states.QUEUED;
+        job.nextAttemptAt = 0;
+        job.updatedAt = now;
+      });
+      return due.map(job => ({ ...job }));
+    });
+
+    released.forEach(job => {
+      Logger.info('Upload Queue', `Scheduled job ${job.id} is due`);
+      this.listeners.forEach(listener => listener(job));
+    });
+  },
+
+  async nextDueJob() {
+    const jobs = await this.load();
+    const now = Date.now();
+    return jobs.find(job => job.state === this.states.QUEUED && job.nextAttemptAt <= now) || null;
+  },
+
+  /**
+   * Delivers one job through the Telegram tab and records the outcome
+   */
+  async runJob(job) {
+    const attempts = job.attempts + 1;
+    await this.update(job.id, {
+      state: this.states.UPLOADING,
+      attempts,
+      error: null,
+      errorCode: null,
+      progress: null,
+      stage: null
+    });
+    Logger.info('Upload Queue', `Job ${job.id}: attempt ${attempts}/${job.maxAttempts}`);
+
+    const startedAt = Date.now();
+    this.active = { jobId: job.id, controller: new AbortController() };
+
+    try {
+      const result = await this.deliver(job, this.active.controller.signal);
+
+      if (await this.wasCancelled(job.id)) {
+        return;
+      }
+
+      // A send Telegram didn't confirm keeps its code so the popup can say what to check
+      const sent = await this.update(job.id, { state: this.states.SENT, result, errorCode: result.code || null });
+      await this.recordHistory(sent, { result, errorCode: result.code || null, duration: Date.now() - startedAt });
+      await this.deleteFiles(job);
+      await this.pruneFinished();
+      await this.scheduleAutoClear();
+      Logger.info('Upload Queue', `✓ Job ${job.id} sent`);
+
+    } catch (error) {
+      if (await this.wasCancelled(job.id)) {
+        return;
+      }
+
+      const retryable = error.retryable !== false && attempts < job.maxAttempts;
+      Logger.warn('Upload Queue', `✗ Job ${job.id} failed: ${error.message}${retryable ? ' (will retry)' : ''}`);
+
+      if (retryable) {
+        await this.update(job.id, {
+          state: this.states.QUEUED,
+          error: error.message,
+          errorCode: error.code || null,
+          nextAttemptAt: Date.now() + Math.max(this.backoffDelay(attempts), error.retryAfter || 0)
+        });
+      } else {
+        const failed = await this.update(job.id, { state: this.states.FAILED, error: error.message, errorCode: error.code || null });
+        await this.recordHistory(failed, {
+          error: error.message,
+          errorCode: error.code || null,
+          duration: Date.now() - startedAt
+        });
+        await this.pruneFinished();
+      }
+    } finally {
+      this.active = null;
+    }
+  },
+
+  /**
+   * Sends the job's files through the Telegram tab or the Bot API,
+   * depending on the chat, and records the upload stages reported
+   * @param {Object} job
+   * @param {AbortSignal} signal - Aborted when the job is cancelled
+   * @returns {Promise<Object>} The content script's uploadPhoto response
+   */
+  async deliver(job, signal) {
+    const files = [];
+    for (const file of job.files) {
+      const blob = await FileStore.get(file.fileId);
+      if (!blob) {
+        const error = new Error(`${file.filename} is no longer available`);
+        error.retryable = false;
+        throw error;
+      }
+
+      files.push({ blob, filename: file.filename, mimeType: file.mimeType });
+    }
+
+    // Chats of a broadcast that haven't had the files yet, and the pause between them
+    const chats = job.chats
+      ? job.chats.filter(chat => !job.broadcast?.some(result => result.chat.id === chat.id && result.success))
+      : null;
+    const pauseBetweenChats = chats ? (await Settings.get()).broadcastPause * 1000 : 0;
+
+    // Every chat got it on an earlier attempt (e.g. the worker stopped before recording it)
+    if (chats && chats.length === 0) {
+      return {
+        success: true,
+        ...this.broadcastDelivery(job.broadcast),
+        broadcast: job.broadcast,
+        batches: job.broadcast[0]?.batches || [],
+        duration: 0
+      };
+    }
+
+    let lastUpdate = 0;
+    const onProgress = (progress) => {
+      const done = progress.sentBytes === progress.totalBytes;
+      if (done || Date.now() - lastUpdate >= this.config.progressInterval) {
+        lastUpdate = Date.now();
+        this.update(job.id, { progress });
+      }
+    };
+    const callbacks = { onProgress, onStage: (stage) => this.update(job.id, { stage }), signal };
+    const data = { jobId: job.id, caption: job.caption, chat: job.chat, chats, pauseBetweenChats, sendOptions: job.sendOptions };
+
+    // Chats set up for the bot go over the Bot API, the rest through the Telegram tab
+    const viaBot = (chat) => chat?.transport === 'bot';
+    let response;
+
+    if (!chats) {
+      response = viaBot(job.chat)
+        ? await this.sendViaBot(files, data, callbacks)
+        : await this.sendViaTab(files, data, callbacks);
+    } else {
+      const responses = [];
+      const tabChats = chats.filter(chat => !viaBot(chat));
+      const botChats = chats.filter(viaBot);
+
+      if (tabChats.length > 0) {
+        responses.push(await this.sendViaTab(files, { ...data, chats: tabChats }, callbacks));
+      }
+      if (botChats.length > 0 && !signal.aborted) {
+        responses.push(await this.sendViaBot(files, { ...data, chats: botChats }, callbacks));
+      }
+      response = this.combineResponses(responses);
+    }
+
+    if (job.chats && response?.broadcast) {
+      // The result covers every chat of the broadcast, not just this attempt's
+      response.broadcast = await this.recordBroadcast(job, response.broadcast);
+      if (response.success) {
+        Object.assign(response, this.broadcastDelivery(response.broadcast));
+      }
+    }
+
+    if (!response || !response.success) {
+      const error = new Error(response?.error || 'Upload failed with unknown error');
+      error.code = response?.code || null;
+      error.retryAfter = response?.retryAfter || 0;
+      error.retryable = !this.config.permanentErrors.includes(error.code) &&
+        !(response?.broadcast || []).some(result => this.config.permanentErrors.includes(result.code));
+      throw error;
+    }
+
+    return response;
+  },
+
+  /**
+   * Streams files to the Telegram tab (see FileTransfer), whose content
+   * script uploads them through Telegram Web
+   */
+  async sendViaTab(files, data, callbacks) {
+    const tab = await TelegramTab.findOrOpen();
+    await TelegramTab.ensureContentScript(tab.id);
+    return FileTransfer.send(tab.id, files, data, callbacks);
+  },
+
+  sendViaBot(files, data, callbacks) {
+    const botFiles = files.map(file => new File([file.blob], file.filename, { type: file.mimeType }));
+    return BotApi.send(botFiles, data, callbacks);
+  },
+
+  /**
+   * One response for a broadcast split between the tab and the bot
+   */
+  combineResponses(responses) {
+    if (responses.length === 1) {
+      return responses[0];
+    }
+
+    const broadcast = responses.flatMap(response => response.broadcast || []);
+    const cancelled = responses.find(response => response.cancelled);
+    if (cancelled) {
+      return { ...cancelled, broadcast };
+    }
+
+    const failed = responses.filter(response => !response.success);
+    return {
+      success: failed.length === 0,
+      ...(failed.length > 0 ? { delivery: 'failed', code: failed[0].code } : this.broadcastDelivery(broadcast)),
+      error: failed.length > 0 ? failed.map(response => response.error).join('; ') : null,
+      broadcast,
+      batches: responses.find(response => response.success)?.batches || [],
+      diagnostics: responses[0].diagnostics,
+      duration: responses.reduce((sum, response) => sum + (response.duration || 0), 0)
+    };
+  },
+
+  /**
+   * Delivery of a broadcast that reached every chat: confirmed only when
+   * Telegram confirmed it in each of them, otherwise UNCONFIRMED
+   * (see TelegramUploader.errorCodes)
+   */
+  broadcastDelivery(results) {
+    const delivery = results.every(result => result.delivery === 'confirmed') ? 'confirmed' : 'unconfirmed';
+    return { delivery, code: delivery === 'unconfirmed' ? 'UNCONFIRMED' : null };
+  },
+
+  /**
+   * Merges one attempt's per-chat results into the job, in the job's chat order
+   * @returns {Promise<Array>} Results for every chat reached so far
+   */
+  async recordBroadcast(job, results) {
+    const latest = new Map((job.broadcast || []).map(result => [result.chat.id, result]));
+    results.forEach(result => latest.set(result.chat.id, result));
+
+    const broadcast = job.chats.map(chat => latest.get(chat.id)).filter(Boolean);
+    await this.update(job.id, { broadcast });
+    return broadcast;
+  },
+
+  /**
+   * Adds a finished job to SendHistory; a history problem never fails the send
+   */
+  async recordHistory(job, details) {
+    if (!job) {
+      return;
+    }
+
+    try {
+      await SendHistory.record(job, details);
+    } catch (error) {
+      Logger.warn('Upload Queue', `Could not record ${job.id} in the history:`, error.message);
+    }
+  },
+
+  async wasCancelled(jobId) {
+    const jobs = await this.load();
+    const job = jobs.find(item => item.id === jobId);
+    return !job || job.state === this.states.CANCELLED;
+  },
+
+  /**
+   * Delay before the next attempt: base * 2^(attempt - 1), capped
+   */
+  backoffDelay(attempts) {
+    return Math.min(this.config.backoff.base * Math.pow(2, attempts - 1), this.config.backoff.max);
+  },
+
+  /**
+   * Wakes the queue for the earliest pending retry or scheduled job
+   * The timer covers short delays; the alarm covers the worker being stopped
+   */
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+
+    const jobs = await this.load();
+    const pending = [
+      ...jobs.filter(job => job.state === this.states.QUEUED).map(job => job.nextAttemptAt),
+      ...jobs.filter(job => job.state === this.states.SCHEDULED).map(job => job.scheduledAt)
+    ];
+
+    if (pending.length === 0) {
+      await chrome.alarms.clear(this.config.alarmName);
+      return;
+    }
+
+    const when = Math.max(Math.min(...pending), Date.now());
+    if (when - Date.now() <= this.config.timerLimit) {
+      this.retryTimer = setTimeout(() => this.process(), when - Date.now());
+    }
+    chrome.alarms.create(this.config.alarmName, { when: when + 1000 });
+  },
+
+  /**
+   * Removes sent jobs from the list once the auto-clear delay set in the
+   * options has passed (a stopped worker catches up in recover())
+   */
+  async scheduleAutoClear() {
+    const { autoClearDelay } = await Settings.get();
+    if (autoClearDelay > 0) {
+      setTimeout(() => this.pruneFinished(), autoClearDelay * 1000);
+    }
+  },
+
+  /**
+   * Keeps only the most recent finished jobs, dropping sent ones older
+   * than the auto-clear delay
+   */
+  async pruneFinished() {
+    const { autoClearDelay } = await Settings.get();
+    const expired = (job) => autoClearDelay > 0 && job.state === this.states.SENT &&
+      Date.now() - job.updatedAt >= autoClearDelay * 1000;
+
+    const removed = await this.transact(jobs => {
+      const finished = jobs.filter(job => this.isFinished(job))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+      const stale = finished.filter((job, index) => index >= this.config.keepFinished || expired(job));
+      const remaining = jobs.filter(job => !stale.includes(job));
+      jobs.splice(0, jobs.length, ...remaining);
+      return stale;
+    });
+
+    for (const job of removed) {
+      await this.deleteFiles(job);
+    }
+  },
+
+  async deleteFiles(job) {
+    for (const file of job.files) {
+      try {
+        await FileStore.delete(file.fileId);
+      } catch (error) {
+        Logger.warn('Upload Queue', `Could not delete ${file.fileId}:`, error.message);
+      }
+    }
+  }
+};